@@ -0,0 +1,132 @@
+"""Asynchronous runs started through POST /api/v1/runs.
+
+Each run gets an id straight away and executes on a small worker pool; its status, progress and summary
+are stored so CI can poll GET /api/v1/runs/<id>. The finished results land in the run history as usual.
+Runs only execute in the process that accepted them, so one still queued or running when that process
+stopped is reported as "interrupted". On serverless deployments, where a background thread is frozen once the
+response is sent, runs execute inline instead and POST /api/v1/runs responds when they have finished.
+"""
+
+import os
+import threading
+import uuid
+from concurrent.futures import ThreadPoolExecutor
+from datetime import datetime, timezone
+from typing import Callable, Dict, List, Optional, Tuple
+
+from storage import SERVERLESS, load_collection, update_collection
+
+COLLECTION = "api_runs"
+WORKERS = int(os.getenv("API_RUN_WORKERS", "1"))
+INLINE = os.getenv("API_RUN_INLINE", "1" if SERVERLESS else "0") not in ("0", "false", "False")
+MAX_RUNS_PER_USER = int(os.getenv("RUN_HISTORY_LIMIT", "200"))
+
+ACTIVE_STATUSES = ("queued", "running")
+
+# work(cancel_event, progress(completed, total)) -> (summary, history_ids)
+RunWork = Callable[[threading.Event, Callable[[int, int], None]], Tuple[Dict, List[str]]]
+
+
+def _now() -> str:
+    return datetime.now(timezone.utc).isoformat()
+
+
+def _update(uid: str, run_id: str, **fields):
+    def _set(collection):
+        run = collection.get(uid, {}).get(run_id)
+        if run:
+            run.update(fields)
+
+    update_collection(COLLECTION, _set)
+
+
+class AsyncRunner:
+    """Queues run work on a thread pool and tracks each run's state in the api_runs collection."""
+
+    def __init__(self, workers: int = WORKERS, inline: bool = INLINE):
+        self._inline = inline
+        self._pool = ThreadPoolExecutor(max_workers=workers, thread_name_prefix="api-run")
+        self._cancel_events: Dict[str, threading.Event] = {}
+        self._lock = threading.Lock()
+
+    def submit(self, uid: str, details: Dict, work: RunWork) -> Dict:
+        """Record a queued run described by details (stored as-is, so no secrets) and schedule work for it,
+        or when inline run it before returning the finished run."""
+        run = {
+            "id": uuid.uuid4().hex,
+            **details,
+            "status": "queued",
+            "created_at": _now(),
+            "started_at": None,
+            "finished_at": None,
+            "total": None,
+            "completed": 0,
+            "summary": None,
+            "history_ids": [],
+            "error": None,
+        }
+
+        def _insert(collection):
+            runs = collection.setdefault(uid, {})
+            runs[run["id"]] = run
+            # Drop the oldest finished runs beyond the per-user limit
+            finished = sorted((r for r in runs.values() if r["status"] not in ACTIVE_STATUSES),
+                              key=lambda r: r["created_at"])
+            for old in finished[:max(0, len(runs) - MAX_RUNS_PER_USER)]:
+                runs.pop(old["id"], None)
+
+        update_collection(COLLECTION, _insert)
+        with self._lock:
+            self._cancel_events[run["id"]] = threading.Event()
+        if self._inline:
+            self._execute(uid, run["id"], work)
+            return self.get(uid, run["id"])
+        self._pool.submit(self._execute, uid, run["id"], work)
+        return run
+
+    def cancel(self, run_id: str) -> bool:
+        """Ask a queued or running run to stop after its current test. False if it isn't active here."""
+        with self._lock:
+            cancel_event = self._cancel_events.get(run_id)
+        if not cancel_event:
+            return False
+        cancel_event.set()
+        return True
+
+    def get(self, uid: str, run_id: str) -> Optional[Dict]:
+        run = load_collection(COLLECTION).get(uid, {}).get(run_id)
+        return self._with_live_status(run) if run else None
+
+    def list_runs(self, uid: str, limit: int = 50) -> List[Dict]:
+        """A user's API runs, newest first."""
+        runs = sorted(load_collection(COLLECTION).get(uid, {}).values(), key=lambda r: r["created_at"], reverse=True)
+        return [self._with_live_status(r) for r in runs[:limit]]
+
+    def _with_live_status(self, run: Dict) -> Dict:
+        if run["status"] in ACTIVE_STATUSES:
+            with self._lock:
+                if run["id"] not in self._cancel_events:
+                    run["status"] = "interrupted"
+        return run
+
+    def _execute(self, uid: str, run_id: str, work: RunWork):
+        with self._lock:
+            cancel_event = self._cancel_events[run_id]
+        try:
+            if cancel_event.is_set():
+                _update(uid, run_id, status="cancelled", finished_at=_now())
+                return
+            _update(uid, run_id, status="running", started_at=_now())
+
+            def progress(completed: int, total: int):
+                _update(uid, run_id, completed=completed, total=total)
+
+            summary, history_ids = work(cancel_event, progress)
+            _update(uid, run_id, status="cancelled" if cancel_event.is_set() else "completed",
+                    summary=summary, history_ids=history_ids, finished_at=_now())
+        except Exception as e:
+            print(f"Error: API run {run_id} failed: {e}")
+            _update(uid, run_id, status="failed", error=str(e), finished_at=_now())
+        finally:
+            with self._lock:
+                self._cancel_events.pop(run_id, None)
@@ -0,0 +1,95 @@
+"""Personal access tokens for the /api/v1 endpoints.
+
+A token is shown once, when it is created; only its SHA-256 hash and a short display prefix are stored.
+"""
+
+import hashlib
+import secrets
+import uuid
+from datetime import datetime, timedelta, timezone
+from typing import Dict, List, Optional, Tuple
+
+from storage import load_collection, update_collection
+
+COLLECTION = "api_tokens"
+TOKEN_PREFIX = "bzy_"
+MAX_EXPIRY_DAYS = 3650
+
+
+def _now() -> datetime:
+    return datetime.now(timezone.utc)
+
+
+def _hash(token: str) -> str:
+    return hashlib.sha256(token.encode("utf-8")).hexdigest()
+
+
+def _public(record: Dict) -> Dict:
+    return {k: v for k, v in record.items() if k != "token_hash"}
+
+
+def list_tokens(uid: str) -> List[Dict]:
+    """A user's tokens (never the token values), newest first."""
+    tokens = load_collection(COLLECTION).get(uid, {}).values()
+    return [_public(t) for t in sorted(tokens, key=lambda t: t["created_at"], reverse=True)]
+
+
+def create_token(uid: str, name: str, expires_in_days: Optional[int] = None) -> Tuple[Dict, str]:
+    """Create a token and return (its public record, the token itself). Raises ValueError for bad input."""
+    name = str(name or "").strip()
+    if not name:
+        raise ValueError("name is required")
+    expires_at = None
+    if expires_in_days not in (None, ""):
+        try:
+            days = int(expires_in_days)
+        except (TypeError, ValueError, OverflowError):
+            raise ValueError("expires_in_days must be a number")
+        if not 1 <= days <= MAX_EXPIRY_DAYS:
+            raise ValueError(f"expires_in_days must be between 1 and {MAX_EXPIRY_DAYS}")
+        expires_at = (_now() + timedelta(days=days)).isoformat()
+
+    token = TOKEN_PREFIX + secrets.token_urlsafe(32)
+    record = {
+        "id": uuid.uuid4().hex,
+        "name": name,
+        "token_hash": _hash(token),
+        "prefix": token[:len(TOKEN_PREFIX) + 6],
+        "created_at": _now().isoformat(),
+        "expires_at": expires_at,
+        "last_used_at": None,
+    }
+
+    def _insert(collection):
+        collection.setdefault(uid, {})[record["id"]] = record
+
+    update_collection(COLLECTION, _insert)
+    return _public(record), token
+
+
+def revoke_token(uid: str, token_id: str) -> bool:
+    def _delete(collection):
+        return collection.get(uid, {}).pop(token_id, None) is not None
+
+    return update_collection(COLLECTION, _delete)
+
+
+def resolve_token(token: str) -> Optional[str]:
+    """The uid owning a valid, unexpired token (recording its use), or None."""
+    if not token or not token.startswith(TOKEN_PREFIX):
+        return None
+    token_hash = _hash(token)
+    now = _now()
+
+    def _lookup(collection):
+        for uid, tokens in collection.items():
+            for record in tokens.values():
+                if not secrets.compare_digest(record["token_hash"], token_hash):
+                    continue
+                if record["expires_at"] and datetime.fromisoformat(record["expires_at"]) <= now:
+                    return None
+                record["last_used_at"] = now.isoformat()
+                return uid
+        return None
+
+    return update_collection(COLLECTION, _lookup)
@@ -1,16 +1,87 @@
-from flask import Flask, render_template, request, jsonify, send_file
+from flask import Flask, render_template, request, jsonify, send_file, Response, stream_with_context, g
 import os
 import json
+import uuid
+import base64
+import threading
 from docx import Document  # <-- This line was missing
+from docx.shared import Inches
 
 # Import the new test case generation function
 from test_case_generation import generate_test_cases
 # --- NEW: Import from our new document parser file ---
-from document_parser import read_file_content, parse_document_for_tests
-from test_executor import run_tests
+from document_parser import (read_file_content, parse_document_for_tests, is_structured_test_file,
+                             preview_structured_file, parse_structured_test_file)
+from test_executor import iter_tests, validate_selectors, build_matrix, count_executions
+from run_history import record_run, list_runs, get_run, summarize_results
+from test_exporter import export_tests_zip, EXPORT_FORMATS
+from page_snapshot import capture_page_snapshot
+from data_driven import expand_tests
+from environment_profiles import list_profiles, get_profile, save_profile, delete_profile, apply_profile
+from test_suites import list_suites, get_suite, save_suite, delete_suite, upcoming_runs, record_suite_run
+from notifications import send_test_notification, notify_run
+from scheduler import SuiteScheduler, scheduler_enabled
+from api_tokens import list_tokens, create_token, revoke_token, resolve_token, TOKEN_PREFIX
+from firebase_tokens import verify_id_token, InvalidIdTokenError
+from api_runs import AsyncRunner
+from credential_vault import (VaultUnavailableError, CredentialTargetError, vault_available, list_credentials,
+                              save_credential, delete_credential, get_credential, redact)
+from workspaces import (list_workspaces, get_workspace, member_role, has_role, create_workspace, rename_workspace,
+                        delete_workspace, invite_member, send_invitation_email, cancel_invitation,
+                        pending_invitations, accept_invitation, set_member_role, remove_member)
 
 app = Flask(__name__)
 
+# (owner, cancel flag) of streaming runs that are still in progress, keyed by run id
+_active_runs = {}
+_active_runs_lock = threading.Lock()
+
+def _current_claims():
+    """Verified claims of the ID token the frontend sends as 'Authorization: Bearer <token>'
+    (None when signed out or the token doesn't verify). Verified once per request."""
+    if 'claims' not in g:
+        g.claims = None
+        scheme, _, token = request.headers.get('Authorization', '').partition(' ')
+        token = token.strip()
+        if scheme.lower() == 'bearer' and token and not token.startswith(TOKEN_PREFIX):
+            try:
+                g.claims = verify_id_token(token)
+            except InvalidIdTokenError:
+                pass
+            except Exception as e:
+                print(f"Error: could not verify ID token: {e}")
+    return g.claims
+
+def _current_uid():
+    """Firebase uid of the caller (None when signed out or the token doesn't verify)"""
+    claims = _current_claims()
+    return claims['uid'] if claims else None
+
+def _token_uid():
+    """uid owning the personal access token sent as 'Authorization: Bearer <token>' (None when missing or invalid).
+    Only the /api/v1 endpoints accept tokens."""
+    scheme, _, token = request.headers.get('Authorization', '').partition(' ')
+    return resolve_token(token.strip()) if scheme.lower() == 'bearer' else None
+
+def _workspace_error(uid, workspace_id, role):
+    """Error response when uid isn't a member of the workspace with at least role, else None"""
+    member = member_role(uid, workspace_id)
+    if not member:
+        return jsonify({'status': 'error', 'message': 'Workspace not found'}), 404
+    if not has_role(member, role):
+        return jsonify({'status': 'error', 'message': f'This needs the {role} role in the workspace'}), 403
+    return None
+
+def _data_owner(uid, role='viewer'):
+    """Whose suites, runs, environments and credentials the request works on: the workspace named by the
+    X-Workspace-Id header, where the caller needs at least role, or without the header the caller's own.
+    Returns (owner, None), or (None, error response)."""
+    workspace_id = request.headers.get('X-Workspace-Id', '').strip()
+    if not workspace_id:
+        return uid, None
+    error = _workspace_error(uid, workspace_id, role)
+    return (None, error) if error else (workspace_id, None)
+
 
 app.config['MAX_CONTENT_LENGTH'] = 16 * 1024 * 1024  # 16MB max file size
 
@@ -26,6 +97,10 @@ def login():
 def pipeline():
     return render_template('pipeline.html')
 
+@app.route('/profile')
+def profile():
+    return render_template('profile.html')
+
 # Product pages
 @app.route('/pricing')
 def pricing():
@@ -73,13 +148,56 @@ def compliance():
 def cookies():
     return render_template('cookies.html')
 
+def _get_uploaded_file():
+    """
+    Returns (file, None) for the 'file' part of a multipart request, or (None, error_response) if it is missing or too large.
+    """
+    if 'file' not in request.files:
+        return None, (jsonify({'status': 'error', 'message': 'No file part in the request'}), 400)
+    file = request.files['file']
+    if file.filename == '':
+        return None, (jsonify({'status': 'error', 'message': 'No file selected'}), 400)
+    file.seek(0, os.SEEK_END)
+    file_size = file.tell()
+    file.seek(0)
+    if file_size > app.config['MAX_CONTENT_LENGTH']:
+        return None, (jsonify({'status': 'error', 'message': f"File exceeds the {app.config['MAX_CONTENT_LENGTH'] / 1024 / 1024}MB size limit."}), 413)
+    return file, None
+
+def _extract_uploaded_text():
+    """
+    Reads the uploaded file's text via read_file_content. Returns (file_name, text, None) or (None, None, error_response).
+    """
+    file, error = _get_uploaded_file()
+    if error:
+        return None, None, error
+    file_content = read_file_content(file)
+    if not file_content.strip():
+        return None, None, (jsonify({'status': 'error', 'message': 'Could not extract any text from the uploaded file or the file type is unsupported.'}), 400)
+    return file.filename, file_content, None
+
 @app.route('/api/generate-test', methods=['POST'])
 def handle_generate_test():
     """
     API endpoint for generating test cases using the LLM.
+    Accepts JSON, or multipart form data with a 'file' part for the document input type.
     """
+    if not _current_uid():
+        return jsonify({'status': 'error', 'message': 'Sign in to generate tests'}), 401
+    return _generate_tests_response()
+
+def _generate_tests_response():
+    """Generation shared by /api/generate-test and /api/v1/generate-tests."""
     try:
-        data = request.get_json()
+        if request.files:
+            data = request.form.to_dict()
+            file_name, file_content, error = _extract_uploaded_text()
+            if error:
+                return error
+            data['file_name'] = file_name
+            data['file_content'] = file_content
+        else:
+            data = request.get_json()
         test_type = data.get('test_type')
         
         if not test_type:
@@ -103,21 +221,46 @@ def handle_generate_test():
 def parse_tests_from_file_endpoint():
     """
     API endpoint for parsing test cases from an uploaded DOCX or PDF file.
+    CSV, XLSX, JSON and Gherkin files are parsed deterministically using the 'mapping' form field
+    (a JSON object of test field -> column name); without one, the suggested mapping is used.
     """
+    if not _current_uid():
+        return jsonify({'status': 'error', 'message': 'Sign in to import tests'}), 401
+    return _parse_tests_response()
+
+def _column_mapping_form_field():
+    """
+    Returns (mapping, None) for the optional 'mapping' form field, a JSON object of test field -> column name
+    (or null), or (None, error_response) if it is anything else.
+    """
+    error = jsonify({'status': 'error', 'message': 'mapping must be a JSON object of field names to column names'}), 400
+    try:
+        mapping = json.loads(request.form.get('mapping') or 'null')
+    except ValueError:
+        return None, error
+    if mapping is not None and not (isinstance(mapping, dict)
+                                    and all(v is None or isinstance(v, str) for v in mapping.values())):
+        return None, error
+    return mapping, None
+
+def _parse_tests_response():
+    """Parsing shared by /api/parse-tests-from-file and /api/v1/parse-tests."""
     try:
-        if 'file' not in request.files:
-            return jsonify({'status': 'error', 'message': 'No file part in the request'}), 400
-        file = request.files['file']
-        if file.filename == '':
-            return jsonify({'status': 'error', 'message': 'No file selected'}), 400
-        file.seek(0, os.SEEK_END)
-        file_size = file.tell()
-        file.seek(0)
-        if file_size > app.config['MAX_CONTENT_LENGTH']:
-            return jsonify({'status': 'error', 'message': f"File exceeds the {app.config['MAX_CONTENT_LENGTH'] / 1024 / 1024}MB size limit."}), 413
-        file_content = read_file_content(file)
-        if not file_content.strip():
-            return jsonify({'status': 'error', 'message': 'Could not extract any text from the uploaded file or the file type is unsupported.'}), 400
+        file, error = _get_uploaded_file()
+        if error:
+            return error
+        if is_structured_test_file(file.filename):
+            mapping, error = _column_mapping_form_field()
+            if error:
+                return error
+            all_tests = parse_structured_test_file(file, mapping)
+            if not all_tests:
+                return jsonify({'status': 'error', 'message': 'No rows with a test name or description were found. Check the column mapping.'}), 400
+            return jsonify({'status': 'success', 'message': 'Test cases parsed successfully!', 'tests': all_tests})
+
+        _, file_content, error = _extract_uploaded_text()
+        if error:
+            return error
         all_tests = parse_document_for_tests(file_content)
         if not all_tests:
             return jsonify({'status': 'error', 'message': 'No valid test cases could be extracted from the document.'}), 500
@@ -126,27 +269,95 @@ def parse_tests_from_file_endpoint():
             'message': 'Test cases parsed successfully!',
             'tests': all_tests
         })
+    except ValueError as e:
+        # A malformed CSV, XLSX, JSON or .feature file, reported as /api/preview-test-file does
+        return jsonify({'status': 'error', 'message': f"Could not read the file: {str(e)}"}), 400
+    except Exception as e:
+        return jsonify({'status': 'error', 'message': f"An unexpected server error occurred: {str(e)}"}), 500
+
+
+@app.route('/api/preview-test-file', methods=['POST'])
+def preview_test_file_endpoint():
+    """
+    Column-mapping preview for CSV, XLSX and JSON test files: columns, suggested mapping and sample rows.
+    Gherkin .feature files return their parsed scenarios instead.
+    """
+    if not _current_uid():
+        return jsonify({'status': 'error', 'message': 'Sign in to import tests'}), 401
+    try:
+        file, error = _get_uploaded_file()
+        if error:
+            return error
+        if not is_structured_test_file(file.filename):
+            return jsonify({'status': 'error', 'message': 'Only CSV, XLSX, JSON and .feature files can be previewed.'}), 400
+        preview = preview_structured_file(file)
+        return jsonify({'status': 'success', **preview})
+    except ValueError as e:
+        return jsonify({'status': 'error', 'message': f"Could not read the file: {str(e)}"}), 400
     except Exception as e:
         return jsonify({'status': 'error', 'message': f"An unexpected server error occurred: {str(e)}"}), 500
 
 
 @app.route('/api/run-test', methods=['POST'])
 def run_test():
-    """API endpoint for running test cases"""
+    """API endpoint for running test cases.
+    With "stream": true in the body, responds with NDJSON events (start, result, done) as each test finishes.
+    An optional "matrix": {"browsers": [...], "viewports": [...]} runs UI tests once per combination.
+    An optional "credential_id" uses that saved vault credential for login tests (by default, the one saved for
+    the target site); its values are redacted from the results.
+    Tests with a "data_table" run once per row (see data_driven.expand_tests).
+    An optional "environment_ids" list runs the tests against each of the caller's environment profiles in turn,
+    instead of website_url, with the profile's headers, cookies and credentials; each result carries its
+    "environment" ({id, name}) and each environment is recorded as its own run.
+    In a workspace (X-Workspace-Id) this needs the editor role; runs are recorded in the workspace's history.
+    """
+    uid = _current_uid()
+    if not uid:
+        return jsonify({'status': 'error', 'message': 'Sign in to run tests'}), 401
+    owner, error = _data_owner(uid, 'editor')
+    if error:
+        return error
     try:
         data = request.get_json()
         website_url = data.get('website_url')
         test_cases = data.get('test_cases', [])
-        if not website_url:
+        environment_ids = data.get('environment_ids') or []
+        if not website_url and not environment_ids:
             return jsonify({'status': 'error', 'message': 'website_url is required'}), 400
         if not isinstance(test_cases, list) or len(test_cases) == 0:
             return jsonify({'status': 'error', 'message': 'test_cases must be a non-empty array'}), 400
+        if not isinstance(environment_ids, list):
+            return jsonify({'status': 'error', 'message': 'environment_ids must be an array'}), 400
 
-        results = run_tests(website_url, test_cases)
+        try:
+            configs = build_matrix(data.get('matrix'))
+        except ValueError as e:
+            return jsonify({'status': 'error', 'message': str(e)}), 400
+
+        mode = data.get('execution_mode', 'Standard')
+        try:
+            targets = _run_targets(owner, website_url, test_cases, environment_ids, data.get('credential_id'))
+        except LookupError as e:
+            return jsonify({'status': 'error', 'message': str(e)}), 404
+        except CredentialTargetError as e:
+            return jsonify({'status': 'error', 'message': str(e)}), 400
+
+        if data.get('stream'):
+            return _stream_test_run(targets, owner, mode, configs)
+
+        results, history_ids = [], []
+        for target in targets:
+            target_results = list(_iter_target_results(target, configs=configs))
+            results.extend(target_results)
+            history_id = _record_history(owner, target, target_results, mode)
+            if history_id:
+                history_ids.append(history_id)
         return jsonify({
             'status': 'success',
-            'message': f'Tests executed on website: {website_url}',
-            'results': results
+            'message': _run_message(targets),
+            'results': results,
+            'history_id': history_ids[0] if history_ids else None,
+            'history_ids': history_ids
         })
         
     except Exception as e:
@@ -155,20 +366,825 @@ def run_test():
             'message': str(e)
         }), 500
 
+def _record_history(owner, target, results, mode, cancelled=False, suite=None):
+    """Record a finished target in the owner's run history and return the run id, or None when the store
+    can't be written (e.g. a read-only filesystem): the results themselves are still reported."""
+    try:
+        return record_run(owner, target['website_url'], target['test_cases'], results, mode, cancelled, suite)['id']
+    except Exception as e:
+        print(f"Error: could not record run history for {target['website_url']}: {e}")
+        return None
+
+def _with_vault_credentials(owner, website_url, test_cases, credential_id=None):
+    """Give tests without their own credentials the owner's saved vault credential: the one with
+    credential_id, or by default (None) the one saved for the target site. An empty id opts out.
+    Returns (tests, secrets) where secrets are the values to redact from results. Raises LookupError for an
+    unknown credential_id and CredentialTargetError for one saved for another site.
+    """
+    if not owner or credential_id == '' or not vault_available():
+        return test_cases, []
+    credential = get_credential(owner, credential_id, website_url)
+    if not credential:
+        return test_cases, []
+    username, password = credential
+    tests = [
+        t if isinstance(t.get('credentials'), dict) else {**t, 'credentials': {'username': username, 'password': password}}
+        for t in test_cases
+    ]
+    return tests, [password]
+
+def _run_targets(owner, website_url, test_cases, environment_ids=None, credential_id=None):
+    """Expand data-driven tests and resolve where they run: each of the owner's (a uid or workspace id)
+    environment profiles in turn, or website_url. Raises LookupError for an unknown environment or credential and
+    CredentialTargetError for a credential that doesn't belong to the site it would be used on.
+    """
+    test_cases = expand_tests(test_cases)
+    if not environment_ids:
+        tests, secrets = _with_vault_credentials(owner, website_url, test_cases, credential_id)
+        return [{'website_url': website_url, 'test_cases': tests, 'secrets': secrets, 'environment': None}]
+    targets = []
+    for environment_id in dict.fromkeys(environment_ids):
+        profile = get_profile(owner, environment_id)
+        if not profile:
+            raise LookupError(f'Environment profile not found: {environment_id}')
+        targets.append(_environment_target(owner, profile, test_cases))
+    return targets
+
+def _run_saved_suite(owner, suite):
+    """Run a saved suite for the scheduler; each target is recorded in the owner's (a uid or workspace id)
+    run history like a run from the pipeline. Returns the combined summary."""
+    configs = build_matrix(suite.get('matrix'))
+    targets = _run_targets(owner, suite.get('website_url'), suite['test_cases'], suite.get('environment_ids'))
+    results = []
+    for target in targets:
+        target_results = list(_iter_target_results(target, configs=configs))
+        results.extend(target_results)
+        _record_history(owner, target, target_results, 'Scheduled', suite={'id': suite['id'], 'name': suite['name']})
+    return summarize_results(results)
+
+suite_scheduler = SuiteScheduler(_run_saved_suite)
+
+@app.before_request
+def _start_suite_scheduler():
+    # Started on first use rather than at import, so the debug reloader's watcher process never schedules
+    if scheduler_enabled():
+        suite_scheduler.start()
+
+def _environment_target(owner, profile, test_cases):
+    """Run target for an environment profile: its base URL, default headers/cookies, and its vault
+    credential (or, without one, the credential saved for its site)."""
+    tests, secrets = _with_vault_credentials(owner, profile['base_url'], apply_profile(test_cases, profile),
+                                             profile.get('credential_id'))
+    return {
+        'website_url': profile['base_url'],
+        'test_cases': tests,
+        'secrets': secrets,
+        'environment': {'id': profile['id'], 'name': profile['name']}
+    }
+
+def _iter_target_results(target, cancel_event=None, configs=None):
+    """Results of one run target, redacted and tagged with the target's environment."""
+    for result in iter_tests(target['website_url'], target['test_cases'], cancel_event, configs):
+        result = redact(result, target['secrets'])
+        if target['environment']:
+            result['environment'] = target['environment']
+        yield result
+
+def _run_message(targets):
+    if len(targets) == 1:
+        return f"Tests executed on website: {targets[0]['website_url']}"
+    return f"Tests executed on {len(targets)} environments: {', '.join(t['environment']['name'] for t in targets)}"
+
+def _stream_test_run(targets, owner, mode='Standard', configs=None):
+    """Run tests in a generator so each result is flushed to the client as an NDJSON line.
+    targets are run one after another; each finished (or cancelled) target is recorded in the owner's run history.
+    """
+    run_id = uuid.uuid4().hex
+    cancel_event = threading.Event()
+    with _active_runs_lock:
+        _active_runs[run_id] = (owner, cancel_event)
+
+    def generate():
+        results, history_ids = [], []
+        try:
+            total = sum(count_executions(t['test_cases'], configs) for t in targets)
+            yield json.dumps({'event': 'start', 'run_id': run_id, 'total': total}) + '\n'
+            completed = 0
+            for target in targets:
+                target_results = []
+                for result in _iter_target_results(target, cancel_event, configs):
+                    completed += 1
+                    target_results.append(result)
+                    yield json.dumps({'event': 'result', 'completed': completed, 'result': result}) + '\n'
+                results.extend(target_results)
+                history_id = _record_history(owner, target, target_results, mode, cancel_event.is_set())
+                if history_id:
+                    history_ids.append(history_id)
+            yield json.dumps({
+                'event': 'done',
+                'cancelled': cancel_event.is_set(),
+                'message': _run_message(targets),
+                'summary': summarize_results(results),
+                'history_id': history_ids[0] if history_ids else None,
+                'history_ids': history_ids
+            }) + '\n'
+        except Exception as e:
+            yield json.dumps({'event': 'error', 'message': str(e)}) + '\n'
+        finally:
+            # Also reached when the client disconnects mid-run
+            cancel_event.set()
+            with _active_runs_lock:
+                _active_runs.pop(run_id, None)
+
+    return Response(stream_with_context(generate()), mimetype='application/x-ndjson',
+                    headers={'Cache-Control': 'no-cache', 'X-Accel-Buffering': 'no'})
+
+@app.route('/api/validate-selectors', methods=['POST'])
+def validate_selectors_endpoint():
+    """
+    API endpoint that loads the target page once and reports, per test, how many elements each selector matches.
+    """
+    if not _current_uid():
+        return jsonify({'status': 'error', 'message': 'Sign in to validate selectors'}), 401
+    try:
+        data = request.get_json()
+        website_url = data.get('website_url')
+        test_cases = data.get('test_cases', [])
+        if not website_url:
+            return jsonify({'status': 'error', 'message': 'website_url is required'}), 400
+        if not isinstance(test_cases, list) or len(test_cases) == 0:
+            return jsonify({'status': 'error', 'message': 'test_cases must be a non-empty array'}), 400
+        report = validate_selectors(website_url, test_cases)
+        return jsonify({'status': 'success', 'report': report})
+    except Exception as e:
+        return jsonify({'status': 'error', 'message': f"Could not validate selectors: {str(e)}"}), 500
+
+
+@app.route('/api/run-test/<run_id>/cancel', methods=['POST'])
+def cancel_test_run(run_id):
+    """API endpoint for stopping one of the caller's (or their workspace's) streaming runs after the test
+    currently executing"""
+    uid = _current_uid()
+    if not uid:
+        return jsonify({'status': 'error', 'message': 'Sign in to cancel runs'}), 401
+    owner, error = _data_owner(uid, 'editor')
+    if error:
+        return error
+    with _active_runs_lock:
+        run_owner, cancel_event = _active_runs.get(run_id, (None, None))
+    if not cancel_event or run_owner != owner:
+        return jsonify({'status': 'error', 'message': 'Run not found or already finished'}), 404
+    cancel_event.set()
+    return jsonify({'status': 'success', 'message': 'Cancellation requested', 'run_id': run_id})
+
+@app.route('/api/runs', methods=['GET'])
+def list_test_runs():
+    """API endpoint for the run history (summaries only, newest first)"""
+    uid = _current_uid()
+    if not uid:
+        return jsonify({'status': 'error', 'message': 'Sign in to view run history'}), 401
+    owner, error = _data_owner(uid, 'viewer')
+    if error:
+        return error
+    try:
+        return jsonify({'status': 'success', 'runs': list_runs(owner)})
+    except Exception as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 500
+
+@app.route('/api/runs/<run_id>', methods=['GET'])
+def get_test_run(run_id):
+    """API endpoint for a single past run including its per-test results"""
+    uid = _current_uid()
+    if not uid:
+        return jsonify({'status': 'error', 'message': 'Sign in to view run history'}), 401
+    owner, error = _data_owner(uid, 'viewer')
+    if error:
+        return error
+    try:
+        run = get_run(owner, run_id)
+        if not run:
+            return jsonify({'status': 'error', 'message': 'Run not found'}), 404
+        return jsonify({'status': 'success', 'run': run})
+    except Exception as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 500
+
+@app.route('/api/credentials', methods=['GET'])
+def list_vault_credentials():
+    """API endpoint listing the saved target-site credentials (never the secrets)"""
+    uid = _current_uid()
+    if not uid:
+        return jsonify({'status': 'error', 'message': 'Sign in to use saved credentials'}), 401
+    owner, error = _data_owner(uid, 'viewer')
+    if error:
+        return error
+    try:
+        return jsonify({'status': 'success', 'available': vault_available(), 'credentials': list_credentials(owner)})
+    except Exception as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 500
+
+@app.route('/api/credentials', methods=['POST'])
+def save_vault_credential():
+    """API endpoint that encrypts and stores a username/password for a target site"""
+    uid = _current_uid()
+    if not uid:
+        return jsonify({'status': 'error', 'message': 'Sign in to save credentials'}), 401
+    owner, error = _data_owner(uid, 'editor')
+    if error:
+        return error
+    try:
+        data = request.get_json()
+        username = data.get('username') or ''
+        password = data.get('password') or ''
+        if not username or not password:
+            return jsonify({'status': 'error', 'message': 'username and password are required'}), 400
+        credential = save_credential(owner, data.get('target_url', ''), username, password, data.get('label'))
+        return jsonify({'status': 'success', 'credential': credential})
+    except VaultUnavailableError as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 503
+    except ValueError as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 400
+    except Exception as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 500
+
+@app.route('/api/credentials/<credential_id>', methods=['DELETE'])
+def delete_vault_credential(credential_id):
+    """API endpoint removing a saved credential"""
+    uid = _current_uid()
+    if not uid:
+        return jsonify({'status': 'error', 'message': 'Sign in to manage credentials'}), 401
+    owner, error = _data_owner(uid, 'editor')
+    if error:
+        return error
+    try:
+        if not delete_credential(owner, credential_id):
+            return jsonify({'status': 'error', 'message': 'Credential not found'}), 404
+        return jsonify({'status': 'success'})
+    except Exception as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 500
+
+@app.route('/api/environments', methods=['GET'])
+def list_environment_profiles():
+    """API endpoint listing the environment profiles"""
+    uid = _current_uid()
+    if not uid:
+        return jsonify({'status': 'error', 'message': 'Sign in to use environment profiles'}), 401
+    owner, error = _data_owner(uid, 'viewer')
+    if error:
+        return error
+    try:
+        return jsonify({'status': 'success', 'vault_available': vault_available(), 'environments': list_profiles(owner)})
+    except Exception as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 500
+
+@app.route('/api/environments', methods=['POST'])
+@app.route('/api/environments/<profile_id>', methods=['PUT'])
+def save_environment_profile(profile_id=None):
+    """API endpoint creating (POST) or updating (PUT) an environment profile.
+    Body: name, base_url, headers, cookies, and optionally username/password (stored in the credential vault)
+    or "clear_credentials": true.
+    """
+    uid = _current_uid()
+    if not uid:
+        return jsonify({'status': 'error', 'message': 'Sign in to save environment profiles'}), 401
+    owner, error = _data_owner(uid, 'editor')
+    if error:
+        return error
+    try:
+        data = request.get_json()
+        profile = save_profile(owner, data.get('name'), data.get('base_url'), data.get('headers'), data.get('cookies'),
+                               data.get('username'), data.get('password'), profile_id,
+                               bool(data.get('clear_credentials')))
+        return jsonify({'status': 'success', 'environment': profile})
+    except KeyError:
+        return jsonify({'status': 'error', 'message': 'Environment profile not found'}), 404
+    except VaultUnavailableError as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 503
+    except ValueError as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 400
+    except Exception as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 500
+
+@app.route('/api/environments/<profile_id>', methods=['DELETE'])
+def delete_environment_profile(profile_id):
+    """API endpoint removing an environment profile"""
+    uid = _current_uid()
+    if not uid:
+        return jsonify({'status': 'error', 'message': 'Sign in to manage environment profiles'}), 401
+    owner, error = _data_owner(uid, 'editor')
+    if error:
+        return error
+    try:
+        if not delete_profile(owner, profile_id):
+            return jsonify({'status': 'error', 'message': 'Environment profile not found'}), 404
+        return jsonify({'status': 'success'})
+    except Exception as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 500
+
+@app.route('/api/suites', methods=['GET'])
+def list_test_suites():
+    """API endpoint listing the saved suites and their next scheduled runs"""
+    uid = _current_uid()
+    if not uid:
+        return jsonify({'status': 'error', 'message': 'Sign in to use saved suites'}), 401
+    owner, error = _data_owner(uid, 'viewer')
+    if error:
+        return error
+    try:
+        return jsonify({'status': 'success', 'suites': list_suites(owner), 'upcoming': upcoming_runs(owner)})
+    except Exception as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 500
+
+@app.route('/api/suites', methods=['POST'])
+@app.route('/api/suites/<suite_id>', methods=['PUT'])
+def save_test_suite(suite_id=None):
+    """API endpoint creating (POST) or updating (PUT, only the fields sent) a saved suite.
+    Body: name, test_cases, website_url or environment_ids, execution_mode, matrix, and
+    schedule: {cron, timezone, enabled} where cron is a 5-field expression evaluated in timezone (IANA, default UTC),
+    and notifications: [{type: webhook|slack|email, url or to, trigger: completed|failures, threshold}].
+    """
+    uid = _current_uid()
+    if not uid:
+        return jsonify({'status': 'error', 'message': 'Sign in to save suites'}), 401
+    owner, error = _data_owner(uid, 'editor')
+    if error:
+        return error
+    try:
+        data = request.get_json()
+        if 'matrix' in data:
+            build_matrix(data.get('matrix'))
+        suite = save_suite(owner, data, suite_id)
+        return jsonify({'status': 'success', 'suite': suite})
+    except KeyError:
+        return jsonify({'status': 'error', 'message': 'Suite not found'}), 404
+    except ValueError as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 400
+    except Exception as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 500
+
+@app.route('/api/suites/<suite_id>', methods=['DELETE'])
+def delete_test_suite(suite_id):
+    """API endpoint removing a saved suite (its past runs stay in the history)"""
+    uid = _current_uid()
+    if not uid:
+        return jsonify({'status': 'error', 'message': 'Sign in to manage suites'}), 401
+    owner, error = _data_owner(uid, 'editor')
+    if error:
+        return error
+    try:
+        if not delete_suite(owner, suite_id):
+            return jsonify({'status': 'error', 'message': 'Suite not found'}), 404
+        return jsonify({'status': 'success'})
+    except Exception as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 500
+
+@app.route('/api/notifications/test', methods=['POST'])
+def test_notification():
+    """API endpoint sending a sample run notification on one channel.
+    Body: {channel: {type: webhook|slack|email, url or to, trigger, threshold}, suite_id (optional, names the sample)}
+    """
+    uid = _current_uid()
+    if not uid:
+        return jsonify({'status': 'error', 'message': 'Sign in to send notifications'}), 401
+    owner, error = _data_owner(uid, 'editor')
+    if error:
+        return error
+    try:
+        data = request.get_json() or {}
+        suite = get_suite(owner, data['suite_id']) if data.get('suite_id') else None
+        send_test_notification(data.get('channel'), suite)
+        return jsonify({'status': 'success', 'message': 'Test notification sent'})
+    except ValueError as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 400
+    except Exception as e:
+        return jsonify({'status': 'error', 'message': f'Delivery failed: {e}'}), 502
+
+@app.route('/api/tokens', methods=['GET'])
+def list_api_tokens():
+    """API endpoint listing the signed-in user's personal access tokens (never the token values)"""
+    uid = _current_uid()
+    if not uid:
+        return jsonify({'status': 'error', 'message': 'Sign in to manage API tokens'}), 401
+    try:
+        return jsonify({'status': 'success', 'tokens': list_tokens(uid)})
+    except Exception as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 500
+
+@app.route('/api/tokens', methods=['POST'])
+def create_api_token():
+    """API endpoint creating a personal access token. Body: name, expires_in_days (optional).
+    The token is only ever returned in this response."""
+    uid = _current_uid()
+    if not uid:
+        return jsonify({'status': 'error', 'message': 'Sign in to manage API tokens'}), 401
+    try:
+        data = request.get_json() or {}
+        record, token = create_token(uid, data.get('name'), data.get('expires_in_days'))
+        return jsonify({'status': 'success', 'token': token, 'record': record})
+    except ValueError as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 400
+    except Exception as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 500
+
+@app.route('/api/tokens/<token_id>', methods=['DELETE'])
+def revoke_api_token(token_id):
+    """API endpoint revoking one of the signed-in user's personal access tokens"""
+    uid = _current_uid()
+    if not uid:
+        return jsonify({'status': 'error', 'message': 'Sign in to manage API tokens'}), 401
+    try:
+        if not revoke_token(uid, token_id):
+            return jsonify({'status': 'error', 'message': 'Token not found'}), 404
+        return jsonify({'status': 'success'})
+    except Exception as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 500
+
+# --- Workspaces: members share suites, run history, environments and credentials (see workspaces.py) ---
+
+def _is_guest(claims):
+    return (claims.get('firebase') or {}).get('sign_in_provider') == 'anonymous'
+
+def _verified_email(claims):
+    """The caller's email address, if their identity provider verified it (invitations go by email)"""
+    return claims.get('email') if claims.get('email_verified') else None
+
+@app.route('/api/workspaces', methods=['GET'])
+def list_user_workspaces():
+    """API endpoint listing the signed-in user's workspaces and the invitations waiting for their email address"""
+    claims = _current_claims()
+    if not claims:
+        return jsonify({'status': 'error', 'message': 'Sign in to use workspaces'}), 401
+    try:
+        return jsonify({
+            'status': 'success',
+            'workspaces': list_workspaces(claims['uid']),
+            'invitations': pending_invitations(_verified_email(claims)),
+            'email_verified': bool(claims.get('email_verified'))
+        })
+    except Exception as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 500
+
+@app.route('/api/workspaces', methods=['POST'])
+def create_user_workspace():
+    """API endpoint creating a workspace owned by the signed-in user. Body: name"""
+    claims = _current_claims()
+    if not claims:
+        return jsonify({'status': 'error', 'message': 'Sign in to create workspaces'}), 401
+    if _is_guest(claims):
+        return jsonify({'status': 'error', 'message': 'Create an account to use workspaces'}), 403
+    try:
+        data = request.get_json() or {}
+        workspace = create_workspace(claims['uid'], claims.get('email'), data.get('name'))
+        return jsonify({'status': 'success', 'workspace': workspace})
+    except ValueError as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 400
+    except Exception as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 500
+
+@app.route('/api/workspaces/<workspace_id>', methods=['GET'])
+def get_user_workspace(workspace_id):
+    """API endpoint for a workspace with its members (and, for owners, open invitations)"""
+    uid = _current_uid()
+    if not uid:
+        return jsonify({'status': 'error', 'message': 'Sign in to use workspaces'}), 401
+    try:
+        workspace = get_workspace(uid, workspace_id)
+        if not workspace:
+            return jsonify({'status': 'error', 'message': 'Workspace not found'}), 404
+        return jsonify({'status': 'success', 'workspace': workspace})
+    except Exception as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 500
+
+@app.route('/api/workspaces/<workspace_id>', methods=['PUT'])
+def rename_user_workspace(workspace_id):
+    """API endpoint renaming a workspace (owners only). Body: name"""
+    uid = _current_uid()
+    if not uid:
+        return jsonify({'status': 'error', 'message': 'Sign in to manage workspaces'}), 401
+    error = _workspace_error(uid, workspace_id, 'owner')
+    if error:
+        return error
+    try:
+        data = request.get_json() or {}
+        return jsonify({'status': 'success', 'workspace': rename_workspace(uid, workspace_id, data.get('name'))})
+    except KeyError:
+        return jsonify({'status': 'error', 'message': 'Workspace not found'}), 404
+    except ValueError as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 400
+    except Exception as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 500
+
+@app.route('/api/workspaces/<workspace_id>', methods=['DELETE'])
+def delete_user_workspace(workspace_id):
+    """API endpoint deleting a workspace with its suites, run history, environments and credentials (owners only)"""
+    uid = _current_uid()
+    if not uid:
+        return jsonify({'status': 'error', 'message': 'Sign in to manage workspaces'}), 401
+    error = _workspace_error(uid, workspace_id, 'owner')
+    if error:
+        return error
+    try:
+        if not delete_workspace(workspace_id):
+            return jsonify({'status': 'error', 'message': 'Workspace not found'}), 404
+        return jsonify({'status': 'success'})
+    except Exception as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 500
+
+@app.route('/api/workspaces/<workspace_id>/invitations', methods=['POST'])
+def invite_workspace_member(workspace_id):
+    """API endpoint inviting someone by email (owners only). Body: email, role (viewer, editor or owner).
+    The invitee is emailed when SMTP is configured, and sees the invitation on their profile once signed in."""
+    claims = _current_claims()
+    if not claims:
+        return jsonify({'status': 'error', 'message': 'Sign in to manage workspaces'}), 401
+    error = _workspace_error(claims['uid'], workspace_id, 'owner')
+    if error:
+        return error
+    try:
+        data = request.get_json() or {}
+        invitation = invite_member(workspace_id, data.get('email'), data.get('role') or 'viewer',
+                                   claims.get('name') or claims.get('email') or 'A BugzyAI user')
+        emailed = False
+        try:
+            emailed = send_invitation_email(workspace_id, invitation, f"{request.host_url}login?next=/profile")
+        except Exception as e:
+            print(f"Error: could not email the invitation to {invitation['email']}: {e}")
+        return jsonify({'status': 'success', 'invitation': invitation, 'emailed': emailed})
+    except KeyError:
+        return jsonify({'status': 'error', 'message': 'Workspace not found'}), 404
+    except ValueError as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 400
+    except Exception as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 500
+
+@app.route('/api/workspaces/<workspace_id>/invitations/<path:email>', methods=['DELETE'])
+def cancel_workspace_invitation(workspace_id, email):
+    """API endpoint withdrawing an invitation (owners only)"""
+    uid = _current_uid()
+    if not uid:
+        return jsonify({'status': 'error', 'message': 'Sign in to manage workspaces'}), 401
+    error = _workspace_error(uid, workspace_id, 'owner')
+    if error:
+        return error
+    try:
+        if not cancel_invitation(workspace_id, email):
+            return jsonify({'status': 'error', 'message': 'Invitation not found'}), 404
+        return jsonify({'status': 'success'})
+    except Exception as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 500
+
+@app.route('/api/workspaces/<workspace_id>/accept', methods=['POST'])
+def accept_workspace_invitation(workspace_id):
+    """API endpoint joining a workspace the signed-in user's verified email address was invited to"""
+    claims = _current_claims()
+    if not claims:
+        return jsonify({'status': 'error', 'message': 'Sign in to accept invitations'}), 401
+    email = _verified_email(claims)
+    if not email or _is_guest(claims):
+        return jsonify({'status': 'error', 'message': 'Verify your email address to accept invitations'}), 403
+    try:
+        return jsonify({'status': 'success', 'workspace': accept_invitation(claims['uid'], email, workspace_id)})
+    except KeyError:
+        return jsonify({'status': 'error', 'message': 'Invitation not found'}), 404
+    except Exception as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 500
+
+@app.route('/api/workspaces/<workspace_id>/decline', methods=['POST'])
+def decline_workspace_invitation(workspace_id):
+    """API endpoint turning down an invitation for the signed-in user's verified email address"""
+    claims = _current_claims()
+    if not claims:
+        return jsonify({'status': 'error', 'message': 'Sign in to manage invitations'}), 401
+    email = _verified_email(claims)
+    if not email:
+        return jsonify({'status': 'error', 'message': 'Verify your email address to manage invitations'}), 403
+    try:
+        if not cancel_invitation(workspace_id, email):
+            return jsonify({'status': 'error', 'message': 'Invitation not found'}), 404
+        return jsonify({'status': 'success'})
+    except Exception as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 500
+
+@app.route('/api/workspaces/<workspace_id>/members/<member_uid>', methods=['PUT'])
+def update_workspace_member(workspace_id, member_uid):
+    """API endpoint changing a member's role (owners only). Body: role"""
+    uid = _current_uid()
+    if not uid:
+        return jsonify({'status': 'error', 'message': 'Sign in to manage workspaces'}), 401
+    error = _workspace_error(uid, workspace_id, 'owner')
+    if error:
+        return error
+    try:
+        data = request.get_json() or {}
+        return jsonify({'status': 'success', 'member': set_member_role(workspace_id, member_uid, data.get('role'))})
+    except KeyError:
+        return jsonify({'status': 'error', 'message': 'Member not found'}), 404
+    except ValueError as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 400
+    except Exception as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 500
+
+@app.route('/api/workspaces/<workspace_id>/members/<member_uid>', methods=['DELETE'])
+def remove_workspace_member(workspace_id, member_uid):
+    """API endpoint removing a member (owners only), or leaving the workspace (member_uid is the caller)"""
+    uid = _current_uid()
+    if not uid:
+        return jsonify({'status': 'error', 'message': 'Sign in to manage workspaces'}), 401
+    error = _workspace_error(uid, workspace_id, 'viewer' if member_uid == uid else 'owner')
+    if error:
+        return error
+    try:
+        if not remove_member(workspace_id, member_uid):
+            return jsonify({'status': 'error', 'message': 'Member not found'}), 404
+        return jsonify({'status': 'success'})
+    except ValueError as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 400
+    except Exception as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 500
+
+# --- Versioned public API for CI, authenticated with personal access tokens (see README "REST API v1") ---
+
+api_runner = AsyncRunner()
+
+def _token_required():
+    return jsonify({'status': 'error', 'message': 'A valid API token is required (Authorization: Bearer <token>)'}), 401
+
+@app.route('/api/v1/generate-tests', methods=['POST'])
+def api_v1_generate_tests():
+    """Same request and response as /api/generate-test"""
+    if not _token_uid():
+        return _token_required()
+    return _generate_tests_response()
+
+@app.route('/api/v1/parse-tests', methods=['POST'])
+def api_v1_parse_tests():
+    """Same request and response as /api/parse-tests-from-file"""
+    if not _token_uid():
+        return _token_required()
+    return _parse_tests_response()
+
+@app.route('/api/v1/suites', methods=['GET'])
+def api_v1_list_suites():
+    """The token owner's saved suites, or with X-Workspace-Id their workspace's"""
+    uid = _token_uid()
+    if not uid:
+        return _token_required()
+    owner, error = _data_owner(uid, 'viewer')
+    if error:
+        return error
+    try:
+        return jsonify({'status': 'success', 'suites': list_suites(owner)})
+    except Exception as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 500
+
+def _api_run_work(owner, targets, configs, mode, suite):
+    """Background work for an API run: runs each target, records it in the run history, and for a saved
+    suite updates its last run and sends its notifications."""
+    suite_ref = {'id': suite['id'], 'name': suite['name']} if suite else None
+
+    def work(cancel_event, progress):
+        total = sum(count_executions(t['test_cases'], configs) for t in targets)
+        progress(0, total)
+        results, history_ids = [], []
+        for target in targets:
+            target_results = []
+            for result in _iter_target_results(target, cancel_event, configs):
+                target_results.append(result)
+                progress(len(results) + len(target_results), total)
+            results.extend(target_results)
+            history_id = _record_history(owner, target, target_results, mode, cancel_event.is_set(), suite_ref)
+            if history_id:
+                history_ids.append(history_id)
+        summary = summarize_results(results)
+        if suite:
+            record_suite_run(owner, suite['id'], summary)
+            notify_run(suite, summary)
+        return summary, history_ids
+
+    return work
+
+@app.route('/api/v1/runs', methods=['POST'])
+def api_v1_start_run():
+    """Start a run in the background and respond 202 with its id; poll GET /api/v1/runs/<id> for progress.
+    Body: either {"suite_id": ...} to run a saved suite, or the same fields as /api/run-test
+    (website_url or environment_ids, test_cases, execution_mode, matrix, credential_id).
+    With X-Workspace-Id the run uses the workspace's suites and environments and lands in its run history.
+    """
+    uid = _token_uid()
+    if not uid:
+        return _token_required()
+    owner, error = _data_owner(uid, 'editor')
+    if error:
+        return error
+    try:
+        data = request.get_json() or {}
+        suite = None
+        if data.get('suite_id'):
+            suite = get_suite(owner, data['suite_id'])
+            if not suite:
+                return jsonify({'status': 'error', 'message': 'Suite not found'}), 404
+            data = suite
+        website_url = data.get('website_url')
+        test_cases = data.get('test_cases', [])
+        environment_ids = data.get('environment_ids') or []
+        if not website_url and not environment_ids:
+            return jsonify({'status': 'error', 'message': 'website_url is required'}), 400
+        if not isinstance(test_cases, list) or len(test_cases) == 0:
+            return jsonify({'status': 'error', 'message': 'test_cases must be a non-empty array'}), 400
+        if not isinstance(environment_ids, list):
+            return jsonify({'status': 'error', 'message': 'environment_ids must be an array'}), 400
+
+        try:
+            configs = build_matrix(data.get('matrix'))
+        except ValueError as e:
+            return jsonify({'status': 'error', 'message': str(e)}), 400
+        try:
+            targets = _run_targets(owner, website_url, test_cases, environment_ids, data.get('credential_id'))
+        except LookupError as e:
+            return jsonify({'status': 'error', 'message': str(e)}), 404
+        except CredentialTargetError as e:
+            return jsonify({'status': 'error', 'message': str(e)}), 400
+
+        mode = data.get('execution_mode') or 'Standard'
+        run = api_runner.submit(uid, {
+            'workspace_id': owner if owner != uid else None,
+            'suite': {'id': suite['id'], 'name': suite['name']} if suite else None,
+            'website_url': website_url,
+            'environment_ids': environment_ids,
+            'execution_mode': mode,
+            'test_count': len(test_cases)
+        }, _api_run_work(owner, targets, configs, mode, suite))
+        return jsonify({'status': 'success', 'run': run}), 202, {'Location': f"/api/v1/runs/{run['id']}"}
+    except Exception as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 500
+
+@app.route('/api/v1/runs', methods=['GET'])
+def api_v1_list_runs():
+    """The token owner's API runs, newest first (status and summary only), leaving out those of workspaces
+    they no longer belong to"""
+    uid = _token_uid()
+    if not uid:
+        return _token_required()
+    try:
+        runs = [run for run in api_runner.list_runs(uid)
+                if not run.get('workspace_id') or member_role(uid, run['workspace_id'])]
+        return jsonify({'status': 'success', 'runs': runs})
+    except Exception as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 500
+
+@app.route('/api/v1/runs/<run_id>', methods=['GET'])
+def api_v1_get_run(run_id):
+    """Status of an API run: queued, running, completed, cancelled, failed or interrupted, with progress
+    (completed of total) and, once finished, its summary and per-test results."""
+    uid = _token_uid()
+    if not uid:
+        return _token_required()
+    try:
+        run = api_runner.get(uid, run_id)
+        if not run:
+            return jsonify({'status': 'error', 'message': 'Run not found'}), 404
+        # A workspace run's results belong to the workspace: only its current members can read them
+        error = _workspace_error(uid, run['workspace_id'], 'viewer') if run.get('workspace_id') else None
+        if error:
+            return error
+        results = []
+        for history_id in run['history_ids']:
+            recorded = get_run(run.get('workspace_id') or uid, history_id)
+            results.extend(recorded['results'] if recorded else [])
+        return jsonify({'status': 'success', 'run': {**run, 'results': results}})
+    except Exception as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 500
+
+@app.route('/api/v1/runs/<run_id>/cancel', methods=['POST'])
+def api_v1_cancel_run(run_id):
+    """Stop a queued or running API run after the test currently executing"""
+    uid = _token_uid()
+    if not uid:
+        return _token_required()
+    run = api_runner.get(uid, run_id)
+    error = _workspace_error(uid, run['workspace_id'], 'editor') if run and run.get('workspace_id') else None
+    if error:
+        return error
+    if not run or not api_runner.cancel(run_id):
+        return jsonify({'status': 'error', 'message': 'Run not found or already finished'}), 404
+    return jsonify({'status': 'success', 'message': 'Cancellation requested', 'run_id': run_id})
+
 @app.route('/api/upload', methods=['POST'])
 def upload_file():
-    """API endpoint for file uploads for the generation flow (in-memory only)"""
-    try:
-        if 'file' not in request.files:
-            return jsonify({'status': 'error', 'message': 'No file uploaded'}), 400
-        file = request.files['file']
-        if file.filename == '':
-            return jsonify({'status': 'error', 'message': 'No file selected'}), 400
-        # No disk write, just acknowledge upload
+    """API endpoint for file uploads for the generation flow (in-memory only).
+    Returns the extracted requirements text so the client can preview it and send it to /api/generate-test.
+    """
+    if not _current_uid():
+        return jsonify({'status': 'error', 'message': 'Sign in to upload documents'}), 401
+    try:
+        file_name, file_content, error = _extract_uploaded_text()
+        if error:
+            return error
+        # No disk write, the text is returned to the client
         return jsonify({
             'status': 'success',
-            'message': 'File received in memory',
-            'filename': file.filename
+            'message': 'Requirements extracted from document',
+            'filename': file_name,
+            'content': file_content
         })
     except Exception as e:
         return jsonify({'status': 'error', 'message': str(e)}), 500
@@ -178,6 +1194,8 @@ def download_tests():
     """
     API endpoint for generating and downloading a DOCX of test cases (in-memory, no disk write).
     """
+    if not _current_uid():
+        return jsonify({'status': 'error', 'message': 'Sign in to download tests'}), 401
     from io import BytesIO
     try:
         data = request.get_json()
@@ -191,6 +1209,8 @@ def download_tests():
             document.add_paragraph(f"Description: {test.get('description', 'No Description')}")
             document.add_paragraph(f"Type: {test.get('type', 'N/A')}")
             document.add_paragraph(f"Selector: {test.get('selector', 'N/A')}")
+            for i, step in enumerate(test.get('steps') or [], start=1):
+                document.add_paragraph(f"Step {i}: {step}")
             document.add_paragraph()
         file_stream = BytesIO()
         document.save(file_stream)
@@ -199,11 +1219,50 @@ def download_tests():
     except Exception as e:
         return jsonify({'status': 'error', 'message': str(e)}), 500
 
+@app.route('/api/export-tests', methods=['POST'])
+def export_tests():
+    """
+    API endpoint for exporting test cases as runnable Playwright and/or Selenium WebDriver JS projects in a zip.
+    """
+    if not _current_uid():
+        return jsonify({'status': 'error', 'message': 'Sign in to export tests'}), 401
+    try:
+        data = request.get_json()
+        test_cases = data.get('test_cases', [])
+        fmt = data.get('format', 'all')
+        if not test_cases:
+            return jsonify({'status': 'error', 'message': 'No test cases provided'}), 400
+        if fmt not in EXPORT_FORMATS:
+            return jsonify({'status': 'error', 'message': f"format must be one of: {', '.join(EXPORT_FORMATS)}"}), 400
+        file_stream = export_tests_zip(test_cases, fmt, data.get('base_url', ''))
+        return send_file(file_stream, as_attachment=True, download_name=f"bugzyai-{fmt}-tests.zip", mimetype='application/zip')
+    except Exception as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 500
+
+@app.route('/api/page-snapshot', methods=['POST'])
+def page_snapshot():
+    """
+    API endpoint returning a script-free snapshot of the rendered target page for the visual selector picker.
+    """
+    if not _current_uid():
+        return jsonify({'status': 'error', 'message': 'Sign in to use the selector picker'}), 401
+    try:
+        data = request.get_json()
+        url = (data.get('url') or '').strip()
+        if not url.startswith(('http://', 'https://')):
+            return jsonify({'status': 'error', 'message': 'A valid http(s) url is required'}), 400
+        html, final_url = capture_page_snapshot(url)
+        return jsonify({'status': 'success', 'html': html, 'final_url': final_url})
+    except Exception as e:
+        return jsonify({'status': 'error', 'message': f"Could not load the page: {str(e)}"}), 500
+
 @app.route('/api/download-results', methods=['POST'])
 def download_results():
     """
     API endpoint for generating and downloading a DOCX of test execution results (in-memory, no disk write).
     """
+    if not _current_uid():
+        return jsonify({'status': 'error', 'message': 'Sign in to download results'}), 401
     from io import BytesIO
     try:
         data = request.get_json()
@@ -214,12 +1273,29 @@ def download_results():
         document.add_heading('Test Execution Results', 0)
         for result in test_results:
             name = result.get('name', 'Unnamed Test')
+            if result.get('config'):
+                name = f"{name} [{result['config'].get('browser')}/{result['config'].get('viewport')}]"
+            if result.get('environment'):
+                name = f"{name} [{result['environment'].get('name')}]"
             status = result.get('status', 'unknown').upper()
             message = result.get('message', '')
             document.add_heading(name, level=1)
             document.add_paragraph(f"Status: {status}")
+            if result.get('duration') is not None:
+                document.add_paragraph(f"Duration: {result['duration']}s")
             if message:
                 document.add_paragraph(f"Details: {message}")
+            artifacts = result.get('artifacts') or {}
+            if artifacts.get('url'):
+                document.add_paragraph(f"Failed at: {artifacts['url']}")
+            if artifacts.get('screenshot'):
+                try:
+                    document.add_picture(BytesIO(base64.b64decode(artifacts['screenshot'])), width=Inches(6))
+                except Exception:
+                    document.add_paragraph("(Screenshot could not be embedded)")
+            if artifacts.get('dom_excerpt'):
+                document.add_paragraph("DOM excerpt:")
+                document.add_paragraph(artifacts['dom_excerpt'][:2000], style='Quote')
             document.add_paragraph()
         file_stream = BytesIO()
         document.save(file_stream)
@@ -231,31 +1307,29 @@ def download_results():
 # Authentication API endpoints
 @app.route('/api/user/login', methods=['POST'])
 def user_login():
-    """API endpoint for storing user login data"""
+    """API endpoint confirming a sign-in: the user data comes from the verified ID token, not the request body"""
+    scheme, _, token = request.headers.get('Authorization', '').partition(' ')
+    if scheme.lower() != 'bearer' or not token.strip():
+        return jsonify({'status': 'error', 'message': 'Sign in with a Firebase ID token'}), 401
     try:
-        data = request.get_json()
-        
-        # Here you could store user data in a database
-        # For now, we'll just acknowledge the login
+        claims = verify_id_token(token.strip())
         user_data = {
-            'uid': data.get('uid'),
-            'email': data.get('email'),
-            'displayName': data.get('displayName'),
-            'loginTime': data.get('loginTime'),
-            'isGuest': data.get('isGuest', False)
+            'uid': claims['uid'],
+            'email': claims.get('email'),
+            'emailVerified': bool(claims.get('email_verified')),
+            'displayName': claims.get('name'),
+            'loginTime': claims.get('auth_time'),
+            'isGuest': _is_guest(claims)
         }
-        
-        # In a real application, you would:
-        # 1. Verify the Firebase token
-        # 2. Store user session in database
-        # 3. Return session token or user preferences
-        
+
         return jsonify({
             'status': 'success',
             'message': 'User login recorded',
             'userData': user_data
         })
-        
+
+    except InvalidIdTokenError as e:
+        return jsonify({'status': 'error', 'message': f'Invalid ID token: {e}'}), 401
     except Exception as e:
         return jsonify({'status': 'error', 'message': str(e)}), 500
 
@@ -277,12 +1351,15 @@ def user_logout():
 @app.route('/api/user/profile', methods=['GET'])
 def get_user_profile():
     """API endpoint for getting user profile data"""
+    uid = _current_uid()
+    if not uid:
+        return jsonify({'status': 'error', 'message': 'Sign in to view your profile'}), 401
     try:
-        # In a real application, you would:
-        # 1. Verify the user token
-        # 2. Fetch user data from database
-        # 3. Return user preferences, test history, etc.
-        
+        runs = list_runs(uid)
+        executed = sum(r['summary']['total'] for r in runs)
+        passed = sum(r['summary']['passed'] for r in runs)
+        decided = passed + sum(r['summary']['failed'] for r in runs)
+
         return jsonify({
             'status': 'success',
             'message': 'Profile data retrieved',
@@ -294,8 +1371,9 @@ def get_user_profile():
                 },
                 'stats': {
                     'testsGenerated': 0,
-                    'testsExecuted': 0,
-                    'successRate': 0
+                    'testsExecuted': executed,
+                    'successRate': round(passed * 100 / decided) if decided else 0,
+                    'runs': len(runs)
                 }
             }
         })
@@ -304,4 +1382,8 @@ def get_user_profile():
         return jsonify({'status': 'error', 'message': str(e)}), 500
 
 if __name__ == '__main__':
+    # With debug=True only the reloader's child process (WERKZEUG_RUN_MAIN) serves; start scheduling there
+    # without waiting for the first request
+    if os.environ.get('WERKZEUG_RUN_MAIN') == 'true' and scheduler_enabled():
+        suite_scheduler.start()
     app.run(debug=True, host='0.0.0.0', port=5000)
@@ -0,0 +1,130 @@
+import os
+import json
+import uuid
+from datetime import datetime, timezone
+from typing import Any, Dict, List, Optional, Tuple
+from urllib.parse import urlparse
+
+from storage import load_collection, update_collection
+
+COLLECTION = "credential_vault"
+
+# Fernet key (urlsafe base64, 32 bytes), e.g. from: python -c "from cryptography.fernet import Fernet; print(Fernet.generate_key().decode())"
+VAULT_KEY_ENV = "CREDENTIAL_VAULT_KEY"
+
+REDACTED = "******"
+
+
+class VaultUnavailableError(Exception):
+    """Raised when no CREDENTIAL_VAULT_KEY is configured, so secrets cannot be stored or read."""
+
+
+class CredentialTargetError(ValueError):
+    """Raised when a credential requested by id was saved for another site than the one a run targets."""
+
+
+def _fernet():
+    key = os.getenv(VAULT_KEY_ENV)
+    if not key:
+        raise VaultUnavailableError(f"Credential vault is not configured. Set {VAULT_KEY_ENV} on the server.")
+    from cryptography.fernet import Fernet
+    return Fernet(key.encode())
+
+
+def vault_available() -> bool:
+    return bool(os.getenv(VAULT_KEY_ENV))
+
+
+def target_key(url: str) -> str:
+    """Credentials are stored per origin (scheme + host[:port]), so any page of a site matches."""
+    parsed = urlparse((url or "").strip())
+    return f"{parsed.scheme.lower()}://{parsed.netloc.lower()}" if parsed.scheme and parsed.netloc else ""
+
+
+def _username_hint(username: str) -> str:
+    if len(username) <= 2:
+        return "*" * len(username)
+    return f"{username[:2]}{'*' * min(len(username) - 2, 6)}"
+
+
+def _public(entry: Dict) -> Dict:
+    """Entry as returned to the client: never the encrypted secret."""
+    return {k: v for k, v in entry.items() if k != "secret"}
+
+
+def list_credentials(uid: str) -> List[Dict]:
+    """A user's saved credentials, without secrets."""
+    entries = load_collection(COLLECTION).get(uid, {})
+    return sorted((_public(e) for e in entries.values()), key=lambda e: e["target"])
+
+
+def save_credential(uid: str, target_url: str, username: str, password: str, label: Optional[str] = None) -> Dict:
+    """Encrypt and store a username/password for the target's origin, replacing any existing one for it."""
+    target = target_key(target_url)
+    if not target:
+        raise ValueError("A valid http(s) target URL is required")
+    secret = _fernet().encrypt(json.dumps({"username": username, "password": password}).encode()).decode()
+    now = datetime.now(timezone.utc).isoformat()
+
+    def _upsert(data):
+        entries = data.setdefault(uid, {})
+        existing = next((e for e in entries.values() if e["target"] == target), None)
+        entry = {
+            "id": existing["id"] if existing else uuid.uuid4().hex,
+            "target": target,
+            "label": label or target,
+            "username_hint": _username_hint(username),
+            "secret": secret,
+            "created_at": existing["created_at"] if existing else now,
+            "updated_at": now,
+        }
+        entries[entry["id"]] = entry
+        return _public(entry)
+
+    return update_collection(COLLECTION, _upsert)
+
+
+def delete_credential(uid: str, credential_id: str) -> bool:
+    def _delete(data):
+        return data.get(uid, {}).pop(credential_id, None) is not None
+
+    return update_collection(COLLECTION, _delete)
+
+
+def get_credential(uid: str, credential_id: Optional[str] = None, website_url: Optional[str] = None) -> Optional[Tuple[str, str]]:
+    """Decrypted (username, password) by id, or without an id the one saved for website_url's origin.
+    Server-side use only. Raises LookupError for an unknown credential_id rather than falling back to the site's
+    credential, which could sign in as another account. A credential is only ever handed out for its own origin:
+    raises CredentialTargetError when the one with credential_id belongs to another site than website_url, so a
+    run can't send it somewhere else.
+    """
+    entries = load_collection(COLLECTION).get(uid, {})
+    entry = entries.get(credential_id) if credential_id else None
+    if credential_id and entry is None:
+        raise LookupError(f"Saved credential not found: {credential_id}")
+    if entry is not None and entry["target"] != target_key(website_url):
+        raise CredentialTargetError(f"The selected credential is saved for {entry['target']} and can't be used on "
+                                    f"{target_key(website_url) or 'this URL'}")
+    if not credential_id and website_url:
+        entry = next((e for e in entries.values() if e["target"] == target_key(website_url)), None)
+    if entry is None:
+        return None
+    data = json.loads(_fernet().decrypt(entry["secret"].encode()))
+    return data["username"], data["password"]
+
+
+def redact(value: Any, secrets: List[str]) -> Any:
+    """Replace every occurrence of the given secrets in strings nested anywhere in value.
+    Meant for passwords: a common value such as a username would be blotted out of unrelated text too."""
+    secrets = [s for s in secrets if s]
+    if not secrets:
+        return value
+    if isinstance(value, str):
+        for secret in secrets:
+            value = value.replace(secret, REDACTED)
+        return value
+    if isinstance(value, dict):
+        return {k: redact(v, secrets) for k, v in value.items()}
+    if isinstance(value, list):
+        return [redact(v, secrets) for v in value]
+    return value
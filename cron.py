@@ -0,0 +1,140 @@
+"""Five-field cron expressions (minute hour day-of-month month day-of-week) for scheduled suites.
+
+Supports *, lists (1,15), ranges (1-5), steps (*/10, 8-18/2), month and weekday names (jan, mon-fri)
+and the @hourly/@daily/@weekly/@monthly/@yearly shortcuts. As in standard cron, when both day fields
+are restricted a day matches if either does. Times are evaluated in the schedule's IANA timezone.
+"""
+
+from datetime import datetime, timedelta, timezone
+from typing import Dict, List, Optional, Set
+from zoneinfo import ZoneInfo, ZoneInfoNotFoundError
+
+_MACROS = {
+    "@yearly": "0 0 1 1 *",
+    "@annually": "0 0 1 1 *",
+    "@monthly": "0 0 1 * *",
+    "@weekly": "0 0 * * 0",
+    "@daily": "0 0 * * *",
+    "@midnight": "0 0 * * *",
+    "@hourly": "0 * * * *",
+}
+_MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"]
+_WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"]
+
+# (name, lowest, highest, names mapped onto lowest..)
+_FIELDS = [
+    ("minute", 0, 59, None),
+    ("hour", 0, 23, None),
+    ("day of month", 1, 31, None),
+    ("month", 1, 12, _MONTHS),
+    ("day of week", 0, 7, _WEEKDAYS),  # 0 and 7 are both Sunday
+]
+
+# A schedule that can't fire within this window (e.g. "0 0 31 2 *") is rejected
+_SEARCH_YEARS = 5
+
+
+def _value(token: str, field: str, low: int, high: int, names: Optional[List[str]]) -> int:
+    token = token.strip().lower()
+    if names and token in names:
+        return names.index(token) + low
+    if not token.isdigit():
+        raise ValueError(f"Invalid {field} value '{token}'")
+    value = int(token)
+    if not low <= value <= high:
+        raise ValueError(f"{field.capitalize()} value {value} is outside {low}-{high}")
+    return value
+
+
+def _parse_field(text: str, field: str, low: int, high: int, names: Optional[List[str]]) -> Set[int]:
+    values = set()
+    for part in text.split(","):
+        step = 1
+        if "/" in part:
+            part, step_text = part.split("/", 1)
+            if not step_text.isdigit() or int(step_text) == 0:
+                raise ValueError(f"Invalid {field} step '{step_text}'")
+            step = int(step_text)
+        if part == "*":
+            start, end = low, high
+        elif "-" in part:
+            first, last = part.split("-", 1)
+            start, end = _value(first, field, low, high, names), _value(last, field, low, high, names)
+            if start > end:
+                raise ValueError(f"Invalid {field} range '{part}'")
+        else:
+            start = _value(part, field, low, high, names)
+            # "5/15" means every 15 starting at 5
+            end = high if step > 1 else start
+        values.update(range(start, end + 1, step))
+    return values
+
+
+def parse_cron(expression: str) -> Dict:
+    """Parse an expression into the allowed values of each field. Raises ValueError when invalid."""
+    text = (expression or "").strip()
+    text = _MACROS.get(text.lower(), text)
+    parts = text.split()
+    if len(parts) != 5:
+        raise ValueError("A cron expression needs 5 fields: minute hour day-of-month month day-of-week")
+    minutes, hours, days, months, weekdays = (
+        _parse_field(part, *spec) for part, spec in zip(parts, _FIELDS)
+    )
+    if 7 in weekdays:
+        weekdays = (weekdays - {7}) | {0}
+    return {
+        "minutes": minutes,
+        "hours": hours,
+        "days": days,
+        "months": months,
+        "weekdays": weekdays,
+        "any_day": parts[2] == "*",
+        "any_weekday": parts[4] == "*",
+    }
+
+
+def _get_zone(tz_name: str) -> ZoneInfo:
+    try:
+        return ZoneInfo(tz_name or "UTC")
+    except (ZoneInfoNotFoundError, ValueError):
+        raise ValueError(f"Unknown timezone '{tz_name}'")
+
+
+def _day_matches(cron: Dict, day: datetime) -> bool:
+    in_month = day.day in cron["days"]
+    in_week = (day.weekday() + 1) % 7 in cron["weekdays"]  # Python's Monday=0, cron's Sunday=0
+    if cron["any_day"]:
+        return in_week
+    if cron["any_weekday"]:
+        return in_month
+    return in_month or in_week
+
+
+def next_fire_time(expression: str, tz_name: str = "UTC", after: Optional[datetime] = None) -> datetime:
+    """The first time strictly after `after` (default: now) that the expression fires, as an aware UTC datetime."""
+    cron = parse_cron(expression)
+    zone = _get_zone(tz_name)
+    after = after or datetime.now(timezone.utc)
+    # Walk the wall clock of the schedule's timezone, skipping whole months, days and hours that can't match
+    t = after.astimezone(zone).replace(tzinfo=None, second=0, microsecond=0) + timedelta(minutes=1)
+    limit = t + timedelta(days=366 * _SEARCH_YEARS)
+    while t < limit:
+        if t.month not in cron["months"]:
+            t = (t.replace(day=1, hour=0, minute=0) + timedelta(days=32)).replace(day=1)
+        elif not _day_matches(cron, t):
+            t = t.replace(hour=0, minute=0) + timedelta(days=1)
+        elif t.hour not in cron["hours"]:
+            t = t.replace(minute=0) + timedelta(hours=1)
+        elif t.minute not in cron["minutes"]:
+            t += timedelta(minutes=1)
+        else:
+            return t.replace(tzinfo=zone).astimezone(timezone.utc)
+    raise ValueError(f"'{expression}' never fires")
+
+
+def next_fire_times(expression: str, tz_name: str = "UTC", after: Optional[datetime] = None, count: int = 5) -> List[datetime]:
+    times = []
+    for _ in range(count):
+        after = next_fire_time(expression, tz_name, after)
+        times.append(after)
+    return times
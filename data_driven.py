@@ -0,0 +1,47 @@
+"""Data-driven tests: a test with a data table runs once per row, with {{column}} placeholders filled in."""
+
+import re
+from typing import Any, Dict, List
+
+# {{variable}} placeholders, filled from a column of the test's data table
+PLACEHOLDER_RE = re.compile(r"\{\{\s*([\w.-]+)\s*\}\}")
+
+# Consumed by the expansion itself rather than copied onto each row's test
+_EXPANSION_FIELDS = ("data_table", "row_indices")
+
+
+def substitute(value: Any, row: Dict[str, Any]) -> Any:
+    """Replace {{column}} placeholders in strings nested anywhere in value; unknown names are left as-is."""
+    if isinstance(value, str):
+        return PLACEHOLDER_RE.sub(lambda m: str(row[m.group(1)]) if m.group(1) in row else m.group(0), value)
+    if isinstance(value, dict):
+        return {substitute(k, row): substitute(v, row) for k, v in value.items()}
+    if isinstance(value, list):
+        return [substitute(v, row) for v in value]
+    return value
+
+
+def expand_tests(tests: List[Dict]) -> List[Dict]:
+    """Expand each test with a data_table ({"columns": [...], "rows": [{column: value}]}) into one test per row.
+
+    Expanded tests keep the parent's id and carry "row_index" (0-based) and "row", which the executor copies
+    onto their results. An optional "row_indices" list limits which rows run (used to re-run a single row).
+    Tests without data rows pass through unchanged.
+    """
+    expanded = []
+    for test in tests:
+        rows = (test.get("data_table") or {}).get("rows") or []
+        if not rows:
+            expanded.append(test)
+            continue
+        wanted = test.get("row_indices")
+        for index, row in enumerate(rows):
+            if wanted is not None and index not in wanted:
+                continue
+            row = {str(k): "" if v is None else v for k, v in (row or {}).items()}
+            item = {k: substitute(v, row) for k, v in test.items() if k not in _EXPANSION_FIELDS}
+            item["name"] = f"{item.get('name', 'Test')} [row {index + 1}]"
+            item["row_index"] = index
+            item["row"] = row
+            expanded.append(item)
+    return expanded
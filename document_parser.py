@@ -1,4 +1,7 @@
 
+import csv
+import io
+import json
 import os
 import re
 from docx import Document
@@ -73,20 +76,285 @@ def _regex_parse_document_for_tests(file_content):
             r"ID:\s*(?P<id>\d+)\s*-\s*(?P<name>.*?)\n"
             r"Description:\s*(?P<description>.*?)\n"
             r"Type:\s*(?P<type>.*?)\n"
-            r"Selector:\s*(?P<selector>.*)",
+            r"Selector:\s*(?P<selector>[^\n]*)(?P<rest>.*)",
             re.DOTALL
         )
         match = pattern.search(block_text)
         if match:
             data = match.groupdict()
-            all_tests.append({
+            # Steps are written by /api/download-tests as "Step N: ..." lines after the selector
+            steps = [s.strip() for s in re.findall(r"^Step\s*\d+:\s*(.*)$", data['rest'], re.MULTILINE)]
+            test = {
                 "id": int(data['id']),
                 "name": data['name'].strip(),
                 "description": data['description'].strip(),
                 "type": data['type'].strip(),
                 "inputs": [],
                 "selector": data['selector'].strip()
-            })
+            }
+            if steps:
+                test["steps"] = steps
+            all_tests.append(test)
     for i, test in enumerate(all_tests):
         test['id'] = i + 1
     return all_tests
+
+
+# --- Structured test suite imports (CSV, XLSX, JSON, Gherkin) ---------------
+# These formats are parsed deterministically: no LLM, columns are mapped explicitly.
+
+STRUCTURED_EXTENSIONS = ('.csv', '.xlsx', '.json', '.feature')
+
+# Test fields a column can map to, with header names commonly used for them (TestRail, Xray, spreadsheets)
+MAPPABLE_FIELDS = {
+    'id': ['id', 'test id', 'case id', 'test case id', 'key'],
+    'name': ['name', 'title', 'test name', 'test case', 'test case name', 'summary', 'scenario'],
+    'description': ['description', 'details', 'objective', 'preconditions'],
+    'type': ['type', 'test type', 'category'],
+    'selector': ['selector', 'locator', 'css selector', 'xpath', 'element'],
+    'endpoint': ['endpoint', 'url', 'path', 'api endpoint'],
+    'method': ['method', 'http method', 'verb'],
+    'expected_status': ['expected status', 'expected_status', 'status code'],
+    'steps': ['steps', 'test steps', 'steps (step)', 'step'],
+    'expected': ['expected result', 'expected', 'expected results', 'steps (expected result)'],
+}
+
+
+def file_extension(filename):
+    return os.path.splitext((filename or '').lower())[1]
+
+
+def is_structured_test_file(filename):
+    return file_extension(filename) in STRUCTURED_EXTENSIONS
+
+
+def _decode_text(raw):
+    for encoding in ('utf-8-sig', 'latin-1'):
+        try:
+            return raw.decode(encoding)
+        except UnicodeDecodeError:
+            continue
+    return raw.decode('utf-8', errors='replace')
+
+
+def _cell_text(value):
+    return '' if value is None else str(value).strip()
+
+
+def _read_csv_rows(file):
+    text = _decode_text(file.read())
+    try:
+        dialect = csv.Sniffer().sniff(text[:4096], delimiters=',;\t')
+    except csv.Error:
+        dialect = csv.excel
+    reader = csv.reader(io.StringIO(text, newline=''), dialect)
+    return [[_cell_text(c) for c in row] for row in reader]
+
+
+def _read_xlsx_rows(file):
+    from openpyxl import load_workbook
+    workbook = load_workbook(file, read_only=True, data_only=True)
+    sheet = workbook.worksheets[0]
+    return [[_cell_text(c) for c in row] for row in sheet.iter_rows(values_only=True)]
+
+
+def _read_json_records(file):
+    data = json.loads(_decode_text(file.read()))
+    if isinstance(data, dict):
+        # Accept {"tests": [...]}, {"test_cases": [...]} or BugzyAI's own JSON report
+        data = data.get('tests') or data.get('test_cases') or data.get('results') or []
+    if not isinstance(data, list):
+        raise ValueError('JSON test files must contain an array of test objects.')
+    return [r for r in data if isinstance(r, dict)]
+
+
+def read_tabular_file(file):
+    """Read a CSV, XLSX or JSON test file into (columns, rows) where rows are dicts keyed by column."""
+    ext = file_extension(file.filename)
+    if ext == '.json':
+        records = _read_json_records(file)
+        columns = []
+        for record in records:
+            for key in record:
+                if key not in columns:
+                    columns.append(key)
+        rows = [{c: r.get(c) for c in columns} for r in records]
+        return columns, rows
+
+    raw_rows = _read_csv_rows(file) if ext == '.csv' else _read_xlsx_rows(file)
+    raw_rows = [r for r in raw_rows if any(r)]
+    if not raw_rows:
+        return [], []
+    header = raw_rows[0]
+    columns = [h or f'Column {i + 1}' for i, h in enumerate(header)]
+    rows = [{columns[i]: (row[i] if i < len(row) else '') for i in range(len(columns))} for row in raw_rows[1:]]
+    return columns, rows
+
+
+def suggest_column_mapping(columns):
+    """Guess which column feeds each test field from its header; unmatched fields map to None."""
+    normalized = {c: re.sub(r'\s+', ' ', str(c).strip().lower()) for c in columns}
+    mapping = {}
+    used = set()
+    for field, aliases in MAPPABLE_FIELDS.items():
+        mapping[field] = None
+        for alias in aliases:
+            match = next((c for c, n in normalized.items() if n == alias and c not in used), None)
+            if match:
+                mapping[field] = match
+                used.add(match)
+                break
+    return mapping
+
+
+def _split_steps(value):
+    if isinstance(value, list):
+        return [_cell_text(s) for s in value if _cell_text(s)]
+    lines = [re.sub(r'^\s*(?:\d+[.)]|[-*])\s*', '', line) for line in _cell_text(value).splitlines()]
+    return [line.strip() for line in lines if line.strip()]
+
+
+def apply_column_mapping(rows, mapping):
+    """Turn mapped rows into test case dicts, skipping rows without a name or description."""
+    from test_case_generation import _validate_and_repair
+
+    def cell(row, field):
+        column = mapping.get(field)
+        return row.get(column) if column else None
+
+    tests = []
+    for row in rows:
+        name = _cell_text(cell(row, 'name'))
+        description = _cell_text(cell(row, 'description'))
+        if not name and not description:
+            continue
+        test = {'name': name or description[:60], 'description': description or name}
+        expected = _cell_text(cell(row, 'expected'))
+        if expected:
+            test['description'] = f"{test['description']}\nExpected: {expected}"
+        for field in ('type', 'selector', 'endpoint', 'method'):
+            value = _cell_text(cell(row, field))
+            if value:
+                test[field] = value
+        status = _cell_text(cell(row, 'expected_status'))
+        if status.isdigit():
+            test['expected_status'] = int(status)
+        steps = _split_steps(cell(row, 'steps'))
+        if steps:
+            test['steps'] = steps
+        source_id = _cell_text(cell(row, 'id'))
+        if source_id:
+            test['source_id'] = source_id
+        tests.append(test)
+
+    tests = _validate_and_repair([dict(t, id=i) for i, t in enumerate(tests, start=1)])
+    for i, test in enumerate(tests, start=1):
+        test['id'] = i
+    return tests
+
+
+_SELECTOR_LIKE = re.compile(r'^(#|\.|\[|//|xpath=|css=|css:|id=|name=)', re.IGNORECASE)
+_HTTP_METHOD = re.compile(r'\b(GET|POST|PUT|PATCH|DELETE)\b')
+
+
+def parse_gherkin(text):
+    """Parse .feature text: every Scenario / Scenario Outline becomes one test.
+    Tags @api / @ui set the type; quoted selectors and endpoints in steps fill selector / endpoint.
+    """
+    tests = []
+    feature = ''
+    pending_tags = []
+    background = []
+    current = None
+    in_background = False
+
+    def finish():
+        if current:
+            tests.append(current)
+
+    for raw_line in text.splitlines():
+        line = raw_line.strip()
+        if not line or line.startswith('#'):
+            continue
+        if line.startswith('@'):
+            pending_tags.extend(t.lower() for t in line.split() if t.startswith('@'))
+            continue
+        keyword, _, rest = line.partition(':')
+        keyword = keyword.strip().lower()
+        if keyword == 'feature':
+            feature = rest.strip()
+            pending_tags = []
+            continue
+        if keyword == 'background':
+            in_background = True
+            continue
+        if keyword in ('scenario', 'scenario outline', 'example'):
+            finish()
+            in_background = False
+            current = {
+                'name': rest.strip() or f'Scenario {len(tests) + 1}',
+                'type': 'API' if '@api' in pending_tags else 'UI',
+                'steps': list(background),
+                'tags': pending_tags,
+            }
+            pending_tags = []
+            continue
+        if re.match(r'^(given|when|then|and|but|\*)\b', line, re.IGNORECASE):
+            if in_background:
+                background.append(line)
+            elif current:
+                current['steps'].append(line)
+
+    finish()
+
+    for i, test in enumerate(tests, start=1):
+        steps = test.pop('steps')
+        tags = test.pop('tags')
+        quoted = [q for step in steps for q in re.findall(r'"([^"]+)"', step)]
+        selectors = [q for q in quoted if _SELECTOR_LIKE.match(q)]
+        # The request step (the one naming an HTTP method) decides the endpoint; otherwise the first quoted path
+        request_step = next((step for step in steps if _HTTP_METHOD.search(step)), None)
+        endpoints = [q for step in ([request_step] if request_step else steps)
+                     for q in re.findall(r'"([^"]+)"', step) if q.startswith('/') or q.startswith('http')]
+        test['id'] = i
+        test['description'] = ' '.join(steps) or test['name']
+        if feature:
+            test['description'] = f"{feature}: {test['description']}"
+        test['steps'] = steps
+        if test['type'] == 'API':
+            if endpoints:
+                test['endpoint'] = endpoints[0]
+            if request_step:
+                test['method'] = _HTTP_METHOD.search(request_step).group(1)
+        elif selectors:
+            test['selector'] = ', '.join(selectors)
+        if tags:
+            test['tags'] = tags
+    return tests
+
+
+def preview_structured_file(file, sample_size=5):
+    """Preview data for the column-mapping step: columns, suggested mapping and sample rows.
+    Gherkin has no columns, so its parsed scenarios are returned instead.
+    """
+    if file_extension(file.filename) == '.feature':
+        return {'format': 'gherkin', 'tests': parse_gherkin(_decode_text(file.read()))}
+    columns, rows = read_tabular_file(file)
+    return {
+        'format': file_extension(file.filename).lstrip('.'),
+        'columns': columns,
+        'mapping': suggest_column_mapping(columns),
+        'fields': list(MAPPABLE_FIELDS),
+        'row_count': len(rows),
+        'sample_rows': rows[:sample_size],
+    }
+
+
+def parse_structured_test_file(file, mapping=None):
+    """Deterministically parse a CSV, XLSX, JSON or Gherkin file into test cases.
+    Without an explicit mapping, the suggested column mapping is used.
+    """
+    if file_extension(file.filename) == '.feature':
+        return parse_gherkin(_decode_text(file.read()))
+    columns, rows = read_tabular_file(file)
+    return apply_column_mapping(rows, mapping or suggest_column_mapping(columns))
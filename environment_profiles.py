@@ -0,0 +1,100 @@
+import uuid
+from datetime import datetime, timezone
+from typing import Dict, List, Optional
+
+from storage import load_collection, update_collection
+from credential_vault import save_credential, target_key
+
+COLLECTION = "environment_profiles"
+
+
+def _string_map(value, what: str) -> Dict[str, str]:
+    if value is None:
+        return {}
+    if not isinstance(value, dict):
+        raise ValueError(f"{what} must be an object of name/value pairs")
+    return {str(k).strip(): str(v) for k, v in value.items() if str(k).strip()}
+
+
+def list_profiles(uid: str) -> List[Dict]:
+    """A user's environment profiles, sorted by name."""
+    profiles = load_collection(COLLECTION).get(uid, {})
+    return sorted(profiles.values(), key=lambda p: p["name"].lower())
+
+
+def get_profile(uid: str, profile_id: str) -> Optional[Dict]:
+    return load_collection(COLLECTION).get(uid, {}).get(profile_id)
+
+
+def save_profile(uid: str, name: str, base_url: str, headers: Optional[Dict] = None, cookies: Optional[Dict] = None,
+                 username: Optional[str] = None, password: Optional[str] = None, profile_id: Optional[str] = None,
+                 clear_credentials: bool = False) -> Dict:
+    """Create a profile, or update the one with profile_id.
+
+    A username/password is stored encrypted in the credential vault for the base URL's origin and the
+    profile keeps a reference to it; without new credentials an update keeps the existing reference.
+    Raises ValueError for invalid input and VaultUnavailableError when credentials can't be stored.
+    """
+    name = (name or "").strip()
+    base_url = (base_url or "").strip()
+    if not name:
+        raise ValueError("name is required")
+    if not target_key(base_url) or not base_url.lower().startswith(("http://", "https://")):
+        raise ValueError("base_url must be a valid http(s) URL")
+    headers = _string_map(headers, "headers")
+    cookies = _string_map(cookies, "cookies")
+    if profile_id and not get_profile(uid, profile_id):
+        raise KeyError(profile_id)
+
+    credential = save_credential(uid, base_url, username, password, label=name) if username and password else None
+    now = datetime.now(timezone.utc).isoformat()
+
+    def _upsert(data):
+        profiles = data.setdefault(uid, {})
+        existing = profiles.get(profile_id) if profile_id else None
+        profile = {
+            "id": existing["id"] if existing else uuid.uuid4().hex,
+            "name": name,
+            "base_url": base_url,
+            "headers": headers,
+            "cookies": cookies,
+            "credential_id": None,
+            "username_hint": None,
+            "created_at": existing["created_at"] if existing else now,
+            "updated_at": now,
+        }
+        if credential:
+            profile["credential_id"] = credential["id"]
+            profile["username_hint"] = credential["username_hint"]
+        elif existing and not clear_credentials and target_key(existing["base_url"]) == target_key(base_url):
+            # The credential belongs to the old site's origin, so it only carries over while that stays the same
+            profile["credential_id"] = existing.get("credential_id")
+            profile["username_hint"] = existing.get("username_hint")
+        profiles[profile["id"]] = profile
+        return profile
+
+    return update_collection(COLLECTION, _upsert)
+
+
+def delete_profile(uid: str, profile_id: str) -> bool:
+    """Remove a profile. Its vault credential stays, since other runs of that site may still use it."""
+    def _delete(data):
+        return data.get(uid, {}).pop(profile_id, None) is not None
+
+    return update_collection(COLLECTION, _delete)
+
+
+def apply_profile(tests: List[Dict], profile: Dict) -> List[Dict]:
+    """Give tests the profile's default headers and cookies; a test's own values win.
+    Only the API runner (iter_api_tests) sends them.
+    """
+    if not profile.get("headers") and not profile.get("cookies"):
+        return tests
+    return [
+        {
+            **t,
+            "headers": {**profile.get("headers", {}), **(t.get("headers") or {})},
+            "cookies": {**profile.get("cookies", {}), **(t.get("cookies") or {})},
+        }
+        for t in tests
+    ]
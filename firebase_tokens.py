@@ -0,0 +1,121 @@
+"""Verification of the Firebase ID tokens the frontend sends as "Authorization: Bearer <token>".
+
+ID tokens are RS256 JWTs signed with Google's rotating keys, published as X.509 certificates at
+FIREBASE_CERTS_URL and cached for as long as their Cache-Control header allows. A token is accepted when
+its signature checks out and it was issued for FIREBASE_PROJECT_ID, is unexpired, and names a user.
+
+For local development and tests, point FIREBASE_CERTS_URL at a stub serving your own certificates, or
+set FIREBASE_AUTH_EMULATOR_HOST: the Auth emulator issues unsigned tokens, which are then accepted after
+the same claim checks (as the Firebase Admin SDK does).
+"""
+
+import base64
+import json
+import os
+import re
+import threading
+import time
+from typing import Dict
+
+import requests
+
+PROJECT_ID = os.getenv("FIREBASE_PROJECT_ID")
+CERTS_URL = os.getenv(
+    "FIREBASE_CERTS_URL",
+    "https://www.googleapis.com/robot/v1/metadata/x509/securetoken@system.gserviceaccount.com",
+)
+EMULATOR_HOST = os.getenv("FIREBASE_AUTH_EMULATOR_HOST")
+# Reject email/password users who haven't verified their address (pairs with authConfig.emailVerification)
+REQUIRE_VERIFIED_EMAIL = os.getenv("FIREBASE_REQUIRE_VERIFIED_EMAIL", "0") not in ("0", "false", "False")
+CLOCK_SKEW_SECONDS = 60
+
+_certs: Dict[str, object] = {}
+_certs_expire_at = 0.0
+_certs_lock = threading.Lock()
+
+
+class InvalidIdTokenError(Exception):
+    """The token is malformed, expired, not for this project, or its signature doesn't verify."""
+
+
+def _b64decode(segment: str) -> bytes:
+    return base64.urlsafe_b64decode(segment + "=" * (-len(segment) % 4))
+
+
+def _public_keys(force_refresh: bool = False) -> Dict[str, object]:
+    """Google's current signing keys by key id, refetched once their cache lifetime is over."""
+    global _certs, _certs_expire_at
+    from cryptography.x509 import load_pem_x509_certificate
+
+    with _certs_lock:
+        if force_refresh or time.time() >= _certs_expire_at:
+            response = requests.get(CERTS_URL, timeout=10)
+            response.raise_for_status()
+            _certs = {kid: load_pem_x509_certificate(pem.encode("utf-8")).public_key()
+                      for kid, pem in response.json().items()}
+            max_age = re.search(r"max-age=(\d+)", response.headers.get("Cache-Control", ""))
+            _certs_expire_at = time.time() + (int(max_age.group(1)) if max_age else 3600)
+        return _certs
+
+
+def _verify_signature(header: Dict, signing_input: bytes, signature: bytes):
+    if header.get("alg") != "RS256":
+        raise InvalidIdTokenError("ID token must be signed with RS256")
+    from cryptography.exceptions import InvalidSignature
+    from cryptography.hazmat.primitives import hashes
+    from cryptography.hazmat.primitives.asymmetric import padding
+
+    kid = header.get("kid")
+    keys = _public_keys()
+    if kid not in keys:
+        # Keys rotate; a token signed with a brand new key shows up before our cache expires
+        keys = _public_keys(force_refresh=True)
+    if kid not in keys:
+        raise InvalidIdTokenError("ID token was signed with an unknown key")
+    try:
+        keys[kid].verify(signature, signing_input, padding.PKCS1v15(), hashes.SHA256())
+    except InvalidSignature:
+        raise InvalidIdTokenError("ID token signature is invalid")
+
+
+def _check_claims(claims: Dict):
+    now = time.time()
+    if claims.get("aud") != PROJECT_ID:
+        raise InvalidIdTokenError("ID token was issued for a different Firebase project")
+    if claims.get("iss") != f"https://securetoken.google.com/{PROJECT_ID}":
+        raise InvalidIdTokenError("ID token has an unexpected issuer")
+    if not isinstance(claims.get("sub"), str) or not claims["sub"] or len(claims["sub"]) > 128:
+        raise InvalidIdTokenError("ID token has no valid subject")
+    if not isinstance(claims.get("exp"), (int, float)) or claims["exp"] <= now - CLOCK_SKEW_SECONDS:
+        raise InvalidIdTokenError("ID token has expired")
+    if not isinstance(claims.get("iat"), (int, float)) or claims["iat"] > now + CLOCK_SKEW_SECONDS:
+        raise InvalidIdTokenError("ID token was issued in the future")
+    provider = (claims.get("firebase") or {}).get("sign_in_provider")
+    if REQUIRE_VERIFIED_EMAIL and provider == "password" and not claims.get("email_verified"):
+        raise InvalidIdTokenError("Email address is not verified")
+
+
+def auth_configured() -> bool:
+    return bool(PROJECT_ID)
+
+
+def verify_id_token(token: str) -> Dict:
+    """The verified claims of a Firebase ID token (uid in "uid"). Raises InvalidIdTokenError."""
+    if not auth_configured():
+        raise InvalidIdTokenError("FIREBASE_PROJECT_ID is not configured on the server")
+    parts = (token or "").split(".")
+    if len(parts) != 3:
+        raise InvalidIdTokenError("ID token is malformed")
+    try:
+        header = json.loads(_b64decode(parts[0]))
+        claims = json.loads(_b64decode(parts[1]))
+        signature = _b64decode(parts[2])
+    except ValueError:
+        raise InvalidIdTokenError("ID token is malformed")
+    if not isinstance(header, dict) or not isinstance(claims, dict):
+        raise InvalidIdTokenError("ID token is malformed")
+
+    if not EMULATOR_HOST:
+        _verify_signature(header, f"{parts[0]}.{parts[1]}".encode("ascii"), signature)
+    _check_claims(claims)
+    return {**claims, "uid": claims["sub"]}
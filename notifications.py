@@ -0,0 +1,183 @@
+"""Notifications sent when a saved suite's run finishes.
+
+Each suite keeps a list of channels:
+    {"type": "webhook", "url": ..., "trigger": "completed"}        JSON POST of the run payload
+    {"type": "slack", "url": ..., "trigger": "failures", "threshold": 3}   Slack incoming-webhook message
+    {"type": "email", "to": ["qa@example.com"], "trigger": "completed"}    plain-text mail via the SMTP relay
+A "completed" channel fires after every run, a "failures" channel only once the failed count reaches
+its threshold. A run that errors out fires every channel.
+"""
+
+import os
+import re
+import smtplib
+from datetime import datetime, timezone
+from email.message import EmailMessage
+from typing import Dict, List, Optional
+
+import requests
+
+CHANNEL_TYPES = ("webhook", "slack", "email")
+TRIGGERS = ("completed", "failures")
+
+NOTIFY_TIMEOUT = int(os.getenv("NOTIFY_TIMEOUT", "10"))
+
+_EMAIL_RE = re.compile(r"^[^@\s]+@[^@\s]+\.[^@\s]+$")
+
+
+def _normalize_channel(channel: Dict) -> Dict:
+    if not isinstance(channel, dict):
+        raise ValueError("Each notification must be an object")
+    kind = channel.get("type")
+    if kind not in CHANNEL_TYPES:
+        raise ValueError(f"Notification type must be one of: {', '.join(CHANNEL_TYPES)}")
+    trigger = channel.get("trigger") or "completed"
+    if trigger not in TRIGGERS:
+        raise ValueError(f"Notification trigger must be one of: {', '.join(TRIGGERS)}")
+    normalized = {"type": kind, "trigger": trigger}
+    if trigger == "failures":
+        try:
+            threshold = int(channel.get("threshold", 1))
+        except (TypeError, ValueError):
+            raise ValueError("Failure threshold must be a number")
+        if threshold < 1:
+            raise ValueError("Failure threshold must be at least 1")
+        normalized["threshold"] = threshold
+
+    if kind == "email":
+        to = channel.get("to") or []
+        if isinstance(to, str):
+            to = [a for a in re.split(r"[,;\s]+", to) if a]
+        if not to or not all(_EMAIL_RE.match(str(a)) for a in to):
+            raise ValueError("Email notifications need valid recipient addresses")
+        normalized["to"] = [str(a) for a in to]
+    else:
+        url = str(channel.get("url") or "").strip()
+        if not url.lower().startswith(("http://", "https://")):
+            raise ValueError(f"{kind.capitalize()} notifications need a valid http(s) URL")
+        normalized["url"] = url
+    return normalized
+
+
+def normalize_channels(channels) -> List[Dict]:
+    """Validate a suite's notification channels. Raises ValueError."""
+    if channels is None:
+        return []
+    if not isinstance(channels, list):
+        raise ValueError("notifications must be an array")
+    return [_normalize_channel(c) for c in channels]
+
+
+def should_notify(channel: Dict, summary: Optional[Dict], error: Optional[str] = None) -> bool:
+    if error or channel["trigger"] == "completed":
+        return True
+    return bool(summary) and summary.get("failed", 0) >= channel["threshold"]
+
+
+def build_payload(suite: Dict, summary: Optional[Dict], error: Optional[str] = None) -> Dict:
+    """The JSON body posted to generic webhooks; Slack and email messages are rendered from it."""
+    return {
+        "event": "run.failed" if error else "run.completed",
+        "suite": {"id": suite.get("id"), "name": suite.get("name")},
+        "website_url": suite.get("website_url"),
+        "environment_ids": suite.get("environment_ids") or [],
+        "summary": summary,
+        "error": error,
+        "finished_at": datetime.now(timezone.utc).isoformat(),
+    }
+
+
+def _headline(payload: Dict) -> str:
+    name = payload["suite"]["name"]
+    if payload["error"]:
+        return f"BugzyAI: suite '{name}' could not run: {payload['error']}"
+    s = payload["summary"] or {}
+    verdict = "failed" if s.get("failed") else "passed"
+    return (f"BugzyAI: suite '{name}' {verdict} - {s.get('passed', 0)} passed, "
+            f"{s.get('failed', 0)} failed, {s.get('skipped', 0)} skipped of {s.get('total', 0)}")
+
+
+def _slack_message(payload: Dict) -> Dict:
+    target = payload["website_url"] or f"{len(payload['environment_ids'])} environment(s)"
+    return {
+        "text": _headline(payload),
+        "blocks": [
+            {"type": "section", "text": {"type": "mrkdwn", "text": f"*{_headline(payload)}*"}},
+            {"type": "context", "elements": [
+                {"type": "mrkdwn", "text": f"Target: {target} | Finished {payload['finished_at']}"}
+            ]},
+        ],
+    }
+
+
+def _post_json(url: str, body: Dict):
+    response = requests.post(url, json=body, timeout=NOTIFY_TIMEOUT)
+    response.raise_for_status()
+
+
+def email_configured() -> bool:
+    return bool(os.getenv("SMTP_HOST"))
+
+
+def send_email(to: List[str], subject: str, body: str):
+    """Send a plain-text mail through the SMTP relay. Raises ValueError when SMTP_HOST isn't set."""
+    host = os.getenv("SMTP_HOST")
+    if not host:
+        raise ValueError("Sending email needs SMTP_HOST to be configured")
+    message = EmailMessage()
+    message["Subject"] = subject
+    message["From"] = os.getenv("SMTP_FROM", "bugzyai@localhost")
+    message["To"] = ", ".join(to)
+    message.set_content(body)
+    with smtplib.SMTP(host, int(os.getenv("SMTP_PORT", "587")), timeout=NOTIFY_TIMEOUT) as smtp:
+        if os.getenv("SMTP_STARTTLS", "1") not in ("0", "false", "False"):
+            smtp.starttls()
+        if os.getenv("SMTP_USERNAME"):
+            smtp.login(os.getenv("SMTP_USERNAME"), os.getenv("SMTP_PASSWORD", ""))
+        smtp.send_message(message)
+
+
+def _send_email(to: List[str], payload: Dict):
+    s = payload["summary"] or {}
+    send_email(to, _headline(payload), "\n".join([
+        _headline(payload),
+        "",
+        f"Target: {payload['website_url'] or ', '.join(payload['environment_ids'])}",
+        f"Total: {s.get('total', 0)}  Passed: {s.get('passed', 0)}  Failed: {s.get('failed', 0)}  Skipped: {s.get('skipped', 0)}",
+        f"Finished: {payload['finished_at']}",
+    ]))
+
+
+def send_notification(channel: Dict, payload: Dict):
+    """Deliver one payload on one channel. Raises on delivery failure."""
+    if channel["type"] == "webhook":
+        _post_json(channel["url"], payload)
+    elif channel["type"] == "slack":
+        _post_json(channel["url"], _slack_message(payload))
+    else:
+        _send_email(channel["to"], payload)
+
+
+def notify_run(suite: Dict, summary: Optional[Dict], error: Optional[str] = None) -> List[str]:
+    """Send a finished run to each of the suite's channels whose trigger matches.
+    Delivery failures are printed and returned, never raised, so one bad channel can't block the others.
+    """
+    payload = build_payload(suite, summary, error)
+    failures = []
+    for channel in suite.get("notifications") or []:
+        if not should_notify(channel, summary, error):
+            continue
+        try:
+            send_notification(channel, payload)
+        except Exception as e:
+            print(f"Error: {channel['type']} notification for suite {suite.get('id')} failed: {e}")
+            failures.append(f"{channel['type']}: {e}")
+    return failures
+
+
+def send_test_notification(channel: Dict, suite: Optional[Dict] = None):
+    """Deliver a sample payload so a channel can be checked before a real run. Raises ValueError for an
+    invalid channel and the delivery error otherwise."""
+    channel = _normalize_channel(channel)
+    sample = suite or {"id": None, "name": "Test notification", "website_url": "https://example.com"}
+    send_notification(channel, build_payload(sample, {"total": 3, "passed": 2, "failed": 1, "skipped": 0}))
@@ -0,0 +1,53 @@
+"""Rendered DOM snapshots of a target page for the visual selector picker.
+
+The page is loaded in the same Selenium Chrome the executor uses, so the snapshot reflects
+what the tests will see (including content rendered by JavaScript). Scripts are stripped and a
+<base> tag is added so the snapshot can be shown in a same-origin iframe and inspected by the picker.
+The stripping is best effort, not a security boundary: the picker's iframe is sandboxed without allow-scripts.
+"""
+
+import re
+import time
+from typing import Tuple
+
+from test_executor import _create_driver
+
+_SCRIPT_RE = re.compile(r"<script\b[^>]*>.*?</script\s*>", re.IGNORECASE | re.DOTALL)
+_NOSCRIPT_RE = re.compile(r"<noscript\b[^>]*>.*?</noscript\s*>", re.IGNORECASE | re.DOTALL)
+_EVENT_ATTR_RE = re.compile(r"""\s+on[a-z]+\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+)""", re.IGNORECASE)
+_BASE_RE = re.compile(r"<base\b[^>]*>", re.IGNORECASE)
+_META_REFRESH_RE = re.compile(r"<meta\b[^>]*http-equiv\s*=\s*[\"']?refresh[^>]*>", re.IGNORECASE)
+_HEAD_RE = re.compile(r"<head\b[^>]*>", re.IGNORECASE)
+
+# Embedded in the snapshot so nothing left in the markup can execute in our origin
+_CSP_META = "<meta http-equiv=\"Content-Security-Policy\" content=\"script-src 'none'; object-src 'none'; frame-src 'none'\">"
+
+
+def sanitize_snapshot(html: str, base_url: str) -> str:
+    """Remove scripts, inline event handlers and refreshes, and point relative URLs at base_url."""
+    html = _SCRIPT_RE.sub("", html)
+    html = _NOSCRIPT_RE.sub("", html)
+    html = _META_REFRESH_RE.sub("", html)
+    html = _BASE_RE.sub("", html)
+    html = _EVENT_ATTR_RE.sub("", html)
+    head_tags = _CSP_META + f'<base href="{base_url.replace(chr(34), "%22")}">'
+    if _HEAD_RE.search(html):
+        return _HEAD_RE.sub(lambda m: m.group(0) + head_tags, html, count=1)
+    return head_tags + html
+
+
+def capture_page_snapshot(url: str, settle_seconds: float = 1.0) -> Tuple[str, str]:
+    """Load url in Chrome and return (sanitized_html, final_url) of the rendered DOM."""
+    driver = _create_driver()
+    try:
+        driver.get(url)
+        # Give client-side rendering a moment after the load event
+        time.sleep(settle_seconds)
+        html = driver.execute_script("return document.documentElement.outerHTML")
+        final_url = driver.current_url or url
+    finally:
+        try:
+            driver.quit()
+        except Exception:
+            pass
+    return sanitize_snapshot(html, final_url), final_url
@@ -0,0 +1,75 @@
+import os
+import uuid
+from datetime import datetime, timezone
+from typing import List, Dict, Optional
+
+from storage import load_collection, update_collection
+
+COLLECTION = "run_history"
+MAX_RUNS_PER_USER = int(os.getenv("RUN_HISTORY_LIMIT", "200"))
+
+
+def summarize_results(results: List[Dict]) -> Dict[str, int]:
+    """Count results per status."""
+    counts = {"total": len(results), "passed": 0, "failed": 0, "skipped": 0}
+    for r in results:
+        status = r.get("status")
+        if status in counts:
+            counts[status] += 1
+    return counts
+
+
+def _without_screenshot(result: Dict) -> Dict:
+    """Screenshots are large; history keeps the failure URL and DOM excerpt only."""
+    artifacts = result.get("artifacts")
+    if not artifacts or "screenshot" not in artifacts:
+        return result
+    return {**result, "artifacts": {k: v for k, v in artifacts.items() if k != "screenshot"}}
+
+
+def record_run(uid: str, website_url: str, tests: List[Dict], results: List[Dict],
+               mode: str = "Standard", cancelled: bool = False, suite: Optional[Dict] = None) -> Dict:
+    """Store a finished execution for a user and return the stored run.
+    suite ({id, name}) marks runs of a saved suite, started by the scheduler or through the API.
+    Only the newest MAX_RUNS_PER_USER runs are kept per user.
+    """
+    run = {
+        "id": uuid.uuid4().hex,
+        "website_url": website_url,
+        "timestamp": datetime.now(timezone.utc).isoformat(),
+        "mode": mode or "Standard",
+        "cancelled": bool(cancelled),
+        "tests": [
+            {"id": t.get("id"), "name": t.get("name"), "type": t.get("type")}
+            for t in tests
+        ],
+        "summary": summarize_results(results),
+        "results": [_without_screenshot(r) for r in results],
+    }
+    if suite:
+        run["suite"] = suite
+
+    def _append(data):
+        runs = data.setdefault(uid, [])
+        runs.append(run)
+        del runs[:-MAX_RUNS_PER_USER]
+
+    update_collection(COLLECTION, _append)
+    return run
+
+
+def list_runs(uid: str) -> List[Dict]:
+    """Run summaries for a user, newest first, without the per-test results."""
+    runs = load_collection(COLLECTION).get(uid, [])
+    return [
+        {k: v for k, v in run.items() if k != "results"}
+        for run in reversed(runs)
+    ]
+
+
+def get_run(uid: str, run_id: str) -> Optional[Dict]:
+    """Full run including results, or None if the user has no such run."""
+    for run in load_collection(COLLECTION).get(uid, []):
+        if run.get("id") == run_id:
+            return run
+    return None
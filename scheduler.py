@@ -0,0 +1,71 @@
+"""In-process runner for scheduled test suites.
+
+A daemon thread polls the saved suites every SCHEDULER_POLL_SECONDS and runs the due ones one after
+another, so scheduling needs no external queue or worker. Set SCHEDULER_ENABLED=0 on all but one
+process when the app runs with several workers, otherwise each of them would run the schedule.
+It is off by default on serverless deployments, where no thread outlives the request it started in.
+"""
+
+import os
+import threading
+from datetime import datetime
+from typing import Callable, Dict, Optional, Tuple
+
+from notifications import notify_run
+from storage import SERVERLESS
+from test_suites import claim_due_suites, record_suite_run
+
+POLL_SECONDS = int(os.getenv("SCHEDULER_POLL_SECONDS", "30"))
+
+
+def scheduler_enabled() -> bool:
+    return os.getenv("SCHEDULER_ENABLED", "0" if SERVERLESS else "1") not in ("0", "false", "False")
+
+
+class SuiteScheduler:
+    """Runs due suites through run_suite(owner, suite) -> summary, which executes and records the runs.
+    owner is the uid or workspace id the suite belongs to."""
+
+    def __init__(self, run_suite: Callable[[str, Dict], Dict], poll_seconds: int = POLL_SECONDS):
+        self._run_suite = run_suite
+        self._poll_seconds = poll_seconds
+        self._stop = threading.Event()
+        self._thread: Optional[threading.Thread] = None
+        self._start_lock = threading.Lock()
+
+    def start(self):
+        """Start the polling thread once; later calls do nothing."""
+        with self._start_lock:
+            if self._thread is not None:
+                return
+            self._thread = threading.Thread(target=self._loop, name="suite-scheduler", daemon=True)
+            self._thread.start()
+
+    def stop(self, timeout: Optional[float] = None):
+        self._stop.set()
+        if self._thread is not None:
+            self._thread.join(timeout)
+
+    def run_pending(self, now: Optional[datetime] = None) -> int:
+        """Run every suite that is due now, notify its channels, and return how many ran."""
+        due = claim_due_suites(now)
+        for uid, suite in due:
+            summary, error = self._run_one(uid, suite)
+            record_suite_run(uid, suite["id"], summary, error)
+            notify_run(suite, summary, error)
+        return len(due)
+
+    def _run_one(self, uid: str, suite: Dict) -> Tuple[Optional[Dict], Optional[str]]:
+        try:
+            return self._run_suite(uid, suite), None
+        except Exception as e:
+            print(f"Error: scheduled run of suite {suite.get('id')} failed: {e}")
+            return None, str(e)
+
+    def _loop(self):
+        while not self._stop.is_set():
+            try:
+                self.run_pending()
+            except Exception as e:
+                print(f"Error: suite scheduler poll failed: {e}")
+            self._stop.wait(self._poll_seconds)
@@ -0,0 +1,74 @@
+// BugzyAI API client helpers
+// Shared by the pipeline and profile pages so every backend call carries the signed-in user's ID token
+// and the workspace they are working in
+
+// Escape text for HTML (and XML) markup, in element content and quoted attribute values alike
+function escapeHtml(value) {
+    return String(value ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
+// Resolve the Firebase uid, falling back to the cached login while auth is still initializing
+function getCurrentUserId() {
+    try {
+        const user = window.bugzyAuth && window.bugzyAuth.getCurrentUser();
+        if (user && user.uid) return user.uid;
+    } catch (e) {}
+    try {
+        const stored = JSON.parse(localStorage.getItem("userData") || "null");
+        if (stored && stored.uid) return stored.uid;
+    } catch (e) {}
+    return null;
+}
+
+// Firebase ID token of the signed-in user, or null when signed out or auth failed to load
+async function getIdToken(forceRefresh = false) {
+    if (!window.bugzyAuth || typeof window.bugzyAuth.getIdToken !== "function") return null;
+    try {
+        return await window.bugzyAuth.getIdToken(forceRefresh);
+    } catch (error) {
+        console.error("Error getting ID token:", error);
+        return null;
+    }
+}
+
+// Workspace whose suites, runs, environments and credentials the pages work on (null: the user's own).
+// Remembered per user, so someone else signing in on this browser starts in their own space.
+function getActiveWorkspaceId() {
+    return localStorage.getItem(`activeWorkspace:${getCurrentUserId()}`);
+}
+
+function setActiveWorkspaceId(workspaceId) {
+    const key = `activeWorkspace:${getCurrentUserId()}`;
+    if (workspaceId) {
+        localStorage.setItem(key, workspaceId);
+    } else {
+        localStorage.removeItem(key);
+    }
+}
+
+// fetch() wrapper that authenticates the call with the user's Firebase ID token.
+// A 401 is retried once with a refreshed token in case it just expired; if it persists the session has ended,
+// so the auth guard asks the user to sign in again and the call is retried once more.
+async function apiFetch(url, options = {}) {
+    const send = async (forceRefresh) => {
+        const headers = new Headers(options.headers || {});
+        const token = await getIdToken(forceRefresh);
+        if (token) headers.set("Authorization", `Bearer ${token}`);
+        const workspaceId = getActiveWorkspaceId();
+        if (workspaceId) headers.set("X-Workspace-Id", workspaceId);
+        return { token, response: await fetch(url, { ...options, headers }) };
+    };
+    let { token, response } = await send(false);
+    if (response.status === 401 && token) {
+        ({ token, response } = await send(true));
+    }
+    if (response.status === 401 && await requestReauthentication()) {
+        ({ response } = await send(true));
+    }
+    return response;
+}
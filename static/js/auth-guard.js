@@ -0,0 +1,130 @@
+// BugzyAI route guard for the signed-in pages (pipeline, profile)
+// Keeps the page hidden until Firebase reports the first auth state, sends signed-out visitors to
+// /login?next=..., and asks for a fresh sign-in in a modal when the session ends mid-visit
+
+document.documentElement.classList.add("auth-pending");
+
+let guardedUser = null; // { uid, email, isAnonymous } of the user the page was opened for
+let pendingReauth = null; // { promise, resolve } while the re-authentication modal is open
+
+// Send the user to sign in, then back to this page
+function redirectToLogin() {
+    const next = window.location.pathname + window.location.search;
+    window.location.href = `/login?next=${encodeURIComponent(next)}`;
+}
+
+async function initAuthGuard() {
+    const auth = window.bugzyAuth;
+    if (!auth) {
+        redirectToLogin();
+        return;
+    }
+    await auth.authReady;
+    const user = auth.getCurrentUser();
+    // The login page also asks unverified users (authConfig.emailVerification) to verify their address
+    if (!user || auth.requiresEmailVerification(user)) {
+        redirectToLogin();
+        return;
+    }
+    guardedUser = { uid: user.uid, email: user.email, isAnonymous: user.isAnonymous };
+    document.documentElement.classList.remove("auth-pending");
+
+    window.addEventListener("authStateChanged", event => {
+        if (!event.detail.isAuthenticated && !auth.signingOut) requestReauthentication();
+    });
+}
+
+// Show the sign-in modal (once, however many callers ask) and resolve true when the user is signed in again
+function requestReauthentication() {
+    if (pendingReauth) return pendingReauth.promise;
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    pendingReauth = { promise, resolve };
+    renderReauthModal();
+    return promise;
+}
+
+function renderReauthModal() {
+    let modal = document.getElementById("reauth-modal");
+    if (!modal) {
+        modal = document.createElement("div");
+        modal.id = "reauth-modal";
+        modal.className = "modal-overlay";
+        document.body.appendChild(modal);
+    }
+    const guest = !guardedUser || guardedUser.isAnonymous;
+    const providers = window.bugzyAuth ? window.bugzyAuth.getProviders() : [];
+    modal.innerHTML = `
+        <div class="modal-dialog">
+            <div class="modal-header">
+                <h3><i class="fas fa-lock"></i> Session Expired</h3>
+            </div>
+            <p class="form-hint">
+                ${guest
+                    ? "Your guest session has ended and can't be resumed. Sign in to keep working."
+                    : "Your sign-in has expired. Sign in again to continue where you left off."}
+            </p>
+            ${guest ? "" : `
+            <form onsubmit="submitReauthentication(event)">
+                <div class="form-group">
+                    <label for="reauth-email">Email</label>
+                    <input type="email" id="reauth-email" class="form-input" required />
+                </div>
+                <div class="form-group">
+                    <label for="reauth-password">Password</label>
+                    <input type="password" id="reauth-password" class="form-input" required />
+                </div>
+                <p class="reauth-error" id="reauth-error"></p>
+                <div class="step-actions">
+                    <button type="submit" class="btn btn-primary" id="reauth-submit">Sign In</button>
+                </div>
+            </form>
+            ${providers.length ? `
+            <div class="reauth-providers">
+                ${providers.map(p => `
+                <button type="button" class="btn btn-secondary" onclick="reauthenticateWithProvider('${p.id}')"><i class="${p.icon}"></i> ${p.label}</button>`).join("")}
+            </div>` : ""}`}
+            <a href="#" class="reauth-login-link" onclick="redirectToLogin(); return false;">Go to the login page</a>
+        </div>`;
+    if (!guest) document.getElementById("reauth-email").value = guardedUser.email || "";
+    modal.classList.add("show");
+}
+
+async function submitReauthentication(event) {
+    event.preventDefault();
+    const button = document.getElementById("reauth-submit");
+    button.disabled = true;
+    try {
+        const user = await window.bugzyAuth.signInWithEmail(
+            document.getElementById("reauth-email").value.trim(),
+            document.getElementById("reauth-password").value
+        );
+        finishReauthentication(user);
+    } catch (error) {
+        document.getElementById("reauth-error").textContent = error.message;
+    } finally {
+        button.disabled = false;
+    }
+}
+
+async function reauthenticateWithProvider(id) {
+    try {
+        finishReauthentication(await window.bugzyAuth.signInWithProvider(id));
+    } catch (error) {
+        document.getElementById("reauth-error").textContent = error.message;
+    }
+}
+
+function finishReauthentication(user) {
+    // Someone else signed in: the page holds the previous user's data, so start over as the new user
+    if (guardedUser && user.uid !== guardedUser.uid) {
+        window.location.reload();
+        return;
+    }
+    document.getElementById("reauth-modal").classList.remove("show");
+    const { resolve } = pendingReauth;
+    pendingReauth = null;
+    resolve(true);
+}
+
+document.addEventListener("DOMContentLoaded", initAuthGuard);
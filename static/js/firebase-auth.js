@@ -1,7 +1,7 @@
 // BugzyAI Firebase Authentication Service
 // This file provides a centralized Firebase authentication service for the entire application
 
-import { firebaseConfig, authConfig } from './firebase-config.js';
+import { firebaseConfig, authConfig, authProviders } from './firebase-config.js';
 import { initializeApp } from 'https://www.gstatic.com/firebasejs/10.12.2/firebase-app.js';
 import { 
     getAuth, 
@@ -9,21 +9,69 @@ import {
     createUserWithEmailAndPassword, 
     signInWithPopup, 
     GoogleAuthProvider, 
+    GithubAuthProvider,
+    OAuthProvider,
+    SAMLAuthProvider,
+    fetchSignInMethodsForEmail,
     signInAnonymously,
     signOut,
     onAuthStateChanged,
-    updateProfile
+    updateProfile,
+    sendPasswordResetEmail,
+    sendEmailVerification,
+    reload,
+    linkWithCredential,
+    linkWithPopup,
+    EmailAuthProvider,
+    connectAuthEmulator
 } from 'https://www.gstatic.com/firebasejs/10.12.2/firebase-auth.js';
 import { getAnalytics } from 'https://www.gstatic.com/firebasejs/10.12.2/firebase-analytics.js';
 
+// Firebase provider for an authProviders entry (see firebase-config.js)
+function createProvider(config) {
+    let provider;
+    if (config.id === 'google') {
+        provider = new GoogleAuthProvider();
+    } else if (config.id === 'github') {
+        provider = new GithubAuthProvider();
+    } else if (config.id === 'microsoft') {
+        provider = new OAuthProvider('microsoft.com');
+    } else if (config.id.startsWith('oidc.')) {
+        provider = new OAuthProvider(config.id);
+    } else if (config.id.startsWith('saml.')) {
+        // SAML has no OAuth scopes
+        provider = new SAMLAuthProvider(config.id);
+    } else {
+        throw new Error(`Unknown auth provider "${config.id}"`);
+    }
+    (config.scopes || []).forEach(scope => provider.addScope(scope));
+    if (config.customParameters) {
+        provider.setCustomParameters(config.customParameters);
+    }
+    return provider;
+}
+
+// The credential a failed sign-in would have used, so it can be linked to the existing account later
+function credentialFromError(config, error) {
+    if (config.id === 'google') return GoogleAuthProvider.credentialFromError(error);
+    if (config.id === 'github') return GithubAuthProvider.credentialFromError(error);
+    if (config.id.startsWith('saml.')) return SAMLAuthProvider.credentialFromError(error);
+    return OAuthProvider.credentialFromError(error);
+}
+
 class BugzyAIAuth {
     constructor() {
         this.app = null;
         this.auth = null;
-        this.googleProvider = null;
+        this.providers = new Map(); // enabled authProviders entries by id: { config, provider }
+        // Set when a provider sign-in hit an account that uses another sign-in method; see completePendingLink
+        this.pendingLink = null;
         this.analytics = null;
         this.initialized = false;
         this.currentUser = null;
+        this.signingOut = false;
+        // Settles once Firebase has restored (or ruled out) a signed-in user on page load
+        this.authReady = new Promise(resolve => { this.resolveAuthReady = resolve; });
         
         this.init();
     }
@@ -33,17 +81,25 @@ class BugzyAIAuth {
             // Initialize Firebase
             this.app = initializeApp(firebaseConfig);
             this.auth = getAuth(this.app);
-            this.googleProvider = new GoogleAuthProvider();
+            if (authConfig.emulatorHost) {
+                connectAuthEmulator(this.auth, authConfig.emulatorHost, { disableWarnings: true });
+            }
             this.analytics = getAnalytics(this.app);
             
-            // Configure Google Provider
-            this.googleProvider.addScope('email');
-            this.googleProvider.addScope('profile');
+            // Configure the federated providers
+            authProviders.filter(config => config.enabled).forEach(config => {
+                try {
+                    this.providers.set(config.id, { config, provider: createProvider(config) });
+                } catch (error) {
+                    console.error(`Skipping auth provider ${config.id}:`, error);
+                }
+            });
             
             // Set up auth state listener
             onAuthStateChanged(this.auth, (user) => {
                 this.currentUser = user;
                 this.onAuthStateChange(user);
+                this.resolveAuthReady();
             });
             
             this.initialized = true;
@@ -52,6 +108,7 @@ class BugzyAIAuth {
         } catch (error) {
             console.error("❌ BugzyAI Auth Service initialization failed:", error);
             this.initialized = false;
+            this.resolveAuthReady();
         }
     }
 
@@ -81,6 +138,13 @@ class BugzyAIAuth {
         return this.currentUser;
     }
 
+    // Firebase ID token for authenticating API calls (null when signed out).
+    // The SDK returns its cached token until shortly before it expires; forceRefresh always fetches a new one.
+    async getIdToken(forceRefresh = false) {
+        await this.authReady;
+        return this.currentUser ? this.currentUser.getIdToken(forceRefresh) : null;
+    }
+
     // Sign in with email and password
     async signInWithEmail(email, password) {
         if (!this.isReady()) {
@@ -109,6 +173,10 @@ class BugzyAIAuth {
             if (displayName) {
                 await updateProfile(user, { displayName });
             }
+
+            if (authConfig.emailVerification) {
+                await sendEmailVerification(user);
+            }
             
             return user;
         } catch (error) {
@@ -116,15 +184,93 @@ class BugzyAIAuth {
         }
     }
 
-    // Sign in with Google
-    async signInWithGoogle() {
+    // Enabled federated providers in display order, as { id, label, icon }
+    getProviders() {
+        return [...this.providers.values()].map(({ config }) => ({
+            id: config.id,
+            label: config.label || config.id,
+            icon: config.icon || 'fas fa-sign-in-alt'
+        }));
+    }
+
+    getProvider(id) {
+        const entry = this.providers.get(id);
+        if (!entry) {
+            throw new Error(`Sign-in with ${id} is not enabled`);
+        }
+        return entry;
+    }
+
+    // Sign in with a federated provider from authProviders
+    async signInWithProvider(id) {
         if (!this.isReady()) {
             throw new Error('Auth service not initialized');
         }
+        const { config, provider } = this.getProvider(id);
         
         try {
-            const result = await signInWithPopup(this.auth, this.googleProvider);
+            const result = await signInWithPopup(this.auth, provider);
             return result.user;
+        } catch (error) {
+            if (error.code === 'auth/account-exists-with-different-credential') {
+                await this.startPendingLink(config, error);
+            }
+            throw this.handleAuthError(error);
+        }
+    }
+
+    // Sign in with Google
+    async signInWithGoogle() {
+        return this.signInWithProvider('google');
+    }
+
+    // The email already belongs to an account with another sign-in method. Keep the new credential so that
+    // once the user signs in the way they did before, completePendingLink can add this provider to that account.
+    async startPendingLink(config, error) {
+        const email = error.customData && error.customData.email;
+        const credential = credentialFromError(config, error);
+        if (!email || !credential) {
+            this.pendingLink = null;
+            return;
+        }
+        // With email enumeration protection on (the default for new projects) this lookup comes back empty
+        const methods = await fetchSignInMethodsForEmail(this.auth, email).catch(() => []);
+        this.pendingLink = {
+            email,
+            credential,
+            provider: { id: config.id, label: config.label },
+            existingMethods: methods.map(method => this.describeSignInMethod(method))
+        };
+    }
+
+    // Human-readable name of a Firebase sign-in method ("password", "google.com", "oidc.…")
+    describeSignInMethod(method) {
+        if (method === 'password') return 'email and password';
+        const entry = [...this.providers.values()].find(({ provider }) => provider.providerId === method);
+        return entry ? entry.config.label : method;
+    }
+
+    getPendingLink() {
+        return this.pendingLink;
+    }
+
+    cancelPendingLink() {
+        this.pendingLink = null;
+    }
+
+    // Link the pending provider credential to the user who just signed in, if it is for their email address.
+    // Returns the linked provider ({ id, label }) or null when there was nothing to link.
+    async completePendingLink(user) {
+        const pending = this.pendingLink;
+        if (!pending || !user.email || user.email.toLowerCase() !== pending.email.toLowerCase()) {
+            return null;
+        }
+        this.pendingLink = null;
+
+        try {
+            await linkWithCredential(user, pending.credential);
+            await this.afterLink(user);
+            return pending.provider;
         } catch (error) {
             throw this.handleAuthError(error);
         }
@@ -144,6 +290,104 @@ class BugzyAIAuth {
         }
     }
 
+    // Send a password reset link. Unknown addresses aren't reported, so the form can't be used to probe for accounts.
+    async sendPasswordReset(email) {
+        if (!this.isReady()) {
+            throw new Error('Auth service not initialized');
+        }
+
+        try {
+            await sendPasswordResetEmail(this.auth, email);
+        } catch (error) {
+            if (error.code === 'auth/user-not-found') return;
+            throw this.handleAuthError(error);
+        }
+    }
+
+    // Whether authConfig.emailVerification keeps this user out until they verify their address.
+    // Only email/password accounts need it: federated providers vouch for their addresses and guests have none.
+    requiresEmailVerification(user = this.currentUser) {
+        return !!(authConfig.emailVerification && user && !user.isAnonymous && !user.emailVerified &&
+            user.providerData.some(provider => provider.providerId === 'password'));
+    }
+
+    // (Re)send the verification link to the signed-in user
+    async sendVerificationEmail() {
+        if (!this.currentUser) {
+            throw new Error('Sign in first');
+        }
+
+        try {
+            await sendEmailVerification(this.currentUser);
+        } catch (error) {
+            throw this.handleAuthError(error);
+        }
+    }
+
+    // Re-read the signed-in user from Firebase, e.g. after they clicked the verification link
+    async refreshUser() {
+        if (!this.currentUser) return null;
+        await reload(this.currentUser);
+        // A new ID token carries the updated email_verified claim to the server
+        await this.currentUser.getIdToken(true);
+        this.storeUserData(this.currentUser);
+        return this.currentUser;
+    }
+
+    // Turn the signed-in guest into an email/password account. The uid stays the same, so the guest's
+    // tests, suites and run history carry over.
+    async upgradeGuestWithEmail(email, password, displayName) {
+        const guest = this.requireGuest();
+
+        try {
+            const { user } = await linkWithCredential(guest, EmailAuthProvider.credential(email, password));
+            if (displayName) {
+                await updateProfile(user, { displayName });
+            }
+            if (authConfig.emailVerification) {
+                await sendEmailVerification(user);
+            }
+            return this.afterLink(user);
+        } catch (error) {
+            throw this.handleAuthError(error);
+        }
+    }
+
+    // Same as upgradeGuestWithEmail, with the user's account at a federated provider
+    async upgradeGuestWithProvider(id) {
+        const guest = this.requireGuest();
+        const { provider } = this.getProvider(id);
+
+        try {
+            const { user } = await linkWithPopup(guest, provider);
+            return this.afterLink(user);
+        } catch (error) {
+            throw this.handleAuthError(error);
+        }
+    }
+
+    isGuest() {
+        return !!(this.currentUser && this.currentUser.isAnonymous);
+    }
+
+    requireGuest() {
+        if (!this.isReady()) {
+            throw new Error('Auth service not initialized');
+        }
+        if (!this.isGuest()) {
+            throw new Error('Only guest accounts can be upgraded');
+        }
+        return this.currentUser;
+    }
+
+    // Linking keeps the session, so onAuthStateChanged doesn't fire: refresh the ID token (its sign-in
+    // provider changed) and the stored user data here
+    async afterLink(user) {
+        await user.getIdToken(true);
+        this.storeUserData(user);
+        return user;
+    }
+
     // Sign out
     async signOut() {
         if (!this.isReady()) {
@@ -151,9 +395,12 @@ class BugzyAIAuth {
         }
         
         try {
+            // Lets the auth guard tell a deliberate sign-out from a session that expired
+            this.signingOut = true;
             await signOut(this.auth);
             this.clearUserData();
         } catch (error) {
+            this.signingOut = false;
             throw this.handleAuthError(error);
         }
     }
@@ -172,9 +419,8 @@ class BugzyAIAuth {
             ...additionalData
         };
         
-        // Store in localStorage for persistence
+        // Store in localStorage for persistence (profile details only; API calls fetch a fresh ID token)
         localStorage.setItem('userData', JSON.stringify(userData));
-        localStorage.setItem('authToken', user.accessToken || 'authenticated');
         
         return userData;
     }
@@ -197,9 +443,24 @@ class BugzyAIAuth {
         }
     }
 
-    // Check if user is authenticated
+    // Check if user is authenticated. Stored userData alone isn't enough: it outlives an ended Firebase
+    // session, so wait for authReady before relying on this.
     isAuthenticated() {
-        return !!this.currentUser || !!this.getStoredUserData();
+        return !!this.currentUser;
+    }
+
+    // Page to open after signing in: the ?next= page that sent the user to /login, or fallback.
+    // next is resolved the way the browser would (which reads "/\evil.com" as "//evil.com"), and only
+    // a page on this site is accepted
+    getRedirectPath(fallback = '/pipeline') {
+        const next = new URLSearchParams(window.location.search).get('next');
+        if (!next) return fallback;
+        try {
+            const url = new URL(next, window.location.origin);
+            return url.origin === window.location.origin ? url.pathname + url.search + url.hash : fallback;
+        } catch (error) {
+            return fallback;
+        }
     }
 
     // Handle authentication errors
@@ -215,18 +476,32 @@ class BugzyAIAuth {
             'auth/popup-closed-by-user': 'Sign-in popup was closed. Please try again.',
             'auth/api-key-not-valid': 'Authentication service configuration error.',
             'auth/configuration-not-found': 'Authentication service not properly configured.',
-            'auth/project-not-found': 'Authentication service not properly configured.'
+            'auth/project-not-found': 'Authentication service not properly configured.',
+            'auth/invalid-credential': 'Incorrect email or password. Please try again.',
+            'auth/credential-already-in-use': 'That account already exists. Sign in to it instead; guest work stays with the guest account.',
+            'auth/provider-already-linked': 'This account is already linked to that sign-in method.',
+            'auth/missing-email': 'Please enter your email address.',
+            'auth/account-exists-with-different-credential': 'An account already exists with this email address. Sign in the way you did before to link the two.',
+            'auth/popup-blocked': 'The sign-in popup was blocked. Allow popups for this site and try again.',
+            'auth/cancelled-popup-request': 'Another sign-in popup is already open.',
+            'auth/operation-not-allowed': 'This sign-in method is not enabled. Please contact support.',
+            'auth/unauthorized-domain': 'Sign-in is not allowed from this domain. Please contact support.',
+            'auth/invalid-provider-id': 'This sign-in provider is not set up correctly. Please contact support.',
+            'auth/user-disabled': 'This account has been disabled. Please contact support.'
         };
         
         const message = errorMap[error.code] || error.message || 'Authentication failed. Please try again.';
         
-        return new Error(message);
+        // Keep the Firebase code so callers can react to specific failures
+        const handled = new Error(message);
+        handled.code = error.code;
+        return handled;
     }
 
-    // Utility method to redirect after authentication
+    // Utility method to redirect after authentication, back to the page that sent the user to /login if any
     redirectAfterAuth(path = '/pipeline') {
         setTimeout(() => {
-            window.location.href = path;
+            window.location.href = this.getRedirectPath(path);
         }, 1500);
     }
 }
@@ -17,10 +17,26 @@ export const firebaseConfig = {
 export const authConfig = {
     // Additional auth settings
     persistence: 'local', // Keep users logged in
-    emailVerification: false, // Set to true if you want to require email verification
+    emailVerification: false, // Set to true to keep email/password users out until they verify their address
     allowGuests: true, // Allow anonymous/guest users
+    emulatorHost: null, // e.g. "http://127.0.0.1:9099" to use the Firebase Auth emulator
 };
 
+// Federated sign-in providers, shown as buttons on the login page in this order.
+// Each one must also be enabled in the Firebase console (Authentication > Sign-in method).
+// id is "google", "github", "microsoft", or the provider ID of an OpenID Connect ("oidc.…") or
+// SAML ("saml.…") provider set up there for your company's identity provider.
+export const authProviders = [
+    { id: 'google', label: 'Google', icon: 'fab fa-google', enabled: true, scopes: ['email', 'profile'] },
+    { id: 'github', label: 'GitHub', icon: 'fab fa-github', enabled: false, scopes: ['read:user', 'user:email'] },
+    {
+        id: 'microsoft', label: 'Microsoft', icon: 'fab fa-microsoft', enabled: false, scopes: ['email', 'profile'],
+        customParameters: { tenant: 'organizations' } // or your Azure AD tenant ID, to allow only your organization
+    },
+    { id: 'oidc.company-sso', label: 'Company SSO', icon: 'fas fa-building', enabled: false, scopes: ['email', 'profile'] },
+    { id: 'saml.company-sso', label: 'Company SSO', icon: 'fas fa-building', enabled: false },
+];
+
 // Contact Form Configuration
 export const contactConfig = {
     // Email settings for contact form
@@ -41,6 +57,7 @@ export const appConfig = {
 export default {
     firebase: firebaseConfig,
     auth: authConfig,
+    providers: authProviders,
     contact: contactConfig,
     app: appConfig
 };
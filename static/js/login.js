@@ -7,6 +7,7 @@ try {
     import('./firebase-auth.js').then(module => {
         bugzyAuth = module.default;
         console.log('BugzyAI Auth service loaded');
+        renderProviderButtons();
     });
 } catch (error) {
     console.warn('Firebase auth service not available:', error);
@@ -50,6 +51,20 @@ function initializeFormHandlers() {
     if (registerForm) {
         registerForm.addEventListener('submit', handleRegister);
     }
+
+    const forgotPassword = document.querySelector('.forgot-password');
+    if (forgotPassword) {
+        forgotPassword.addEventListener('click', handleForgotPassword);
+    }
+
+    document.getElementById('verifyContinueBtn').addEventListener('click', handleVerifiedContinue);
+    document.getElementById('verifyResendBtn').addEventListener('click', handleResendVerification);
+    document.getElementById('verifySignOutLink').addEventListener('click', handleVerifySignOut);
+
+    // Links such as the profile page's "Create an account" open the sign-up form directly
+    if (new URLSearchParams(window.location.search).get('mode') === 'register') {
+        toggleMode();
+    }
 }
 
 async function handleLogin(event) {
@@ -79,14 +94,24 @@ async function handleLogin(event) {
     
     try {
         const user = await bugzyAuth.signInWithEmail(email, password);
+        const linked = await linkPendingProvider(user);
         
         // Store user preference
         if (rememberMe) {
             localStorage.setItem('rememberUser', 'true');
         }
+
+        if (bugzyAuth.requiresEmailVerification(user)) {
+            showVerifyCard(user);
+            showMessage('Verify your email address to continue.', 'warning');
+            return;
+        }
         
-        showMessage('Login successful! Redirecting...', 'success');
+        showMessage(linked ? `Login successful, ${linked.label} is now linked to your account! Redirecting...`
+            : 'Login successful! Redirecting...', 'success');
         
+        await recordLogin(user);
+
         // Redirect handled by auth service
         bugzyAuth.redirectAfterAuth('/pipeline');
         
@@ -142,10 +167,22 @@ async function handleRegister(event) {
     showLoading(true);
     
     try {
-        const user = await bugzyAuth.createAccountWithEmail(email, password, name);
+        // A signed-in guest keeps their uid (and their work) by linking the new credentials instead
+        const upgrading = bugzyAuth.isGuest();
+        const user = upgrading
+            ? await bugzyAuth.upgradeGuestWithEmail(email, password, name)
+            : await bugzyAuth.createAccountWithEmail(email, password, name);
+
+        if (bugzyAuth.requiresEmailVerification(user)) {
+            showVerifyCard(user);
+            showMessage('Account created! Verify your email address to continue.', 'success');
+            return;
+        }
         
-        showMessage('Account created successfully! Redirecting...', 'success');
+        showMessage(upgrading ? 'Account created, your guest work was kept! Redirecting...' : 'Account created successfully! Redirecting...', 'success');
         
+        await recordLogin(user);
+
         // Redirect handled by auth service
         bugzyAuth.redirectAfterAuth('/pipeline');
         
@@ -157,7 +194,39 @@ async function handleRegister(event) {
     }
 }
 
-async function signInWithGoogle() {
+// One button per enabled provider in authProviders (firebase-config.js), on both cards
+function renderProviderButtons() {
+    const providers = bugzyAuth.getProviders();
+    renderProviderList(document.getElementById('signInProviders'), providers, 'Continue with', signInWithProvider);
+    renderProviderList(document.getElementById('signUpProviders'), providers, 'Sign up with', signUpWithProvider);
+}
+
+function renderProviderList(container, providers, action, handler) {
+    // Provider buttons go ahead of the guest button, where there is one
+    const guestButton = container.querySelector('.guest-btn');
+    providers.forEach(provider => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'social-btn provider-btn';
+        button.dataset.provider = provider.id;
+        button.innerHTML = `<i class="${provider.icon}"></i>`;
+        button.append(` ${action} ${provider.label}`);
+        button.addEventListener('click', () => handler(provider.id));
+        container.insertBefore(button, guestButton);
+    });
+    // Nothing to offer: hide the "or" divider as well
+    if (!container.children.length) {
+        container.classList.add('hidden');
+        container.previousElementSibling.classList.add('hidden');
+    }
+}
+
+function providerLabel(id) {
+    const provider = bugzyAuth.getProviders().find(p => p.id === id);
+    return provider ? provider.label : id;
+}
+
+async function signInWithProvider(id) {
     // Check if Firebase is configured
     if (!bugzyAuth.isReady()) {
         showMessage('Authentication not configured. Please set up Firebase.', 'error');
@@ -167,21 +236,93 @@ async function signInWithGoogle() {
     showLoading(true);
     
     try {
-        const user = await bugzyAuth.signInWithGoogle();
+        const user = await bugzyAuth.signInWithProvider(id);
+        const linked = await linkPendingProvider(user);
         
-        showMessage('Google sign-in successful! Redirecting...', 'success');
+        showMessage(linked ? `Signed in, ${linked.label} is now linked to your account! Redirecting...`
+            : `${providerLabel(id)} sign-in successful! Redirecting...`, 'success');
         
+        await recordLogin(user);
+
         // Redirect handled by auth service
         bugzyAuth.redirectAfterAuth('/pipeline');
         
     } catch (error) {
-        console.error('Google sign-in error:', error);
+        console.error(`${providerLabel(id)} sign-in error:`, error);
+        if (error.code === 'auth/account-exists-with-different-credential' && bugzyAuth.getPendingLink()) {
+            showLinkAccountNotice(bugzyAuth.getPendingLink());
+        }
         showMessage(error.message, 'error');
     } finally {
         showLoading(false);
     }
 }
 
+// "Sign up with <provider>": a signed-in guest links that account, anyone else just signs in
+async function signUpWithProvider(id) {
+    if (!bugzyAuth.isGuest()) {
+        return signInWithProvider(id);
+    }
+
+    showLoading(true);
+
+    try {
+        const user = await bugzyAuth.upgradeGuestWithProvider(id);
+
+        showMessage('Account created, your guest work was kept! Redirecting...', 'success');
+
+        await recordLogin(user);
+
+        bugzyAuth.redirectAfterAuth('/pipeline');
+
+    } catch (error) {
+        console.error('Guest upgrade error:', error);
+        showMessage(error.message, 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+// Guided account merging: the provider's email already has an account with another sign-in method.
+// Ask the user to sign in that way; linkPendingProvider then adds the provider to the account.
+function showLinkAccountNotice(pending) {
+    const registerCard = document.getElementById('registerCard');
+    if (!registerCard.classList.contains('hidden')) {
+        toggleMode();
+    }
+    const methods = pending.existingMethods.length ? pending.existingMethods.join(' or ') : 'the method you used before';
+
+    const notice = document.getElementById('linkAccountNotice');
+    notice.innerHTML = '<i class="fas fa-link"></i>';
+    notice.append(`${pending.email} already has an account. Sign in with ${methods} to link ${pending.provider.label} to it. `);
+    const cancel = document.createElement('a');
+    cancel.href = '#';
+    cancel.textContent = "Don't link";
+    cancel.addEventListener('click', event => {
+        event.preventDefault();
+        bugzyAuth.cancelPendingLink();
+        notice.classList.add('hidden');
+    });
+    notice.appendChild(cancel);
+    notice.classList.remove('hidden');
+
+    document.getElementById('email').value = pending.email;
+}
+
+// After a sign-in, link the provider left pending by showLinkAccountNotice. Returns the linked provider or null;
+// a failed link doesn't undo the sign-in.
+async function linkPendingProvider(user) {
+    if (!bugzyAuth.getPendingLink()) return null;
+    document.getElementById('linkAccountNotice').classList.add('hidden');
+    try {
+        return await bugzyAuth.completePendingLink(user);
+    } catch (error) {
+        console.error('Account linking error:', error);
+        showMessage(`Signed in, but the accounts could not be linked: ${error.message}`, 'warning');
+        return null;
+    }
+}
+
 async function signInAsGuest() {
     // Check if Firebase is configured
     if (!bugzyAuth.isReady()) {
@@ -196,6 +337,8 @@ async function signInAsGuest() {
         
         showMessage('Signed in as guest! Redirecting...', 'success');
         
+        await recordLogin(user);
+
         // Redirect handled by auth service
         bugzyAuth.redirectAfterAuth('/pipeline');
         
@@ -207,52 +350,123 @@ async function signInAsGuest() {
     }
 }
 
-async function storeUserData(user, additionalData = {}) {
-    const userData = {
-        uid: user.uid,
-        email: user.email,
-        displayName: user.displayName || additionalData.displayName || 'User',
-        photoURL: user.photoURL,
-        emailVerified: user.emailVerified,
-        isGuest: additionalData.isGuest || false,
-        loginTime: new Date().toISOString(),
-        ...additionalData
-    };
-    
-    // Store in localStorage for quick access
-    localStorage.setItem('userData', JSON.stringify(userData));
-    
-    // Store in sessionStorage as backup
-    sessionStorage.setItem('userData', JSON.stringify(userData));
-    
-    // Here you could also send to your backend API
+// Confirm the sign-in with the backend, which reads the user from the verified ID token
+async function recordLogin(user) {
     try {
+        const idToken = await user.getIdToken();
         await fetch('/api/user/login', {
             method: 'POST',
             headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify(userData)
+                'Authorization': `Bearer ${idToken}`
+            }
         });
     } catch (error) {
-        console.warn('Failed to sync user data with backend:', error);
+        console.warn('Failed to sync login with backend:', error);
     }
 }
 
-function checkAuthState() {
-    // Check if user is already logged in
-    const userData = localStorage.getItem('userData');
-    if (userData) {
-        try {
-            const user = JSON.parse(userData);
-            // Optionally verify token is still valid
-            console.log('User already logged in:', user.displayName);
-        } catch (error) {
-            localStorage.removeItem('userData');
+async function checkAuthState() {
+    // Stored userData can outlive the Firebase session, so ask Firebase whether someone is signed in
+    // before leaving the login page (for the ?next= page, or home)
+    const auth = await import('./firebase-auth.js').then(module => module.default).catch(() => null);
+    if (!auth) return;
+    await auth.authReady;
+    if (!auth.isAuthenticated()) return;
+
+    if (auth.requiresEmailVerification()) {
+        showVerifyCard(auth.getCurrentUser());
+        return;
+    }
+    // Guests come here to turn their session into a real account
+    if (auth.isGuest()) {
+        document.getElementById('guestUpgradeNotice').classList.remove('hidden');
+        return;
+    }
+    window.location.href = auth.getRedirectPath('/');
+}
+
+async function handleForgotPassword(event) {
+    event.preventDefault();
+
+    const emailInput = document.getElementById('email');
+    const email = emailInput.value.trim();
+    if (!validateEmail(email)) {
+        showMessage('Enter your email address above, then choose "Forgot password?" again.', 'warning');
+        emailInput.focus();
+        return;
+    }
+
+    if (!bugzyAuth || !bugzyAuth.isReady()) {
+        showMessage('Authentication not configured. Please set up Firebase.', 'error');
+        return;
+    }
+
+    showLoading(true);
+
+    try {
+        await bugzyAuth.sendPasswordReset(email);
+        showMessage(`If an account exists for ${email}, a password reset link is on its way.`, 'success');
+    } catch (error) {
+        console.error('Password reset error:', error);
+        showMessage(error.message, 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+// Email verification (authConfig.emailVerification): swap the forms for the verify card
+function showVerifyCard(user) {
+    document.querySelectorAll('.login-card').forEach(card => card.classList.add('hidden'));
+    document.getElementById('verifyEmail').textContent = user.email;
+    document.getElementById('verifyCard').classList.remove('hidden');
+}
+
+async function handleVerifiedContinue(event) {
+    const button = event.currentTarget;
+    button.disabled = true;
+
+    try {
+        const user = await bugzyAuth.refreshUser();
+        if (!user || bugzyAuth.requiresEmailVerification(user)) {
+            showMessage("Your email isn't verified yet. Open the link we sent, then try again.", 'warning');
+            return;
         }
+
+        showMessage('Email verified! Redirecting...', 'success');
+
+        await recordLogin(user);
+
+        bugzyAuth.redirectAfterAuth('/pipeline');
+
+    } catch (error) {
+        console.error('Verification check error:', error);
+        showMessage(error.message, 'error');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+async function handleResendVerification(event) {
+    const button = event.currentTarget;
+    button.disabled = true;
+
+    try {
+        await bugzyAuth.sendVerificationEmail();
+        showMessage('Verification link sent. Check your inbox.', 'success');
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        showMessage(error.message, 'error');
+    } finally {
+        button.disabled = false;
     }
 }
 
+async function handleVerifySignOut(event) {
+    event.preventDefault();
+    await bugzyAuth.signOut();
+    window.location.reload();
+}
+
 function handleAuthError(error) {
     let message = 'An error occurred. Please try again.';
     
@@ -506,7 +720,8 @@ function logout() {
 // Export for global access (for any remaining inline handlers)
 window.logout = logout;
 window.showMessage = showMessage;
-window.signInWithGoogle = signInWithGoogle;
+window.signInWithProvider = signInWithProvider;
+window.signUpWithProvider = signUpWithProvider;
 window.signInAsGuest = signInAsGuest;
 
 // Handle browser back/forward buttons
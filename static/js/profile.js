@@ -0,0 +1,665 @@
+// BugzyAI Profile Page - run history dashboard
+// Lists the signed-in user's past executions grouped by target URL, with pass-rate sparklines and drill-down,
+// their saved suites with upcoming and past scheduled runs, and their personal API tokens.
+// Suites and runs are those of the workspace picked in the Workspaces section, where members are managed too.
+
+let suitesById = {};
+let editingNotifications = null; // { suiteId, channels } while the notifications panel is open
+
+document.addEventListener("DOMContentLoaded", function () {
+    loadProfileStats();
+    loadWorkspaceSection();
+    loadRunHistory();
+    loadSuites();
+    loadApiTokens();
+});
+
+async function loadProfileStats() {
+    try {
+        const response = await apiFetch("/api/user/profile");
+        const result = await response.json();
+        if (result.status !== "success") return;
+        const stats = result.profile.stats;
+        document.getElementById("stat-tests-executed").textContent = stats.testsExecuted;
+        document.getElementById("stat-success-rate").textContent = `${stats.successRate}%`;
+    } catch (error) {
+        console.warn("Could not load profile stats:", error);
+    }
+}
+
+async function loadRunHistory() {
+    const container = document.getElementById("runHistoryTargets");
+    try {
+        const response = await apiFetch("/api/runs");
+        const result = await response.json();
+        if (result.status !== "success") throw new Error(result.message);
+        renderRunHistory(result.runs);
+        renderPastScheduledRuns(result.runs);
+    } catch (error) {
+        console.error("Error loading run history:", error);
+        container.innerHTML = `<p class="muted">Could not load run history: ${escapeHtml(error.message)}</p>`;
+    }
+}
+
+function passRate(summary) {
+    const decided = summary.passed + summary.failed;
+    return decided > 0 ? Math.round((summary.passed / decided) * 100) : 0;
+}
+
+// Runs arrive newest first; each group keeps that order
+function groupRunsByTarget(runs) {
+    const groups = new Map();
+    runs.forEach(run => {
+        if (!groups.has(run.website_url)) groups.set(run.website_url, []);
+        groups.get(run.website_url).push(run);
+    });
+    return groups;
+}
+
+// Inline SVG polyline of pass rates (0-100), oldest on the left
+function renderSparkline(values, width = 160, height = 36) {
+    if (values.length === 0) return "";
+    const step = values.length > 1 ? width / (values.length - 1) : 0;
+    const points = values.map((v, i) => `${(i * step).toFixed(1)},${(height - (v / 100) * (height - 4) - 2).toFixed(1)}`);
+    if (values.length === 1) points.push(`${width},${points[0].split(",")[1]}`);
+    return `
+        <svg class="sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="Pass rate trend">
+            <polyline fill="none" stroke="currentColor" stroke-width="2" points="${points.join(" ")}" />
+        </svg>`;
+}
+
+function renderRunHistory(runs) {
+    const container = document.getElementById("runHistoryTargets");
+    document.getElementById("runHistoryCount").textContent = `${runs.length} run(s)`;
+    if (runs.length === 0) {
+        container.innerHTML = `<p class="muted">No test runs yet. Execute tests from the <a href="/pipeline">pipeline</a> to see them here.</p>`;
+        return;
+    }
+
+    container.innerHTML = [...groupRunsByTarget(runs)].map(([url, targetRuns]) => {
+        const latest = targetRuns[0];
+        const trend = targetRuns.slice(0, 20).map(run => passRate(run.summary)).reverse();
+        return `
+            <div class="run-target">
+                <div class="run-target-header">
+                    <div>
+                        <h4>${escapeHtml(url)}</h4>
+                        <p class="muted">${targetRuns.length} run(s) - latest pass rate ${passRate(latest.summary)}%</p>
+                    </div>
+                    ${renderSparkline(trend)}
+                </div>
+                <ul class="run-list">
+                    ${targetRuns.map(run => `
+                        <li class="run-row" onclick="showRunDetail('${run.id}')">
+                            <span>${new Date(run.timestamp).toLocaleString()}</span>
+                            <span class="muted">${escapeHtml(run.mode)}${run.suite ? ` - ${escapeHtml(run.suite.name)}` : ""}${run.cancelled ? " (cancelled)" : ""}</span>
+                            <span class="run-counts">
+                                <span class="passed">${run.summary.passed} passed</span>
+                                <span class="failed">${run.summary.failed} failed</span>
+                                <span class="skipped">${run.summary.skipped} skipped</span>
+                            </span>
+                        </li>`).join("")}
+                </ul>
+            </div>`;
+    }).join("");
+}
+
+async function loadSuites() {
+    const container = document.getElementById("suiteList");
+    try {
+        const response = await apiFetch("/api/suites");
+        const result = await response.json();
+        if (result.status !== "success") throw new Error(result.message);
+        renderSuites(result.suites);
+        renderUpcomingRuns(result.upcoming);
+    } catch (error) {
+        console.error("Error loading suites:", error);
+        container.innerHTML = `<p class="muted">Could not load suites: ${escapeHtml(error.message)}</p>`;
+    }
+}
+
+function renderSuites(suites) {
+    const container = document.getElementById("suiteList");
+    document.getElementById("suiteCount").textContent = `${suites.length} suite(s)`;
+    if (suites.length === 0) {
+        container.innerHTML = `<p class="muted">No saved suites yet. Use "Save &amp; Schedule" in Step 4 of the <a href="/pipeline">pipeline</a>.</p>`;
+        return;
+    }
+    suitesById = Object.fromEntries(suites.map(suite => [suite.id, suite]));
+    container.innerHTML = suites.map(suite => {
+        const schedule = suite.schedule;
+        const target = suite.environment_ids.length ? `${suite.environment_ids.length} environment(s)` : suite.website_url;
+        const last = suite.last_summary;
+        return `
+            <div class="run-target">
+                <div class="suite-header">
+                    <div>
+                        <h4>${escapeHtml(suite.name)}</h4>
+                        <p class="muted">${suite.test_cases.length} test(s) on ${escapeHtml(target)} - ${escapeHtml(suite.execution_mode)}</p>
+                    </div>
+                    <div class="suite-actions">
+                        <label class="toggle-label" title="${schedule.cron ? "Enable or pause the schedule" : "This suite has no schedule"}">
+                            <input type="checkbox" class="toggle-input" ${schedule.enabled ? "checked" : ""} ${schedule.cron ? "" : "disabled"}
+                                onchange="toggleSuiteSchedule('${escapeHtml(suite.id)}', this.checked)" />
+                            <span class="toggle-slider"></span>
+                        </label>
+                        <button class="btn btn-secondary" title="Notifications" onclick="editSuiteNotifications('${escapeHtml(suite.id)}')"><i class="fas fa-bell"></i>${suite.notifications?.length ? ` ${suite.notifications.length}` : ""}</button>
+                        <button class="btn btn-secondary" title="Delete suite" onclick="deleteSuite('${escapeHtml(suite.id)}')"><i class="fas fa-trash"></i></button>
+                    </div>
+                </div>
+                <div class="suite-meta muted">
+                    <span>${schedule.cron ? `<code>${escapeHtml(schedule.cron)}</code> (${escapeHtml(schedule.timezone)})` : "Not scheduled"}</span>
+                    <span>Next: ${suite.next_run_at ? new Date(suite.next_run_at).toLocaleString() : "-"}</span>
+                    <span>Last: ${suite.last_run_at ? new Date(suite.last_run_at).toLocaleString() : "never"}</span>
+                    ${suite.last_error ? `<span class="suite-error">${escapeHtml(suite.last_error)}</span>` : ""}
+                    ${last ? `<span class="run-counts"><span class="passed">${last.passed} passed</span><span class="failed">${last.failed} failed</span></span>` : ""}
+                </div>
+            </div>`;
+    }).join("");
+}
+
+function renderUpcomingRuns(upcoming) {
+    document.getElementById("upcomingRuns").innerHTML = upcoming.length === 0
+        ? `<li class="muted">No runs scheduled.</li>`
+        : upcoming.map(run => `
+            <li class="run-row">
+                <span>${new Date(run.at).toLocaleString()}</span>
+                <span class="muted">${escapeHtml(run.name)}</span>
+            </li>`).join("");
+}
+
+// Runs arrive newest first from /api/runs; scheduled ones carry their suite
+function renderPastScheduledRuns(runs) {
+    const scheduled = runs.filter(run => run.suite).slice(0, 10);
+    document.getElementById("pastScheduledRuns").innerHTML = scheduled.length === 0
+        ? `<li class="muted">No scheduled runs yet.</li>`
+        : scheduled.map(run => `
+            <li class="run-row" onclick="showRunDetail('${run.id}')">
+                <span>${new Date(run.timestamp).toLocaleString()}</span>
+                <span class="muted">${escapeHtml(run.suite.name)}</span>
+                <span class="run-counts">
+                    <span class="passed">${run.summary.passed}</span>
+                    <span class="failed">${run.summary.failed}</span>
+                </span>
+            </li>`).join("");
+}
+
+async function toggleSuiteSchedule(suiteId, enabled) {
+    try {
+        const response = await apiFetch(`/api/suites/${encodeURIComponent(suiteId)}`, {
+            method: "PUT",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ schedule: { enabled } }),
+        });
+        const result = await response.json();
+        if (result.status !== "success") throw new Error(result.message);
+    } catch (error) {
+        console.error("Error updating suite schedule:", error);
+        alert(`Could not update the schedule: ${error.message}`);
+    }
+    loadSuites();
+}
+
+async function deleteSuite(suiteId) {
+    if (!confirm("Delete this suite? Its past runs stay in the run history.")) return;
+    try {
+        const response = await apiFetch(`/api/suites/${encodeURIComponent(suiteId)}`, { method: "DELETE" });
+        const result = await response.json();
+        if (result.status !== "success") throw new Error(result.message);
+        loadSuites();
+    } catch (error) {
+        console.error("Error deleting suite:", error);
+        alert(`Could not delete the suite: ${error.message}`);
+    }
+}
+
+function editSuiteNotifications(suiteId) {
+    const suite = suitesById[suiteId];
+    editingNotifications = { suiteId, channels: (suite.notifications || []).map(channel => ({ ...channel })) };
+    renderSuiteNotifications();
+    const panel = document.getElementById("suiteNotifications");
+    panel.style.display = "block";
+    panel.scrollIntoView({ behavior: "smooth", block: "start" });
+}
+
+function closeSuiteNotifications() {
+    editingNotifications = null;
+    document.getElementById("suiteNotifications").style.display = "none";
+}
+
+function renderSuiteNotifications() {
+    const suite = suitesById[editingNotifications.suiteId];
+    const channels = editingNotifications.channels;
+    document.getElementById("suiteNotifications").innerHTML = `
+        <div class="run-detail-header">
+            <div>
+                <h4>Notifications - ${escapeHtml(suite.name)}</h4>
+                <p class="muted">Sent when a scheduled run finishes, or only once its failures reach a threshold.</p>
+            </div>
+            <button class="btn btn-secondary" onclick="closeSuiteNotifications()">Close</button>
+        </div>
+        ${channels.length === 0 ? `<p class="muted">No notifications yet.</p>` : ""}
+        ${channels.map((channel, index) => `
+            <div class="notification-channel">
+                <select class="form-input" onchange="updateNotificationChannel(${index}, 'type', this.value)">
+                    <option value="webhook" ${channel.type === "webhook" ? "selected" : ""}>Webhook (JSON)</option>
+                    <option value="slack" ${channel.type === "slack" ? "selected" : ""}>Slack</option>
+                    <option value="email" ${channel.type === "email" ? "selected" : ""}>Email</option>
+                </select>
+                <input class="form-input notification-target" type="text"
+                    placeholder="${channel.type === "email" ? "qa@example.com, lead@example.com" : "https://hooks.example.com/..."}"
+                    value="${escapeHtml(channel.type === "email" ? (channel.to || []).join(", ") : channel.url || "")}"
+                    onchange="updateNotificationChannel(${index}, 'target', this.value)" />
+                <select class="form-input" onchange="updateNotificationChannel(${index}, 'trigger', this.value)">
+                    <option value="completed" ${channel.trigger === "completed" ? "selected" : ""}>Every run</option>
+                    <option value="failures" ${channel.trigger === "failures" ? "selected" : ""}>Failures reach</option>
+                </select>
+                ${channel.trigger === "failures" ? `
+                    <input class="form-input notification-threshold" type="number" min="1" value="${channel.threshold || 1}"
+                        onchange="updateNotificationChannel(${index}, 'threshold', this.value)" />` : ""}
+                <button class="btn btn-secondary" title="Send test notification" onclick="sendTestNotification(${index}, this)"><i class="fas fa-paper-plane"></i></button>
+                <button class="btn btn-secondary" title="Remove" onclick="removeNotificationChannel(${index})"><i class="fas fa-times"></i></button>
+            </div>`).join("")}
+        <div class="suite-actions">
+            <button class="btn btn-secondary" onclick="addNotificationChannel()"><i class="fas fa-plus"></i> Add notification</button>
+            <button class="btn btn-primary" onclick="saveSuiteNotifications()">Save</button>
+        </div>`;
+}
+
+function addNotificationChannel() {
+    editingNotifications.channels.push({ type: "webhook", url: "", trigger: "completed" });
+    renderSuiteNotifications();
+}
+
+function removeNotificationChannel(index) {
+    editingNotifications.channels.splice(index, 1);
+    renderSuiteNotifications();
+}
+
+function updateNotificationChannel(index, field, value) {
+    const channel = editingNotifications.channels[index];
+    if (field === "target") {
+        if (channel.type === "email") channel.to = value.split(/[,;\s]+/).filter(Boolean);
+        else channel.url = value.trim();
+        return;
+    }
+    if (field === "threshold") {
+        channel.threshold = parseInt(value, 10) || 1;
+        return;
+    }
+    channel[field] = value;
+    if (field === "type") {
+        delete channel.url;
+        delete channel.to;
+    }
+    renderSuiteNotifications();
+}
+
+async function sendTestNotification(index, button) {
+    button.disabled = true;
+    try {
+        const response = await apiFetch("/api/notifications/test", {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ channel: editingNotifications.channels[index], suite_id: editingNotifications.suiteId }),
+        });
+        const result = await response.json();
+        if (result.status !== "success") throw new Error(result.message);
+        alert("Test notification sent.");
+    } catch (error) {
+        console.error("Error sending test notification:", error);
+        alert(`Test notification failed: ${error.message}`);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+async function saveSuiteNotifications() {
+    try {
+        const response = await apiFetch(`/api/suites/${encodeURIComponent(editingNotifications.suiteId)}`, {
+            method: "PUT",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ notifications: editingNotifications.channels }),
+        });
+        const result = await response.json();
+        if (result.status !== "success") throw new Error(result.message);
+        closeSuiteNotifications();
+        loadSuites();
+    } catch (error) {
+        console.error("Error saving notifications:", error);
+        alert(`Could not save notifications: ${error.message}`);
+    }
+}
+
+async function loadApiTokens() {
+    const list = document.getElementById("tokenList");
+    try {
+        const response = await apiFetch("/api/tokens");
+        const result = await response.json();
+        if (result.status !== "success") throw new Error(result.message);
+        list.innerHTML = result.tokens.length === 0
+            ? `<li class="muted">No API tokens yet.</li>`
+            : result.tokens.map(token => {
+                const expired = token.expires_at && new Date(token.expires_at) <= new Date();
+                return `
+                <li class="run-row token-row">
+                    <span><strong>${escapeHtml(token.name)}</strong> <code>${escapeHtml(token.prefix)}...</code></span>
+                    <span class="muted">
+                        Created ${new Date(token.created_at).toLocaleDateString()}
+                        - ${token.last_used_at ? `last used ${new Date(token.last_used_at).toLocaleString()}` : "never used"}
+                        - ${token.expires_at ? `${expired ? "expired" : "expires"} ${new Date(token.expires_at).toLocaleDateString()}` : "no expiry"}
+                    </span>
+                    <button class="btn btn-secondary" title="Revoke token" onclick="revokeApiToken('${escapeHtml(token.id)}')"><i class="fas fa-trash"></i></button>
+                </li>`;
+            }).join("");
+    } catch (error) {
+        console.error("Error loading API tokens:", error);
+        list.innerHTML = `<li class="muted">Could not load API tokens: ${escapeHtml(error.message)}</li>`;
+    }
+}
+
+async function createApiToken() {
+    const nameInput = document.getElementById("tokenName");
+    const name = nameInput.value.trim();
+    if (!name) {
+        alert("Give the token a name so you can recognise it later.");
+        return;
+    }
+    try {
+        const response = await apiFetch("/api/tokens", {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ name, expires_in_days: document.getElementById("tokenExpiry").value || null }),
+        });
+        const result = await response.json();
+        if (result.status !== "success") throw new Error(result.message);
+        nameInput.value = "";
+        const notice = document.getElementById("newTokenNotice");
+        notice.innerHTML = `
+            <p>Copy this token now, it won't be shown again:</p>
+            <div class="token-value">
+                <code id="newTokenValue">${escapeHtml(result.token)}</code>
+                <button class="btn btn-secondary" title="Copy" onclick="copyNewToken()"><i class="fas fa-copy"></i></button>
+            </div>`;
+        notice.style.display = "block";
+        loadApiTokens();
+    } catch (error) {
+        console.error("Error creating API token:", error);
+        alert(`Could not create the token: ${error.message}`);
+    }
+}
+
+function copyNewToken() {
+    navigator.clipboard.writeText(document.getElementById("newTokenValue").textContent)
+        .catch(error => console.error("Error copying token:", error));
+}
+
+async function revokeApiToken(tokenId) {
+    if (!confirm("Revoke this token? Pipelines using it will stop working.")) return;
+    try {
+        const response = await apiFetch(`/api/tokens/${encodeURIComponent(tokenId)}`, { method: "DELETE" });
+        const result = await response.json();
+        if (result.status !== "success") throw new Error(result.message);
+        loadApiTokens();
+    } catch (error) {
+        console.error("Error revoking API token:", error);
+        alert(`Could not revoke the token: ${error.message}`);
+    }
+}
+
+const WORKSPACE_ROLE_HINTS = {
+    viewer: "Can see the workspace's suites, runs and environments.",
+    editor: "Can also run tests and edit suites, environments and credentials.",
+    owner: "Can also manage members and the workspace itself.",
+};
+
+// Workspace management calls; throws with the server's message on failure
+async function workspaceRequest(url, method = "GET", body = null) {
+    const options = { method };
+    if (body) {
+        options.headers = { "Content-Type": "application/json" };
+        options.body = JSON.stringify(body);
+    }
+    const response = await apiFetch(url, options);
+    const result = await response.json();
+    if (result.status !== "success") throw new Error(result.message);
+    return result;
+}
+
+async function loadWorkspaceSection() {
+    // workspaces.js already asked for the list to fill the switcher
+    const result = await (workspacesLoaded || loadWorkspaces().catch(() => null));
+    if (!result) {
+        document.getElementById("workspaceInvitations").innerHTML = `<li class="muted">Could not load workspaces.</li>`;
+        return;
+    }
+    renderWorkspaceInvitations(result.invitations, result.email_verified);
+    const active = getActiveWorkspace();
+    if (active) showWorkspaceDetail(active.id);
+}
+
+function renderWorkspaceInvitations(invitations, emailVerified) {
+    const list = document.getElementById("workspaceInvitations");
+    if (!emailVerified) {
+        list.innerHTML = `<li class="muted">Invitations to join a workspace show up here once your email address is verified.</li>`;
+        return;
+    }
+    list.innerHTML = invitations.map(invitation => `
+        <li class="run-row token-row">
+            <span><strong>${escapeHtml(invitation.workspace_name)}</strong>
+                <span class="muted">- ${escapeHtml(invitation.invited_by)} invited you as ${escapeHtml(invitation.role)}</span></span>
+            <span class="workspace-actions">
+                <button class="btn btn-primary" onclick="acceptWorkspaceInvitation('${escapeHtml(invitation.workspace_id)}')">Accept</button>
+                <button class="btn btn-secondary" onclick="declineWorkspaceInvitation('${escapeHtml(invitation.workspace_id)}')">Decline</button>
+            </span>
+        </li>`).join("");
+}
+
+async function createWorkspace() {
+    const nameInput = document.getElementById("workspaceName");
+    const name = nameInput.value.trim();
+    if (!name) {
+        alert("Give the workspace a name, e.g. your team's.");
+        return;
+    }
+    try {
+        const result = await workspaceRequest("/api/workspaces", "POST", { name });
+        switchWorkspace(result.workspace.id);
+    } catch (error) {
+        console.error("Error creating workspace:", error);
+        alert(`Could not create the workspace: ${error.message}`);
+    }
+}
+
+async function acceptWorkspaceInvitation(workspaceId) {
+    try {
+        await workspaceRequest(`/api/workspaces/${encodeURIComponent(workspaceId)}/accept`, "POST");
+        switchWorkspace(workspaceId);
+    } catch (error) {
+        console.error("Error accepting invitation:", error);
+        alert(`Could not join the workspace: ${error.message}`);
+    }
+}
+
+async function declineWorkspaceInvitation(workspaceId) {
+    try {
+        await workspaceRequest(`/api/workspaces/${encodeURIComponent(workspaceId)}/decline`, "POST");
+        const result = await loadWorkspaces();
+        renderWorkspaceInvitations(result.invitations, result.email_verified);
+    } catch (error) {
+        console.error("Error declining invitation:", error);
+        alert(`Could not decline the invitation: ${error.message}`);
+    }
+}
+
+// Members and invitations of the active workspace; notice is shown above the members (e.g. after inviting)
+async function showWorkspaceDetail(workspaceId, notice = "") {
+    const detail = document.getElementById("workspaceDetail");
+    try {
+        const { workspace } = await workspaceRequest(`/api/workspaces/${encodeURIComponent(workspaceId)}`);
+        const owner = workspace.role === "owner";
+        const me = getCurrentUserId();
+        const roleOptions = selected => ["viewer", "editor", "owner"].map(role =>
+            `<option value="${role}" ${role === selected ? "selected" : ""}>${role}</option>`).join("");
+        detail.innerHTML = `
+            <div class="run-detail-header">
+                <div>
+                    <h4>${escapeHtml(workspace.name)}</h4>
+                    <p class="muted">Your role: ${escapeHtml(workspace.role)}. ${WORKSPACE_ROLE_HINTS[workspace.role]}</p>
+                </div>
+                <div class="workspace-actions">
+                    ${owner ? `
+                    <button class="btn btn-secondary" title="Rename" onclick="renameWorkspace()"><i class="fas fa-pen"></i></button>
+                    <button class="btn btn-secondary" title="Delete workspace" onclick="deleteWorkspace()"><i class="fas fa-trash"></i></button>` : ""}
+                    <button class="btn btn-secondary" onclick="leaveWorkspace()">Leave</button>
+                </div>
+            </div>
+            ${owner ? `
+            <div class="workspace-form">
+                <input type="email" id="inviteEmail" class="form-input" placeholder="teammate@example.com" />
+                <select id="inviteRole" class="form-input">${roleOptions("editor")}</select>
+                <button class="btn btn-primary" onclick="inviteWorkspaceMember()"><i class="fas fa-envelope"></i> Invite</button>
+            </div>` : ""}
+            ${notice ? `<p class="token-notice">${escapeHtml(notice)}</p>` : ""}
+            <ul class="run-list">
+                ${workspace.members.map(member => `
+                <li class="run-row member-row">
+                    <span>${escapeHtml(member.email || member.uid)}${member.uid === me ? " (you)" : ""}</span>
+                    ${owner && member.uid !== me ? `
+                    <span class="workspace-actions">
+                        <select class="form-input" onchange="changeWorkspaceMemberRole('${escapeHtml(member.uid)}', this.value)">${roleOptions(member.role)}</select>
+                        <button class="btn btn-secondary" title="Remove member" onclick="removeWorkspaceMember('${escapeHtml(member.uid)}')"><i class="fas fa-user-minus"></i></button>
+                    </span>` : `<span class="muted">${escapeHtml(member.role)}</span>`}
+                </li>`).join("")}
+                ${(workspace.invitations || []).map(invitation => `
+                <li class="run-row member-row">
+                    <span>${escapeHtml(invitation.email)} <span class="muted">- invited as ${escapeHtml(invitation.role)}</span></span>
+                    <button class="btn btn-secondary" title="Withdraw invitation" onclick="cancelWorkspaceInvitation('${escapeHtml(invitation.email)}')"><i class="fas fa-times"></i></button>
+                </li>`).join("")}
+            </ul>`;
+        detail.style.display = "block";
+    } catch (error) {
+        console.error("Error loading workspace:", error);
+        detail.innerHTML = `<p class="muted">Could not load the workspace: ${escapeHtml(error.message)}</p>`;
+        detail.style.display = "block";
+    }
+}
+
+async function inviteWorkspaceMember() {
+    const workspaceId = getActiveWorkspaceId();
+    const email = document.getElementById("inviteEmail").value.trim();
+    if (!email) {
+        alert("Enter the email address to invite.");
+        return;
+    }
+    try {
+        const result = await workspaceRequest(`/api/workspaces/${encodeURIComponent(workspaceId)}/invitations`, "POST",
+            { email, role: document.getElementById("inviteRole").value });
+        showWorkspaceDetail(workspaceId, result.emailed
+            ? `Invitation emailed to ${result.invitation.email}.`
+            : `${result.invitation.email} will find the invitation on their profile page after signing in with that address.`);
+    } catch (error) {
+        console.error("Error inviting member:", error);
+        alert(`Could not send the invitation: ${error.message}`);
+    }
+}
+
+async function cancelWorkspaceInvitation(email) {
+    const workspaceId = getActiveWorkspaceId();
+    try {
+        await workspaceRequest(`/api/workspaces/${encodeURIComponent(workspaceId)}/invitations/${encodeURIComponent(email)}`, "DELETE");
+        showWorkspaceDetail(workspaceId);
+    } catch (error) {
+        console.error("Error withdrawing invitation:", error);
+        alert(`Could not withdraw the invitation: ${error.message}`);
+    }
+}
+
+async function changeWorkspaceMemberRole(memberUid, role) {
+    const workspaceId = getActiveWorkspaceId();
+    try {
+        await workspaceRequest(`/api/workspaces/${encodeURIComponent(workspaceId)}/members/${encodeURIComponent(memberUid)}`, "PUT", { role });
+    } catch (error) {
+        console.error("Error changing member role:", error);
+        alert(`Could not change the role: ${error.message}`);
+    }
+    showWorkspaceDetail(workspaceId);
+}
+
+async function removeWorkspaceMember(memberUid) {
+    if (!confirm("Remove this member from the workspace?")) return;
+    const workspaceId = getActiveWorkspaceId();
+    try {
+        await workspaceRequest(`/api/workspaces/${encodeURIComponent(workspaceId)}/members/${encodeURIComponent(memberUid)}`, "DELETE");
+        showWorkspaceDetail(workspaceId);
+    } catch (error) {
+        console.error("Error removing member:", error);
+        alert(`Could not remove the member: ${error.message}`);
+    }
+}
+
+async function leaveWorkspace() {
+    if (!confirm("Leave this workspace? You will lose access to its suites and run history.")) return;
+    try {
+        await workspaceRequest(`/api/workspaces/${encodeURIComponent(getActiveWorkspaceId())}/members/${encodeURIComponent(getCurrentUserId())}`, "DELETE");
+        switchWorkspace("");
+    } catch (error) {
+        console.error("Error leaving workspace:", error);
+        alert(`Could not leave the workspace: ${error.message}`);
+    }
+}
+
+async function renameWorkspace() {
+    const workspace = getActiveWorkspace();
+    const name = prompt("Workspace name", workspace ? workspace.name : "");
+    if (!name || !name.trim()) return;
+    try {
+        await workspaceRequest(`/api/workspaces/${encodeURIComponent(getActiveWorkspaceId())}`, "PUT", { name: name.trim() });
+        await loadWorkspaces();
+        renderWorkspaceSwitcher();
+        showWorkspaceDetail(getActiveWorkspaceId());
+    } catch (error) {
+        console.error("Error renaming workspace:", error);
+        alert(`Could not rename the workspace: ${error.message}`);
+    }
+}
+
+async function deleteWorkspace() {
+    if (!confirm("Delete this workspace with its suites, run history, environments and credentials? This can't be undone.")) return;
+    try {
+        await workspaceRequest(`/api/workspaces/${encodeURIComponent(getActiveWorkspaceId())}`, "DELETE");
+        switchWorkspace("");
+    } catch (error) {
+        console.error("Error deleting workspace:", error);
+        alert(`Could not delete the workspace: ${error.message}`);
+    }
+}
+
+async function showRunDetail(runId) {
+    const detail = document.getElementById("runDetail");
+    try {
+        const response = await apiFetch(`/api/runs/${runId}`);
+        const result = await response.json();
+        if (result.status !== "success") throw new Error(result.message);
+        const run = result.run;
+        detail.innerHTML = `
+            <div class="run-detail-header">
+                <div>
+                    <h4>${escapeHtml(run.website_url)}</h4>
+                    <p class="muted">${new Date(run.timestamp).toLocaleString()} - ${escapeHtml(run.mode)} - ${run.summary.total} test(s)</p>
+                </div>
+                <button class="btn btn-secondary" onclick="document.getElementById('runDetail').style.display = 'none'">Close</button>
+            </div>
+            ${run.results.map(r => `
+                <div class="test-result ${escapeHtml(r.status)}">
+                    <h5>${escapeHtml(r.name)}${r.config ? ` <span class="muted">(${escapeHtml(r.config.browser)} / ${escapeHtml(r.config.viewport)})</span>` : ""}</h5>
+                    <p><strong>Status:</strong> ${escapeHtml(String(r.status).toUpperCase())}</p>
+                    ${r.message ? `<p class="muted">${escapeHtml(r.message)}</p>` : ""}
+                </div>`).join("")}`;
+        detail.style.display = "block";
+        detail.scrollIntoView({ behavior: "smooth", block: "start" });
+    } catch (error) {
+        console.error("Error loading run detail:", error);
+        alert(`Could not load run: ${error.message}`);
+    }
+}
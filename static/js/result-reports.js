@@ -0,0 +1,139 @@
+// BugzyAI Result Reports
+// Client-side report builders for testResults so downloads work even when the DOCX endpoint is unavailable
+
+const ResultReports = (function () {
+    function summarize(results) {
+        const count = (status) => results.filter(r => r.status === status).length;
+        return {
+            total: results.length,
+            passed: count("passed"),
+            failed: count("failed"),
+            skipped: count("skipped"),
+            duration: results.reduce((sum, r) => sum + (Number(r.duration) || 0), 0),
+        };
+    }
+
+    // Matrix runs repeat a test per browser/viewport, so the configuration is part of its name
+    function resultName(r) {
+        const name = r.config ? `${r.name} [${r.config.browser}/${r.config.viewport}]` : r.name;
+        return r.environment ? `${name} [${r.environment.name}]` : name;
+    }
+
+    function formatSeconds(seconds) {
+        return `${(Number(seconds) || 0).toFixed(3)}s`;
+    }
+
+    // JUnit XML as consumed by Jenkins, GitLab and GitHub test reporters
+    function buildJunitXml(results, meta) {
+        const summary = summarize(results);
+        const suiteName = `BugzyAI - ${meta.targetUrl}`;
+        const cases = results.map(r => {
+            const open = `    <testcase name="${escapeHtml(resultName(r))}" classname="bugzyai.${escapeHtml(r.id ?? "test")}" time="${(Number(r.duration) || 0).toFixed(3)}">`;
+            let body = "";
+            if (r.status === "failed") {
+                body = `\n      <failure message="${escapeHtml(r.message)}">${escapeHtml(r.message)}</failure>`;
+                const artifacts = r.artifacts || {};
+                if (artifacts.url || artifacts.dom_excerpt) {
+                    const out = [artifacts.url && `Failed at: ${artifacts.url}`, artifacts.dom_excerpt && `DOM excerpt: ${artifacts.dom_excerpt}`].filter(Boolean).join("\n");
+                    body += `\n      <system-out>${escapeHtml(out)}</system-out>`;
+                }
+            }
+            else if (r.status === "skipped") body = `\n      <skipped message="${escapeHtml(r.message)}"/>`;
+            else if (r.message) body = `\n      <system-out>${escapeHtml(r.message)}</system-out>`;
+            return `${open}${body}\n    </testcase>`;
+        }).join("\n");
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="BugzyAI" tests="${summary.total}" failures="${summary.failed}" skipped="${summary.skipped}" time="${summary.duration.toFixed(3)}">
+  <testsuite name="${escapeHtml(suiteName)}" tests="${summary.total}" failures="${summary.failed}" errors="0" skipped="${summary.skipped}" time="${summary.duration.toFixed(3)}" timestamp="${escapeHtml(meta.generatedAt)}">
+    <properties>
+      <property name="target_url" value="${escapeHtml(meta.targetUrl)}"/>
+      <property name="execution_mode" value="${escapeHtml(meta.mode)}"/>
+    </properties>
+${cases}
+  </testsuite>
+</testsuites>
+`;
+    }
+
+    function buildJsonReport(results, meta) {
+        return JSON.stringify({
+            tool: "BugzyAI",
+            generated_at: meta.generatedAt,
+            target_url: meta.targetUrl,
+            execution_mode: meta.mode,
+            summary: summarize(results),
+            results,
+        }, null, 2);
+    }
+
+    function renderArtifacts(artifacts) {
+        if (!artifacts) return "";
+        return `
+                    <div class="artifacts">
+                        ${artifacts.url ? `<div>Failed at: <a href="${escapeHtml(artifacts.url)}">${escapeHtml(artifacts.url)}</a></div>` : ""}
+                        ${artifacts.screenshot ? `<a href="data:image/png;base64,${artifacts.screenshot}" target="_blank"><img src="data:image/png;base64,${artifacts.screenshot}" alt="Screenshot at failure"></a>` : ""}
+                        ${artifacts.dom_excerpt ? `<details><summary>DOM excerpt</summary><pre>${escapeHtml(artifacts.dom_excerpt)}</pre></details>` : ""}
+                    </div>`;
+    }
+
+    // Single file with inline styles, safe to attach to tickets or open offline
+    function buildHtmlReport(results, meta) {
+        const summary = summarize(results);
+        const rows = results.map(r => `
+            <tr class="${escapeHtml(r.status)}">
+                <td>${escapeHtml(r.id)}</td>
+                <td>${escapeHtml(resultName(r))}${r.flaky ? ' <span class="flaky">flaky</span>' : ""}</td>
+                <td class="status">${escapeHtml(String(r.status).toUpperCase())}${r.attempt > 1 ? ` (attempt ${r.attempt})` : ""}</td>
+                <td>${formatSeconds(r.duration)}</td>
+                <td>${escapeHtml(r.message)}${renderArtifacts(r.artifacts)}</td>
+            </tr>`).join("");
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>BugzyAI Test Report - ${escapeHtml(meta.targetUrl)}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; margin: 32px; color: #1f2937; }
+  h1 { color: #4338ca; margin-bottom: 4px; }
+  .meta { color: #6b7280; margin-bottom: 24px; }
+  .summary { display: flex; gap: 16px; margin-bottom: 24px; }
+  .summary div { padding: 12px 18px; border-radius: 8px; background: #f3f4f6; }
+  .summary strong { display: block; font-size: 20px; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { text-align: left; padding: 8px 10px; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+  th { background: #f9fafb; }
+  tr.passed .status { color: #10b981; font-weight: 600; }
+  tr.failed .status { color: #ef4444; font-weight: 600; }
+  tr.skipped .status { color: #6b7280; font-weight: 600; }
+  .flaky { font-size: 11px; padding: 1px 6px; border-radius: 8px; background: #fef3c7; color: #b45309; }
+  .artifacts { margin-top: 8px; font-size: 13px; }
+  .artifacts img { display: block; max-width: 480px; width: 100%; margin: 6px 0; border: 1px solid #e5e7eb; border-radius: 6px; }
+  .artifacts pre { max-height: 240px; overflow: auto; padding: 8px; background: #f9fafb; white-space: pre-wrap; word-break: break-all; font-size: 12px; }
+</style>
+</head>
+<body>
+<h1>BugzyAI Test Execution Report</h1>
+<p class="meta">Target: ${escapeHtml(meta.targetUrl)} &middot; Mode: ${escapeHtml(meta.mode)} &middot; Generated: ${escapeHtml(new Date(meta.generatedAt).toLocaleString())}</p>
+<div class="summary">
+  <div><strong>${summary.total}</strong>Total</div>
+  <div><strong>${summary.passed}</strong>Passed</div>
+  <div><strong>${summary.failed}</strong>Failed</div>
+  <div><strong>${summary.skipped}</strong>Skipped</div>
+  <div><strong>${formatSeconds(summary.duration)}</strong>Duration</div>
+</div>
+<table>
+  <thead><tr><th>ID</th><th>Test</th><th>Status</th><th>Duration</th><th>Message</th></tr></thead>
+  <tbody>${rows}
+  </tbody>
+</table>
+</body>
+</html>
+`;
+    }
+
+    return { buildJunitXml, buildJsonReport, buildHtmlReport };
+})();
+
+window.ResultReports = ResultReports;
@@ -7,6 +7,15 @@ let currentStep = 1;
 let sourceWebsiteUrl = "";
 let selectedInputType = "";
 let isDirectTestingMode = false; // To track the user's chosen flow
+let sessionSaveTimer = null;
+let executionMatrix = null; // {browsers, viewports} chosen in Step 3; null runs the default Chrome desktop configuration
+let vaultCredentials = []; // Saved target-site credentials from /api/credentials (never the secrets)
+let selectedCredentialId = null; // Vault credential for login tests; "" opts out, null lets the server match the site
+let environmentProfiles = []; // Saved target environments from /api/environments
+let selectedEnvironmentIds = []; // Environments to run against, the one picked in Step 3 first; empty uses the target URL
+let activeRunId = null; // Server-side id of the streaming run, used for cancellation
+let documentFileName = ""; // Requirements extracted from the uploaded SRS document
+let documentContent = "";
 
 // DOM Elements
 const loadingOverlay = document.getElementById("loading-overlay");
@@ -68,14 +77,20 @@ function initializePipelineChoice() {
         mainContainer.style.display = "block";
         initializeDirectTestingFlow();
     });
+
+    offerSessionResume();
+    // Firebase resolves the signed-in user asynchronously; re-check once it does
+    window.addEventListener("authStateChanged", () => {
+        if (choiceContainer.style.display !== "none") offerSessionResume();
+    });
 }
 
 // Setup for the test generation flow
-function initializeGenerationFlow() {
+function initializeGenerationFlow(startStep = 1) {
     initializeFileUpload();
     initializePipeline();
     initializeWebsiteOptions();
-    goToStep(1);
+    goToStep(startStep);
 }
 
 // Setup for the direct live testing flow
@@ -84,6 +99,107 @@ function initializeDirectTestingFlow() {
     goToStep(3);
 }
 
+// Session persistence: snapshot of the pipeline globals, saved per user in IndexedDB
+function getSessionSnapshot() {
+  return {
+    generatedTests,
+    selectedTestCases,
+    testResults,
+    currentStep,
+    sourceWebsiteUrl,
+    selectedInputType,
+    isDirectTestingMode,
+    documentFileName,
+    documentContent,
+    targetWebsiteUrl: document.getElementById("target-website-url").value.trim(),
+    finalTargetUrl: document.getElementById("final-target-url").textContent,
+    executionMatrix,
+    selectedEnvironmentIds,
+  };
+}
+
+// Debounced so bursts of edits (e.g. typing in the test editor) produce a single write
+function saveSession() {
+  if (!window.PipelineSessionStore) return;
+  clearTimeout(sessionSaveTimer);
+  sessionSaveTimer = setTimeout(() => PipelineSessionStore.save(getSessionSnapshot()), 300);
+}
+
+async function offerSessionResume() {
+  const banner = document.getElementById("resume-session-banner");
+  if (!banner || !window.PipelineSessionStore) return;
+  const session = await PipelineSessionStore.load();
+  const hasWork = session && ((session.generatedTests || []).length > 0 || (session.selectedTestCases || []).length > 0);
+  if (!hasWork) {
+    banner.style.display = "none";
+    return;
+  }
+  const testCount = (session.generatedTests || []).length || (session.selectedTestCases || []).length;
+  const savedAt = session.savedAt ? new Date(session.savedAt).toLocaleString() : "earlier";
+  document.getElementById("resume-session-summary").textContent =
+    `${testCount} test case(s), ${session.isDirectTestingMode ? "direct testing" : `step ${session.currentStep}`}, saved ${savedAt}`;
+  banner.style.display = "block";
+}
+
+async function resumeSession() {
+  const session = await PipelineSessionStore.load();
+  if (!session) {
+    showToast("No saved session found.", "warning");
+    return;
+  }
+  generatedTests = session.generatedTests || [];
+  // Re-link selected tests to the generated objects so editor changes keep applying to both
+  selectedTestCases = (session.selectedTestCases || []).map(sel => generatedTests.find(t => t.id === sel.id) || sel);
+  testResults = session.testResults || [];
+  sourceWebsiteUrl = session.sourceWebsiteUrl || "";
+  isDirectTestingMode = !!session.isDirectTestingMode;
+  documentFileName = session.documentFileName || "";
+  documentContent = session.documentContent || "";
+  document.getElementById("target-website-url").value = session.targetWebsiteUrl || "";
+  executionMatrix = session.executionMatrix || null;
+  restoreExecutionMatrix();
+  selectedEnvironmentIds = session.selectedEnvironmentIds || [];
+
+  document.getElementById("pipeline-choice").style.display = "none";
+  document.getElementById("pipeline-progress-container").style.display = isDirectTestingMode ? "none" : "flex";
+  document.getElementById("pipeline-main-container").style.display = "block";
+
+  if (isDirectTestingMode) {
+    initializeDirectTestingFlow();
+    displayTestListBelowCircle(selectedTestCases, "Test Cases Ready for Execution");
+  } else {
+    currentTabInput = session.selectedInputType || currentTabInput;
+    initializeGenerationFlow(session.currentStep === 4 ? 3 : session.currentStep || 1);
+    selectInputOption(currentTabInput);
+    updateSourceUrlDisplay();
+    if (documentContent) {
+      updateUploadUI(document.querySelector("#file-upload-area .upload-content"), documentFileName);
+      showDocumentPreview();
+    }
+    if (generatedTests.length > 0) showGeneratedTestActions();
+    if (session.targetWebsiteUrl && !sourceWebsiteUrl) {
+      document.getElementById("use-different-url").checked = true;
+      document.getElementById("target-url-form").style.display = "block";
+    }
+  }
+
+  if (session.currentStep === 4 && session.finalTargetUrl && session.finalTargetUrl !== "-") {
+    updateExecutionSummary(session.finalTargetUrl);
+    goToStep(4);
+  }
+  if (testResults.length > 0) {
+    displayTestResults(testResults);
+    document.getElementById("download-results-btn").style.display = "inline-flex";
+  }
+  showToast("Resumed your previous session.", "success");
+}
+
+async function discardSession() {
+  await PipelineSessionStore.clear();
+  document.getElementById("resume-session-banner").style.display = "none";
+  showToast("Previous session discarded.", "info");
+}
+
 // Pipeline functionality
 function initializePipeline() {
   selectedInputType = currentTabInput;
@@ -102,6 +218,7 @@ function initializePipeline() {
 
 function selectInputOption(inputType) {
   selectedInputType = inputType;
+  saveSession();
   document.querySelectorAll(".input-option").forEach((opt) => {
     opt.classList.remove("selected");
   });
@@ -116,8 +233,10 @@ function initializeWebsiteOptions() {
   document.querySelectorAll('input[name="website-source"]').forEach((radio) => {
     radio.addEventListener("change", function () {
       document.getElementById("target-url-form").style.display = this.value === "different" ? "block" : "none";
+      renderVaultCredentials();
     });
   });
+  document.getElementById("target-website-url").addEventListener("change", renderVaultCredentials);
 }
 
 function goToStep(stepNumber) {
@@ -138,6 +257,10 @@ function goToStep(stepNumber) {
   if (stepNumber === 2 && !isDirectTestingMode && generatedTests.length > 0) {
     displayTestCasesAccordion();
   } else if (stepNumber === 3) {
+    loadVaultCredentials();
+    loadEnvironmentProfiles();
+    // A previous selector check may no longer match the selected tests
+    document.getElementById("selector-validation-report").style.display = "none";
     if (isDirectTestingMode) {
         document.getElementById("direct-testing-upload").style.display = "block";
         document.getElementById("generation-flow-options").style.display = "none";
@@ -152,6 +275,7 @@ function goToStep(stepNumber) {
   } else {
       if(testListContainer) testListContainer.style.display = 'none';
   }
+  saveSession();
 }
 
 
@@ -175,13 +299,13 @@ function validateCurrentInput() {
   }
   const inputs = {
       figma: document.getElementById("figma-key").value.trim(),
-      document: document.getElementById("document-upload").files.length,
+      document: documentContent.trim(),
       manual: document.getElementById("manual-prompt").value.trim(),
       website: document.getElementById("source-website-url").value.trim()
   };
   const messages = {
       figma: "Please enter a Figma file key.",
-      document: "Please select a document file.",
+      document: "Please select a document file with readable requirements text.",
       manual: "Please provide manual requirements.",
       website: "Please enter a website URL."
   };
@@ -210,9 +334,6 @@ function updateSourceUrlDisplay() {
 
 async function generateTestCases() {
   const generateBtn = document.getElementById("generate-btn");
-  const downloadBtn = document.getElementById("download-btn");
-  const nextStepBtn = document.getElementById("next-step-btn");
-  const exitBtn = document.getElementById("exit-btn");
   const generationStatus = document.querySelector('.generation-status');
   
   try {
@@ -221,7 +342,7 @@ async function generateTestCases() {
     generationStatus.style.display = 'block';
 
     const inputData = getInputData();
-    const response = await fetch("/api/generate-test", {
+    const response = await apiFetch("/api/generate-test", {
       method: "POST",
       headers: { "Content-Type": "application/json" },
       body: JSON.stringify(inputData),
@@ -231,12 +352,9 @@ async function generateTestCases() {
     if (result.status === "success" && Array.isArray(result.tests)) {
         generatedTests = result.tests;
         showToast(`Generated ${generatedTests.length} test cases successfully!`, "success");
-        generateBtn.style.display = 'none';
-        generationStatus.style.display = 'none';
-        downloadBtn.style.display = 'inline-flex';
-        nextStepBtn.style.display = 'inline-flex';
-        exitBtn.style.display = 'inline-flex';
+        showGeneratedTestActions();
         displayTestCasesAccordion();
+        saveSession();
     } else {
         throw new Error(result.message || "An unknown error occurred during generation.");
     }
@@ -249,17 +367,24 @@ async function generateTestCases() {
   }
 }
 
+// Swap the generate button for the download / next actions once tests exist
+function showGeneratedTestActions() {
+  document.getElementById("generate-btn").style.display = 'none';
+  document.querySelector('.generation-status').style.display = 'none';
+  document.getElementById("download-btn").style.display = 'inline-flex';
+  document.getElementById("export-menu").style.display = 'inline-block';
+  document.getElementById("next-step-btn").style.display = 'inline-flex';
+  document.getElementById("exit-btn").style.display = 'inline-flex';
+}
+
 function getInputData() {
   let inputData = { test_type: selectedInputType };
   switch (selectedInputType) {
     case "figma": inputData.figma_key = document.getElementById("figma-key").value.trim(); break;
     case "document":
-      const fileInput = document.getElementById("document-upload");
-      if (fileInput.files.length > 0) {
-        inputData.file_name = fileInput.files[0].name;
-        // In a real app, you'd handle the file content upload here, perhaps with FormData
-        inputData.file_content = "File content will be processed on the server.";
-      }
+      // Text was extracted by /api/upload when the file was selected and previewed in Step 1
+      inputData.file_name = documentFileName;
+      inputData.file_content = documentContent;
       break;
     case "manual": inputData.manual_prompt = document.getElementById("manual-prompt").value.trim(); break;
     case "website": inputData.website_url = document.getElementById("source-website-url").value.trim(); break;
@@ -272,14 +397,377 @@ function proceedToExecution() {
       showToast(isDirectTestingMode ? "Please upload a file with test cases." : "Please select at least one test case.", "warning");
       return;
   }
+  if (!isDirectTestingMode) {
+      const invalid = selectedTestCases.filter(t => validateTestCase(t).length > 0);
+      if (invalid.length > 0) {
+          showToast(`Fix the invalid fields in test case(s) ${invalid.map(t => t.id).join(", ")} before running.`, "warning");
+          return;
+      }
+  }
+  const targetUrl = resolveTargetUrl();
+  if (!targetUrl) return;
+
+  const matrix = readExecutionMatrix();
+  if (matrix.browsers.length === 0 || matrix.viewports.length === 0) {
+      showToast("Select at least one browser and one viewport.", "warning");
+      return;
+  }
+  // The default single configuration runs exactly like before, without per-result configs
+  const isDefault = matrix.browsers.join() === "chrome" && matrix.viewports.join() === "desktop";
+  executionMatrix = isDefault ? null : matrix;
+  selectedCredentialId = document.getElementById("credential-select").value;
+  selectedEnvironmentIds = readSelectedEnvironments();
+
+  updateExecutionSummary(targetUrl);
+  goToStep(4);
+}
+
+// Origin of the URL currently chosen in Step 3, matching target_key() in credential_vault.py
+function currentTargetOrigin() {
+  const useSource = !isDirectTestingMode && document.getElementById("use-source-url").checked;
+  const environment = currentEnvironment();
+  const url = environment ? environment.base_url : useSource ? sourceWebsiteUrl : document.getElementById("target-website-url").value.trim();
+  try {
+    return new URL(url).origin;
+  } catch (e) {
+    return "";
+  }
+}
+
+async function loadVaultCredentials() {
+  const hint = document.getElementById("credential-vault-hint");
+  try {
+    const response = await apiFetch("/api/credentials");
+    const result = await response.json();
+    if (response.status === 401) {
+      vaultCredentials = [];
+      setVaultControlsEnabled(false);
+      hint.textContent = "Sign in to save login credentials for the target site.";
+      renderVaultCredentials();
+      return;
+    }
+    if (result.status !== "success") throw new Error(result.message);
+    vaultCredentials = result.credentials;
+    setVaultControlsEnabled(true);
+    document.getElementById("credential-add-btn").disabled = !result.available;
+    if (!result.available) hint.textContent = "The credential vault is not configured on this server.";
+    renderVaultCredentials();
+  } catch (error) {
+    console.error("Error loading saved credentials:", error);
+    hint.textContent = "Saved credentials could not be loaded.";
+  }
+}
+
+function setVaultControlsEnabled(enabled) {
+  ["credential-select", "credential-add-btn", "credential-delete-btn"].forEach(id => {
+    document.getElementById(id).disabled = !enabled;
+  });
+  if (!enabled) document.getElementById("credential-form").style.display = "none";
+}
+
+// Only the credential saved for the target site can be used (the server rejects any other), so it is the one offered
+function renderVaultCredentials() {
+  const select = document.getElementById("credential-select");
+  const previous = select.value;
+  const matches = vaultCredentials.filter(c => c.target === currentTargetOrigin());
+  select.innerHTML = `<option value="">No saved credential</option>` + matches.map(c =>
+    `<option value="${escapeHtml(c.id)}">${escapeHtml(c.label)} (${escapeHtml(c.username_hint)})</option>`).join("");
+  const keep = previous && matches.some(c => c.id === previous);
+  select.value = keep ? previous : (matches[0] ? matches[0].id : "");
+}
+
+function toggleCredentialForm() {
+  const form = document.getElementById("credential-form");
+  form.style.display = form.style.display === "none" ? "flex" : "none";
+}
+
+async function saveVaultCredential() {
+  const targetUrl = resolveTargetUrl();
+  if (!targetUrl) return;
+  const usernameInput = document.getElementById("credential-username");
+  const passwordInput = document.getElementById("credential-password");
+  if (!usernameInput.value || !passwordInput.value) {
+    showToast("Enter a username and password.", "warning");
+    return;
+  }
+  try {
+    const response = await apiFetch("/api/credentials", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ target_url: targetUrl, username: usernameInput.value, password: passwordInput.value }),
+    });
+    const result = await response.json();
+    if (result.status !== "success") throw new Error(result.message || "Failed to save the credential.");
+    usernameInput.value = "";
+    passwordInput.value = "";
+    document.getElementById("credential-form").style.display = "none";
+    await loadVaultCredentials();
+    document.getElementById("credential-select").value = result.credential.id;
+    showToast(`Credential saved for ${result.credential.target}.`, "success");
+  } catch (error) {
+    console.error("Error saving credential:", error);
+    showToast(error.message, "error");
+  }
+}
+
+async function deleteVaultCredential() {
+  const credentialId = document.getElementById("credential-select").value;
+  const credential = vaultCredentials.find(c => c.id === credentialId);
+  if (!credential) {
+    showToast("Select a saved credential to delete.", "info");
+    return;
+  }
+  if (!confirm(`Delete the saved credential for ${credential.label}?`)) return;
+  try {
+    const response = await apiFetch(`/api/credentials/${encodeURIComponent(credentialId)}`, { method: "DELETE" });
+    const result = await response.json();
+    if (result.status !== "success") throw new Error(result.message || "Failed to delete the credential.");
+    await loadVaultCredentials();
+    showToast("Credential deleted.", "success");
+  } catch (error) {
+    console.error("Error deleting credential:", error);
+    showToast(error.message, "error");
+  }
+}
+
+// Environment profiles (environment_profiles.py): a named base URL with default API headers/cookies and credentials
+function currentEnvironment() {
+  const select = document.getElementById("environment-select");
+  return environmentProfiles.find(p => p.id === select.value) || null;
+}
+
+// The environment picked in the dropdown first, then any ticked for comparison
+function readSelectedEnvironments() {
+  const primary = document.getElementById("environment-select").value;
+  if (!primary) return [];
+  const compare = Array.from(document.querySelectorAll('input[name="compare-environment"]:checked')).map(input => input.value);
+  return [primary, ...compare.filter(id => id !== primary)];
+}
+
+async function loadEnvironmentProfiles() {
+  const hint = document.getElementById("environment-hint");
+  try {
+    const response = await apiFetch("/api/environments");
+    const result = await response.json();
+    if (response.status === 401) {
+      environmentProfiles = [];
+      document.getElementById("environment-select").disabled = true;
+      document.getElementById("environment-manage-btn").disabled = true;
+      hint.textContent = "Sign in to save dev, staging and production environments.";
+      renderEnvironmentOptions();
+      return;
+    }
+    if (result.status !== "success") throw new Error(result.message);
+    environmentProfiles = result.environments;
+    document.getElementById("environment-select").disabled = false;
+    document.getElementById("environment-manage-btn").disabled = false;
+    document.getElementById("environment-username").disabled = !result.vault_available;
+    document.getElementById("environment-password").disabled = !result.vault_available;
+    document.getElementById("environment-credential-hint").textContent = result.vault_available
+      ? "Optional. Stored encrypted in the credential vault."
+      : "The credential vault is not configured on this server.";
+    renderEnvironmentOptions();
+  } catch (error) {
+    console.error("Error loading environment profiles:", error);
+    hint.textContent = "Environment profiles could not be loaded.";
+  }
+}
+
+// Restores the Step 3 choice from selectedEnvironmentIds, dropping environments that no longer exist
+function renderEnvironmentOptions() {
+  const select = document.getElementById("environment-select");
+  const [primary, ...compare] = selectedEnvironmentIds.filter(id => environmentProfiles.some(p => p.id === id));
+  select.innerHTML = `<option value="">No environment (use the website above)</option>` + environmentProfiles.map(p =>
+    `<option value="${escapeHtml(p.id)}">${escapeHtml(p.name)} (${escapeHtml(p.base_url)})</option>`).join("");
+  select.value = primary || "";
+  renderEnvironmentCompare(compare);
+}
+
+function renderEnvironmentCompare(checkedIds = []) {
+  const container = document.getElementById("environment-compare");
+  const primary = document.getElementById("environment-select").value;
+  const others = environmentProfiles.filter(p => p.id !== primary);
+  if (!primary || others.length === 0) {
+    container.style.display = "none";
+    container.innerHTML = "";
+    return;
+  }
+  container.innerHTML = `
+    <div class="matrix-group">
+      <span>Also run on</span>
+      ${others.map(p => `<label><input type="checkbox" name="compare-environment" value="${escapeHtml(p.id)}" ${checkedIds.includes(p.id) ? "checked" : ""} /> ${escapeHtml(p.name)}</label>`).join("")}
+    </div>`;
+  container.style.display = "block";
+}
+
+function onEnvironmentChange() {
+  const checked = Array.from(document.querySelectorAll('input[name="compare-environment"]:checked')).map(input => input.value);
+  renderEnvironmentCompare(checked);
+  // The environment's site decides which saved credential is preselected
+  renderVaultCredentials();
+}
+
+function openEnvironmentManager() {
+  resetEnvironmentForm();
+  renderEnvironmentList();
+  document.getElementById("environment-modal").classList.add("show");
+}
+
+function closeEnvironmentManager() {
+  document.getElementById("environment-modal").classList.remove("show");
+}
+
+function renderEnvironmentList() {
+  const editingId = document.getElementById("environment-id").value;
+  document.getElementById("environment-list").innerHTML = environmentProfiles.length === 0
+    ? `<p class="form-hint">No environments yet. Add dev, staging or production below.</p>`
+    : environmentProfiles.map(p => `
+        <div class="environment-list-item ${p.id === editingId ? "active" : ""}">
+          <div class="environment-list-info">
+            <strong>${escapeHtml(p.name)}</strong>
+            <small>${escapeHtml(p.base_url)}${p.username_hint ? ` · ${escapeHtml(p.username_hint)}` : ""}</small>
+          </div>
+          <button class="btn btn-secondary btn-icon" title="Edit" onclick="editEnvironmentProfile('${escapeHtml(p.id)}')"><i class="fas fa-pen"></i></button>
+          <button class="btn btn-secondary btn-icon" title="Delete" onclick="deleteEnvironmentProfile('${escapeHtml(p.id)}')"><i class="fas fa-trash"></i></button>
+        </div>`).join("");
+}
+
+function resetEnvironmentForm() {
+  ["environment-id", "environment-name", "environment-base-url", "environment-headers", "environment-cookies",
+   "environment-username", "environment-password"].forEach(id => { document.getElementById(id).value = ""; });
+  document.getElementById("environment-username").placeholder = "Username or email";
+  renderEnvironmentList();
+}
+
+function editEnvironmentProfile(profileId) {
+  const profile = environmentProfiles.find(p => p.id === profileId);
+  if (!profile) return;
+  document.getElementById("environment-id").value = profile.id;
+  document.getElementById("environment-name").value = profile.name;
+  document.getElementById("environment-base-url").value = profile.base_url;
+  document.getElementById("environment-headers").value = formatPairs(profile.headers, ": ");
+  document.getElementById("environment-cookies").value = formatPairs(profile.cookies, "=");
+  document.getElementById("environment-username").value = "";
+  document.getElementById("environment-password").value = "";
+  document.getElementById("environment-username").placeholder = profile.username_hint ? `Saved: ${profile.username_hint} (leave empty to keep)` : "Username or email";
+  renderEnvironmentList();
+}
+
+// "Name: value" (headers) or "name=value" (cookies) lines to and from an object
+function parsePairs(text, separator) {
+  const pairs = {};
+  text.split(/\r?\n/).forEach(line => {
+    const index = line.indexOf(separator);
+    if (index > 0) pairs[line.slice(0, index).trim()] = line.slice(index + 1).trim();
+  });
+  return pairs;
+}
+
+function formatPairs(pairs, separator) {
+  return Object.entries(pairs || {}).map(([name, value]) => `${name}${separator}${value}`).join("\n");
+}
+
+async function saveEnvironmentProfile() {
+  const profileId = document.getElementById("environment-id").value;
+  const name = document.getElementById("environment-name").value.trim();
+  const baseUrl = document.getElementById("environment-base-url").value.trim();
+  const username = document.getElementById("environment-username").value;
+  const password = document.getElementById("environment-password").value;
+  if (!name || !isValidUrl(baseUrl)) {
+    showToast("Enter a name and a valid base URL.", "warning");
+    return;
+  }
+  if (!!username !== !!password) {
+    showToast("Enter both a username and a password, or neither.", "warning");
+    return;
+  }
+  try {
+    const response = await apiFetch(profileId ? `/api/environments/${encodeURIComponent(profileId)}` : "/api/environments", {
+      method: profileId ? "PUT" : "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        name,
+        base_url: baseUrl,
+        headers: parsePairs(document.getElementById("environment-headers").value, ":"),
+        cookies: parsePairs(document.getElementById("environment-cookies").value, "="),
+        ...(username ? { username, password } : {}),
+      }),
+    });
+    const result = await response.json();
+    if (result.status !== "success") throw new Error(result.message || "Failed to save the environment.");
+    selectedEnvironmentIds = readSelectedEnvironments();
+    await loadEnvironmentProfiles();
+    if (username) loadVaultCredentials();
+    resetEnvironmentForm();
+    showToast(`Environment "${result.environment.name}" saved.`, "success");
+  } catch (error) {
+    console.error("Error saving environment:", error);
+    showToast(error.message, "error");
+  }
+}
+
+async function deleteEnvironmentProfile(profileId) {
+  const profile = environmentProfiles.find(p => p.id === profileId);
+  if (!profile || !confirm(`Delete the environment "${profile.name}"?`)) return;
+  try {
+    const response = await apiFetch(`/api/environments/${encodeURIComponent(profileId)}`, { method: "DELETE" });
+    const result = await response.json();
+    if (result.status !== "success") throw new Error(result.message || "Failed to delete the environment.");
+    selectedEnvironmentIds = readSelectedEnvironments().filter(id => id !== profileId);
+    await loadEnvironmentProfiles();
+    resetEnvironmentForm();
+    showToast("Environment deleted.", "success");
+  } catch (error) {
+    console.error("Error deleting environment:", error);
+    showToast(error.message, "error");
+  }
+}
+
+// Browser x viewport combinations chosen in Step 3; names match BROWSERS / VIEWPORTS in test_executor.py
+const BROWSER_LABELS = { chrome: "Chrome", firefox: "Firefox" };
+const VIEWPORT_LABELS = { desktop: "Desktop", tablet: "Tablet", phone: "Phone" };
+
+function readExecutionMatrix() {
+  const checked = (name) => Array.from(document.querySelectorAll(`input[name="${name}"]:checked`)).map(input => input.value);
+  return { browsers: checked("matrix-browser"), viewports: checked("matrix-viewport") };
+}
+
+function restoreExecutionMatrix() {
+  const matrix = executionMatrix || { browsers: ["chrome"], viewports: ["desktop"] };
+  document.querySelectorAll('input[name="matrix-browser"]').forEach(input => { input.checked = matrix.browsers.includes(input.value); });
+  document.querySelectorAll('input[name="matrix-viewport"]').forEach(input => { input.checked = matrix.viewports.includes(input.value); });
+}
+
+function configLabel(config) {
+  return `${BROWSER_LABELS[config.browser] || config.browser} · ${VIEWPORT_LABELS[config.viewport] || config.viewport}`;
+}
+
+// Identifies the test a result belongs to: data-driven tests yield one result per data row
+function resultTestKey(result) {
+  return result.row_index !== undefined ? `${result.id}#${result.row_index}` : String(result.id);
+}
+
+// Identifies a result within a run: the same test appears once per configuration in a matrix run,
+// and once per environment in a multi-environment run
+function resultKey(result) {
+  let key = resultTestKey(result);
+  if (result.config) key += `@${result.config.browser}/${result.config.viewport}`;
+  if (result.environment) key += `@env:${result.environment.id}`;
+  return key;
+}
+
+// The URL chosen in Step 3, or null (after a warning toast) when it is missing or invalid
+function resolveTargetUrl() {
+  const environment = currentEnvironment();
+  if (environment) return environment.base_url;
   let targetUrl = document.getElementById("target-website-url").value.trim();
-  
+
   if (!isDirectTestingMode) {
       const useSourceUrl = document.getElementById("use-source-url").checked;
       if (useSourceUrl) {
           if (!sourceWebsiteUrl) {
               showToast("No source URL available. Please specify a different website.", "warning");
-              return;
+              return null;
           }
           targetUrl = sourceWebsiteUrl;
       }
@@ -287,47 +775,357 @@ function proceedToExecution() {
 
   if (!targetUrl || !isValidUrl(targetUrl)) {
       showToast("Please enter a valid target URL.", "warning");
+      return null;
+  }
+  return targetUrl;
+}
+
+async function validateSelectors() {
+  if (selectedTestCases.length === 0) {
+      showToast(isDirectTestingMode ? "Please upload a file with test cases." : "Please select at least one test case.", "warning");
       return;
   }
+  const targetUrl = resolveTargetUrl();
+  if (!targetUrl) return;
 
-  updateExecutionSummary(targetUrl);
-  goToStep(4);
+  showLoading("Loading the page and checking selectors...");
+  try {
+      const response = await apiFetch("/api/validate-selectors", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ website_url: targetUrl, test_cases: selectedTestCases }),
+      });
+      const result = await response.json();
+      if (result.status !== "success") throw new Error(result.message || "Failed to validate selectors.");
+      displaySelectorReport(result.report);
+      const problems = result.report.filter(r => r.status === "missing" || r.status === "ambiguous").length;
+      showToast(problems ? `${problems} test(s) have selector problems.` : "All selectors resolve to a single element.", problems ? "warning" : "success");
+  } catch (error) {
+      console.error("Error validating selectors:", error);
+      showToast(error.message, "error");
+  } finally {
+      hideLoading();
+  }
+}
+
+function displaySelectorReport(report) {
+  const container = document.getElementById("selector-validation-report");
+  const icons = { ok: "fa-check-circle", ambiguous: "fa-exclamation-triangle", missing: "fa-times-circle", skipped: "fa-minus-circle" };
+  const countLabel = (s) => s.error ? escapeHtml(s.error) : `${s.count} match${s.count === 1 ? "" : "es"}`;
+  container.innerHTML = `
+      <h4><i class="fas fa-crosshairs"></i> Selector Check</h4>
+      ${report.map(entry => `
+          <div class="selector-report-item ${entry.status}" data-testid="${escapeHtml(entry.id)}">
+              <div class="selector-report-header">
+                  <i class="fas ${icons[entry.status]}"></i>
+                  <strong>${escapeHtml(entry.id)}: ${escapeHtml(entry.name)}</strong>
+                  <span>${escapeHtml(entry.message)}</span>
+              </div>
+              ${entry.selectors.length ? `<ul class="selector-report-alternatives">
+                  ${entry.selectors.map(s => `<li><code>${escapeHtml(s.selector)}</code> <span class="selector-count ${s.count === 1 ? "ok" : "warn"}">${countLabel(s)}</span></li>`).join("")}
+              </ul>` : ""}
+              ${entry.suggestions.length ? `<div class="selector-report-suggestions">
+                  <span>Suggested:</span>
+                  ${entry.suggestions.map(sel => `<button class="btn btn-secondary" onclick='applySuggestedSelector(${escapeHtml(JSON.stringify(entry.id))}, ${escapeHtml(JSON.stringify(sel))})'><code>${escapeHtml(sel)}</code></button>`).join("")}
+              </div>` : ""}
+          </div>`).join("")}`;
+  container.style.display = "block";
+}
+
+function applySuggestedSelector(testId, selector) {
+  const selected = selectedTestCases.find(t => t.id === testId);
+  if (selected) selected.selector = selector;
+  const generated = findGeneratedTest(testId);
+  if (generated) generated.selector = selector;
+  saveSession();
+  const item = document.querySelector(`.selector-report-item[data-testid="${CSS.escape(String(testId))}"]`);
+  if (item) {
+      item.className = "selector-report-item ok";
+      item.querySelector(".selector-report-header i").className = "fas fa-check-circle";
+      item.querySelector(".selector-report-header span").textContent = `Selector replaced with ${selector}.`;
+      item.querySelector(".selector-report-suggestions").remove();
+  }
+  showToast(`Selector updated for test case ${testId}.`, "success");
 }
 
 function updateExecutionSummary(targetUrl) {
   document.getElementById("test-count").textContent = selectedTestCases.length;
   document.getElementById("final-target-url").textContent = targetUrl;
+  const environmentSummary = document.getElementById("environment-summary");
+  const names = selectedEnvironmentIds.map(id => (environmentProfiles.find(p => p.id === id) || {}).name).filter(Boolean);
+  environmentSummary.textContent = names.length > 1 ? `Compared across ${names.join(", ")}` : names.length ? `Environment: ${names[0]}` : "";
+  environmentSummary.style.display = names.length ? "block" : "none";
   const liveTestingEnabled = document.getElementById("live-testing-toggle").checked;
   document.getElementById("execution-mode").textContent = liveTestingEnabled ? "Live Testing" : "Standard";
+  document.getElementById("execution-matrix-summary").textContent = executionMatrix
+    ? `${executionMatrix.browsers.length * executionMatrix.viewports.length} (${executionMatrix.browsers.map(b => BROWSER_LABELS[b]).join(", ")} × ${executionMatrix.viewports.map(v => VIEWPORT_LABELS[v]).join(", ")})`
+    : "Chrome · Desktop";
 }
 
-async function executeTests() {
-  const executeBtn = document.getElementById("execute-btn");
-  try {
-    const targetUrl = document.getElementById("final-target-url").textContent;
-    showLoading("Running test cases...");
-    executeBtn.disabled = true;
+// Saved suites: the Step 4 selection (tests, target, mode, matrix) stored server-side and run by its cron schedule
+function browserTimezone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+}
 
-    const response = await fetch("/api/run-test", {
+function openSuiteDialog() {
+  if (selectedTestCases.length === 0) {
+    showToast("Select test cases before saving a suite.", "warning");
+    return;
+  }
+  const names = selectedEnvironmentIds.map(id => (environmentProfiles.find(p => p.id === id) || {}).name).filter(Boolean);
+  const target = names.length ? names.join(", ") : document.getElementById("final-target-url").textContent;
+  document.getElementById("suite-summary").textContent = `${selectedTestCases.length} test case(s) on ${target}, ${document.getElementById("execution-mode").textContent} mode.`;
+  document.getElementById("suite-name").value = "";
+  document.getElementById("suite-cron-preset").value = "0 9 * * 1-5";
+  document.getElementById("suite-timezone").textContent = browserTimezone();
+  applyCronPreset();
+  document.getElementById("suite-modal").classList.add("show");
+}
+
+function closeSuiteDialog() {
+  document.getElementById("suite-modal").classList.remove("show");
+}
+
+function applyCronPreset() {
+  const preset = document.getElementById("suite-cron-preset").value;
+  document.getElementById("suite-cron-group").style.display = preset === "custom" ? "block" : "none";
+  if (preset !== "custom") document.getElementById("suite-cron").value = preset;
+}
+
+async function saveSuite() {
+  const name = document.getElementById("suite-name").value.trim();
+  const cron = document.getElementById("suite-cron").value.trim();
+  if (!name) {
+    showToast("Give the suite a name.", "warning");
+    return;
+  }
+  if (document.getElementById("suite-cron-preset").value === "custom" && !cron) {
+    showToast("Enter a cron expression, or choose a preset.", "warning");
+    return;
+  }
+  try {
+    const response = await apiFetch("/api/suites", {
       method: "POST",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ website_url: targetUrl, test_cases: selectedTestCases }),
+      body: JSON.stringify({
+        name,
+        test_cases: selectedTestCases,
+        website_url: document.getElementById("final-target-url").textContent,
+        environment_ids: selectedEnvironmentIds,
+        execution_mode: document.getElementById("execution-mode").textContent,
+        matrix: executionMatrix,
+        schedule: { cron, timezone: browserTimezone(), enabled: !!cron },
+      }),
     });
     const result = await response.json();
-    if (result.status === "success") {
-      testResults = result.results || []; // Store results
-      displayTestResults(testResults);
-      document.getElementById('download-results-btn').style.display = 'inline-flex'; // Show download button
-      showToast("Test execution completed!", "success");
-    } else {
-      throw new Error(result.message);
-    }
+    if (response.status === 401) throw new Error("Sign in to save suites.");
+    if (result.status !== "success") throw new Error(result.message || "Failed to save the suite.");
+    closeSuiteDialog();
+    const next = result.suite.next_run_at ? ` Next run: ${new Date(result.suite.next_run_at).toLocaleString()}.` : "";
+    showToast(`Suite "${result.suite.name}" saved.${next}`, "success");
+  } catch (error) {
+    console.error("Error saving suite:", error);
+    showToast(error.message, "error");
+  }
+}
+
+async function executeTests() {
+  const targetUrl = document.getElementById("final-target-url").textContent;
+  const mode = document.getElementById("execution-mode").textContent;
+
+  testResults = [];
+  try {
+    const summary = await streamTestRun(selectedTestCases, targetUrl, mode, (result, completed, total) => {
+      testResults.push(withAttemptHistory(result));
+      displayTestResults(testResults, testResults.length === 1);
+      updateExecutionProgress(completed, total);
+    });
+    saveSession();
+    displayTestResults(testResults, false);
+    document.getElementById('download-results-btn').style.display = 'inline-flex'; // Show download button
+    if (summary.cancelled) showToast("Test execution cancelled. Remaining tests were skipped.", "warning");
+    else showToast("Test execution completed!", "success");
   } catch (error) {
     console.error("Error executing tests:", error);
     showToast("Failed to execute test cases.", "error");
+  }
+}
+
+// Runs tests through the streaming /api/run-test endpoint, calling onResult as each one finishes.
+// Resolves with the final "done" event; shared by full runs and re-runs.
+async function streamTestRun(tests, targetUrl, mode, onResult, matrix = executionMatrix, environmentIds = selectedEnvironmentIds) {
+  const cancelBtn = document.getElementById("cancel-run-btn");
+  let total = tests.length;
+  let summary = null;
+
+  activeRunId = null;
+  setRunControlsBusy(true);
+  cancelBtn.disabled = false;
+  cancelBtn.style.display = 'inline-flex';
+  updateExecutionProgress(0, total);
+
+  try {
+    const response = await apiFetch("/api/run-test", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        website_url: targetUrl,
+        test_cases: tests,
+        execution_mode: mode,
+        stream: true,
+        ...(matrix ? { matrix } : {}),
+        // Environments bring their own credentials
+        ...(environmentIds.length ? { environment_ids: environmentIds } : {}),
+        ...(selectedCredentialId !== null && !environmentIds.length ? { credential_id: selectedCredentialId } : {}),
+      }),
+    });
+    if (!response.ok || !response.body) {
+      const result = await response.json().catch(() => ({}));
+      throw new Error(result.message || "Failed to start test execution.");
+    }
+
+    await readNdjsonStream(response, (event) => {
+      if (event.event === "start") {
+        activeRunId = event.run_id;
+        total = event.total;
+      } else if (event.event === "result") {
+        onResult(event.result, event.completed, total);
+      } else if (event.event === "done") {
+        summary = event;
+      } else if (event.event === "error") {
+        throw new Error(event.message);
+      }
+    });
+
+    if (!summary) throw new Error("Test run ended unexpectedly.");
+    return summary;
   } finally {
-    executeBtn.disabled = false;
-    hideLoading();
+    activeRunId = null;
+    setRunControlsBusy(false);
+    cancelBtn.style.display = 'none';
+  }
+}
+
+function setRunControlsBusy(busy) {
+  document.getElementById("execute-btn").disabled = busy;
+  document.querySelectorAll(".rerun-btn").forEach(btn => { btn.disabled = busy; });
+}
+
+// First attempt of a result; re-runs extend the history via mergeRerunResult
+function withAttemptHistory(result) {
+  return { ...result, attempt: 1, history: [result.status], flaky: false };
+}
+
+function mergeRerunResult(result) {
+  const index = testResults.findIndex(r => resultKey(r) === resultKey(result));
+  if (index === -1) {
+    testResults.push(withAttemptHistory(result));
+    return;
+  }
+  const previous = testResults[index];
+  const history = [...(previous.history || [previous.status]), result.status];
+  // Flaky: the same test has both passed and failed across attempts
+  const outcomes = new Set(history.filter(status => status !== "skipped"));
+  testResults[index] = {
+    ...result,
+    attempt: (previous.attempt || 1) + 1,
+    history,
+    flaky: outcomes.size > 1,
+  };
+}
+
+// rowsByTest optionally limits data-driven tests to some of their rows: { testId: [rowIndex, ...] }
+async function rerunTests(testIds, matrix = executionMatrix, rowsByTest = {}, environmentIds = selectedEnvironmentIds) {
+  if (activeRunId) {
+    showToast("A test run is already in progress.", "warning");
+    return;
+  }
+  const tests = selectedTestCases
+    .filter(t => testIds.includes(t.id))
+    .map(t => rowsByTest[t.id] ? { ...t, row_indices: rowsByTest[t.id] } : t);
+  if (tests.length === 0) {
+    showToast("The selected tests are no longer available to re-run.", "warning");
+    return;
+  }
+  const targetUrl = document.getElementById("final-target-url").textContent;
+  try {
+    const summary = await streamTestRun(tests, targetUrl, "Re-run", (result, completed, total) => {
+      mergeRerunResult(result);
+      displayTestResults(testResults, false);
+      updateExecutionProgress(completed, total);
+    }, matrix, environmentIds);
+    saveSession();
+    const flaky = testResults.filter(r => r.flaky).length;
+    if (summary.cancelled) showToast("Re-run cancelled.", "warning");
+    else showToast(`Re-ran ${tests.length} test(s).${flaky ? ` ${flaky} flaky test(s) flagged.` : ""}`, flaky ? "warning" : "success");
+  } catch (error) {
+    console.error("Error re-running tests:", error);
+    showToast("Failed to re-run test cases.", "error");
+  }
+}
+
+// Re-runs one result card; in a matrix run, only that card's browser and viewport, for a data-driven
+// test, only that card's data row, and in a multi-environment run, only that card's environment
+function rerunResult(index) {
+  const result = testResults[index];
+  if (!result) return;
+  const matrix = result.config ? { browsers: [result.config.browser], viewports: [result.config.viewport] } : null;
+  const rows = result.row_index !== undefined ? { [result.id]: [result.row_index] } : {};
+  const environmentIds = result.environment ? [result.environment.id] : selectedEnvironmentIds;
+  rerunTests([result.id], matrix, rows, environmentIds);
+}
+
+function rerunFailedTests() {
+  const failed = testResults.filter(r => r.status === "failed");
+  const failedIds = [...new Set(failed.map(r => r.id))];
+  if (failedIds.length === 0) {
+    showToast("There are no failed tests to re-run.", "info");
+    return;
+  }
+  // Data-driven tests re-run only their failed rows
+  const rowsByTest = {};
+  failed.filter(r => r.row_index !== undefined).forEach(r => {
+    rowsByTest[r.id] = [...new Set([...(rowsByTest[r.id] || []), r.row_index])];
+  });
+  rerunTests(failedIds, executionMatrix, rowsByTest);
+}
+
+// Reads a newline-delimited JSON response body, calling onEvent for each parsed line
+async function readNdjsonStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+    lines.filter(line => line.trim()).forEach(line => onEvent(JSON.parse(line)));
+  }
+  if (buffer.trim()) onEvent(JSON.parse(buffer));
+}
+
+function updateExecutionProgress(completed, total) {
+  const percent = total > 0 ? Math.round((completed / total) * 100) : 0;
+  document.getElementById("execution-progress").style.display = "block";
+  document.getElementById("execution-progress-fill").style.width = `${percent}%`;
+  document.getElementById("execution-progress-text").textContent = `${completed} / ${total} tests completed`;
+}
+
+async function cancelTestRun() {
+  if (!activeRunId) return;
+  const cancelBtn = document.getElementById("cancel-run-btn");
+  cancelBtn.disabled = true;
+  try {
+    const response = await apiFetch(`/api/run-test/${activeRunId}/cancel`, { method: "POST" });
+    const result = await response.json();
+    if (result.status !== "success") throw new Error(result.message);
+    showToast("Cancelling after the current test finishes...", "info");
+  } catch (error) {
+    console.error("Error cancelling test run:", error);
+    showToast(error.message || "Failed to cancel the test run.", "error");
+    cancelBtn.disabled = false;
   }
 }
 
@@ -343,45 +1141,250 @@ function initializeDirectUpload() {
     setupDragAndDrop(fileUploadArea, fileInput, handleDirectFileSelect);
 }
 
-function setupDragAndDrop(area, input, fileHandler) {
+// Handlers receive an array of files; dropped folders are expanded into the files they contain
+function setupDragAndDrop(area, input, filesHandler) {
     area.addEventListener("click", () => input.click());
     area.addEventListener("dragover", (e) => { e.preventDefault(); e.currentTarget.classList.add("dragover"); });
     area.addEventListener("dragleave", (e) => e.currentTarget.classList.remove("dragover"));
-    area.addEventListener("drop", (e) => {
+    area.addEventListener("drop", async (e) => {
         e.preventDefault();
         e.currentTarget.classList.remove("dragover");
-        if (e.dataTransfer.files.length > 0) fileHandler(e.dataTransfer.files[0]);
+        const files = await getDroppedFiles(e.dataTransfer);
+        if (files.length > 0) filesHandler(files);
     });
     input.addEventListener("change", (e) => {
-        if (e.target.files.length > 0) fileHandler(e.target.files[0]);
+        if (e.target.files.length > 0) filesHandler(Array.from(e.target.files));
     });
 }
 
-function handleFileSelect(file) {
+async function getDroppedFiles(dataTransfer) {
+    // Entries must be read synchronously inside the drop event, before any await
+    const entries = Array.from(dataTransfer.items || [])
+        .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+        .filter(Boolean);
+    if (entries.length === 0) return Array.from(dataTransfer.files);
+    const files = [];
+    for (const entry of entries) files.push(...await readFileEntry(entry));
+    return files;
+}
+
+async function readFileEntry(entry) {
+    if (entry.isFile) {
+        return [await new Promise((resolve, reject) => entry.file(resolve, reject))];
+    }
+    const reader = entry.createReader();
+    const files = [];
+    let batch;
+    do {
+        // readEntries returns a directory's children in batches, then an empty array
+        batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        for (const child of batch) files.push(...await readFileEntry(child));
+    } while (batch.length > 0);
+    return files;
+}
+
+// Runs processFile on each supported file in turn, showing per-file status in the list under the upload area.
+// processFile returns { output, detail }; the outputs of the files that succeeded are returned in order.
+async function processUploadBatch(files, allowedTypes, listId, loadingMessage, processFile) {
+    const entries = files.map(file => {
+        const error = getFileValidationError(file, allowedTypes);
+        return { file, name: file.name, status: error ? "error" : "pending", detail: error || "" };
+    });
+    const supported = entries.filter(entry => entry.status === "pending");
+    renderUploadFileList(listId, entries);
+    if (supported.length === 0) {
+        showToast("None of the selected files are supported.", "error");
+        return [];
+    }
+
+    const outputs = [];
+    try {
+        for (const [index, entry] of supported.entries()) {
+            showLoading(`${loadingMessage} (${index + 1} of ${supported.length})...`);
+            entry.status = "parsing";
+            renderUploadFileList(listId, entries);
+            try {
+                const { output, detail } = await processFile(entry.file);
+                outputs.push(output);
+                entry.status = "done";
+                entry.detail = detail;
+            } catch (error) {
+                console.error(`Error processing ${entry.name}:`, error);
+                entry.status = "error";
+                entry.detail = error.message;
+            }
+            renderUploadFileList(listId, entries);
+        }
+    } finally {
+        hideLoading();
+    }
+    return outputs;
+}
+
+function renderUploadFileList(listId, entries) {
+    const list = document.getElementById(listId);
+    if (!list) return;
+    const icons = { pending: "fa-clock", parsing: "fa-spinner fa-spin", done: "fa-check-circle", error: "fa-exclamation-circle" };
+    list.innerHTML = entries.map(entry => `
+        <li class="upload-file ${entry.status}">
+            <i class="fas ${icons[entry.status]}"></i>
+            <span class="upload-file-name">${escapeHtml(entry.name)}</span>
+            <span class="upload-file-detail">${escapeHtml(entry.detail || "")}</span>
+        </li>`).join('');
+    list.style.display = entries.length > 1 ? "block" : "none";
+}
+
+async function handleFileSelect(files) {
   const uploadContent = document.querySelector("#file-upload-area .upload-content");
-  if (validateFile(file)) {
-    updateUploadUI(uploadContent, file.name);
-    showToast("File selected successfully!", "success");
+  if (files.length === 1) {
+    renderUploadFileList("document-upload-file-list", []);
+    if (validateFile(files[0])) {
+      updateUploadUI(uploadContent, files[0].name);
+      await extractDocumentRequirements(files[0]);
+    }
+    return;
+  }
+
+  updateUploadUI(uploadContent, `${files.length} files`);
+  const documents = await processUploadBatch(files, DOCUMENT_FILE_TYPES, "document-upload-file-list", "Extracting requirements", async (file) => {
+    const extracted = await uploadDocument(file);
+    return { output: extracted, detail: `${countWords(extracted.content)} words` };
+  });
+  setExtractedDocuments(documents);
+}
+
+// Uploads the SRS document so the server can extract its text (same read_file_content path as direct testing)
+async function uploadDocument(file) {
+  const formData = new FormData();
+  formData.append("file", file);
+  const response = await apiFetch("/api/upload", { method: "POST", body: formData });
+  const result = await response.json();
+  if (result.status !== "success") {
+    throw new Error(result.message || "Failed to read the document.");
+  }
+  return { filename: result.filename, content: result.content || "" };
+}
+
+async function extractDocumentRequirements(file) {
+  showLoading("Extracting requirements from document...");
+  try {
+    setExtractedDocuments([await uploadDocument(file)]);
+  } catch (error) {
+    console.error("Error extracting document text:", error);
+    setExtractedDocuments([]);
+    showToast(error.message, "error");
+  } finally {
+    hideLoading();
+  }
+}
+
+// Several documents become one generation input, each section headed by its file name
+function setExtractedDocuments(documents) {
+  documentFileName = documents.map(doc => doc.filename).join(", ");
+  documentContent = documents.length === 1
+    ? documents[0].content
+    : documents.map(doc => `=== ${doc.filename} ===\n${doc.content}`).join("\n\n");
+  showDocumentPreview();
+  saveSession();
+  if (documents.length > 0) {
+    showToast(documents.length === 1 ? "Requirements extracted successfully!" : `Requirements extracted from ${documents.length} documents.`, "success");
   }
 }
 
-async function handleDirectFileSelect(file) {
+function countWords(text) {
+  return text.trim() ? text.trim().split(/\s+/).length : 0;
+}
+
+function showDocumentPreview() {
+  const preview = document.getElementById("document-preview");
+  if (!documentContent) {
+    preview.style.display = "none";
+    return;
+  }
+  document.getElementById("document-preview-text").value = documentContent;
+  document.getElementById("document-preview-meta").textContent = `${documentFileName} - ${countWords(documentContent)} words extracted`;
+  preview.style.display = "block";
+}
+
+// Structured formats are parsed deterministically server-side (STRUCTURED_EXTENSIONS in document_parser.py)
+const DOCUMENT_FILE_TYPES = [".pdf", ".doc", ".docx"];
+const STRUCTURED_TEST_FILE_TYPES = [".csv", ".xlsx", ".json", ".feature"];
+let pendingImportFile = null;
+let importPreview = null;
+
+async function handleDirectFileSelect(files) {
     const uploadContent = document.querySelector("#direct-test-case-upload-area .upload-content");
-    if (validateFile(file)) {
-        updateUploadUI(uploadContent, file.name);
-        await parseAndLoadTests(file);
+    const allowedTypes = [...DOCUMENT_FILE_TYPES, ...STRUCTURED_TEST_FILE_TYPES];
+    if (files.length === 1) {
+        const [file] = files;
+        renderUploadFileList("direct-upload-file-list", []);
+        if (validateFile(file, allowedTypes)) {
+            updateUploadUI(uploadContent, file.name);
+            if (STRUCTURED_TEST_FILE_TYPES.includes(getFileExtension(file.name))) {
+                await previewTestFile(file);
+            } else {
+                await parseAndLoadTests(file);
+            }
+        }
+        return;
+    }
+
+    // With several files, structured ones use the server's suggested column mapping
+    updateUploadUI(uploadContent, `${files.length} files`);
+    const testLists = await processUploadBatch(files, allowedTypes, "direct-upload-file-list", "Parsing test case files", async (file) => {
+        const tests = await parseTestFile(file);
+        return { output: tests, detail: `${tests.length} tests` };
+    });
+    selectedTestCases = mergeTestLists(testLists);
+    saveSession();
+    displayTestListBelowCircle(selectedTestCases, "Test Cases Ready for Execution");
+    if (selectedTestCases.length > 0) {
+        showToast(`Loaded ${selectedTestCases.length} test cases from ${testLists.length} files.`, "success");
     }
 }
 
-function validateFile(file) {
-    const allowedTypes = [".pdf", ".doc", ".docx"];
-    const fileExtension = `.${file.name.split(".").pop().toLowerCase()}`;
-    if (!allowedTypes.includes(fileExtension)) {
-        showToast("Please select a PDF, DOC, or DOCX file.", "error");
-        return false;
+// Drops exact duplicates (same name, type and description) and gives colliding IDs the next free number
+function mergeTestLists(testLists) {
+    const merged = [];
+    const usedIds = new Set();
+    const seen = new Set();
+    let nextId = 1;
+    for (const tests of testLists) {
+        for (const test of tests) {
+            const key = [test.name, test.type, test.description].map(v => String(v || "").trim().toLowerCase()).join("|");
+            if (seen.has(key)) continue;
+            seen.add(key);
+            let id = Number(test.id);
+            if (!Number.isInteger(id) || usedIds.has(id)) {
+                while (usedIds.has(nextId)) nextId++;
+                id = nextId;
+            }
+            usedIds.add(id);
+            merged.push({ ...test, id });
+        }
+    }
+    return merged;
+}
+
+function getFileExtension(fileName) {
+    return `.${fileName.split(".").pop().toLowerCase()}`;
+}
+
+function getFileValidationError(file, allowedTypes = DOCUMENT_FILE_TYPES) {
+    if (!allowedTypes.includes(getFileExtension(file.name))) {
+        const names = allowedTypes.map(t => t.slice(1).toUpperCase());
+        return `Please select a ${names.slice(0, -1).join(", ")} or ${names[names.length - 1]} file.`;
     }
     if (file.size > 16 * 1024 * 1024) {
-        showToast("File size must be less than 16MB.", "error");
+        return "File size must be less than 16MB.";
+    }
+    return null;
+}
+
+function validateFile(file, allowedTypes = DOCUMENT_FILE_TYPES) {
+    const error = getFileValidationError(file, allowedTypes);
+    if (error) {
+        showToast(error, "error");
         return false;
     }
     return true;
@@ -390,35 +1393,167 @@ function validateFile(file) {
 function updateUploadUI(contentElement, fileName) {
     contentElement.innerHTML = `
         <i class="fas fa-file-check" style="color: #10b981;"></i>
-        <p><strong>${fileName}</strong></p>
+        <p><strong>${escapeHtml(fileName)}</strong></p>
         <small>Click or drag to replace</small>
     `;
 }
 
-async function parseAndLoadTests(file) {
+async function parseTestFile(file, mapping = null) {
+    const formData = new FormData();
+    formData.append("file", file);
+    if (mapping) formData.append("mapping", JSON.stringify(mapping));
+    const response = await apiFetch("/api/parse-tests-from-file", { method: "POST", body: formData });
+    const result = await response.json();
+    if (result.status !== "success" || !result.tests) {
+        throw new Error(result.message || "Failed to parse test cases from file.");
+    }
+    return result.tests;
+}
+
+async function parseAndLoadTests(file, mapping = null) {
     showLoading("Parsing your test case file...");
+    try {
+        selectedTestCases = await parseTestFile(file, mapping);
+        saveSession();
+        displayTestListBelowCircle(selectedTestCases, "Test Cases Ready for Execution");
+        showToast(`Successfully parsed ${selectedTestCases.length} test cases.`, "success");
+    } catch (error) {
+        console.error("Error parsing file:", error);
+        showToast(error.message, "error");
+        selectedTestCases = [];
+        saveSession();
+        displayTestListBelowCircle([], "");
+    } finally {
+        hideLoading();
+    }
+}
+
+// Fetches columns, a suggested column mapping and sample rows so the user can confirm the mapping first
+async function previewTestFile(file) {
+    showLoading("Reading your test case file...");
     const formData = new FormData();
     formData.append("file", file);
     try {
-        const response = await fetch("/api/parse-tests-from-file", { method: "POST", body: formData });
+        const response = await apiFetch("/api/preview-test-file", { method: "POST", body: formData });
         const result = await response.json();
-        if (result.status === "success" && result.tests) {
-            selectedTestCases = result.tests;
-            displayTestListBelowCircle(result.tests, "Test Cases Ready for Execution");
-            showToast(`Successfully parsed ${result.tests.length} test cases.`, "success");
-        } else {
-            throw new Error(result.message || "Failed to parse test cases from file.");
+        if (result.status !== "success") {
+            throw new Error(result.message || "Failed to read the test case file.");
         }
+        pendingImportFile = file;
+        importPreview = result;
+        displayImportPreview();
     } catch (error) {
-        console.error("Error parsing file:", error);
+        console.error("Error previewing file:", error);
         showToast(error.message, "error");
-        selectedTestCases = [];
+        pendingImportFile = null;
+        importPreview = null;
         displayTestListBelowCircle([], "");
     } finally {
         hideLoading();
     }
 }
 
+function displayImportPreview() {
+    const container = document.getElementById('test-list-display-container');
+    if (!container || !importPreview) return;
+
+    if (importPreview.format === "gherkin") {
+        const tests = importPreview.tests || [];
+        container.innerHTML = `
+            <div class="accordion-header">
+                <h3>${tests.length} Scenarios Found</h3>
+                <div class="accordion-header-actions">
+                    <button class="btn btn-secondary" onclick="cancelImportPreview()">Cancel</button>
+                    <button class="btn btn-primary" onclick="confirmImportPreview()" ${tests.length ? '' : 'disabled'}>Load Tests</button>
+                </div>
+            </div>
+            <div class="import-preview-table">${renderPreviewTable(tests)}</div>`;
+    } else {
+        const columnOptions = importPreview.columns.map(c => `<option value="${escapeHtml(c)}">${escapeHtml(c)}</option>`).join('');
+        container.innerHTML = `
+            <div class="accordion-header">
+                <h3>Map Columns (${importPreview.row_count} rows)</h3>
+                <div class="accordion-header-actions">
+                    <button class="btn btn-secondary" onclick="cancelImportPreview()">Cancel</button>
+                    <button class="btn btn-primary" onclick="confirmImportPreview()">Load Tests</button>
+                </div>
+            </div>
+            <div class="column-mapping">
+                ${importPreview.fields.map(field => `
+                    <div class="form-group">
+                        <label>${field.replace("_", " ")}</label>
+                        <select class="form-input" data-mapping-field="${field}" onchange="updateImportMapping(event)">
+                            <option value="">(not mapped)</option>
+                            ${columnOptions}
+                        </select>
+                    </div>`).join('')}
+            </div>
+            <p class="import-preview-caption">Preview of the first ${importPreview.sample_rows.length} rows with this mapping:</p>
+            <div class="import-preview-table" id="import-preview-table"></div>`;
+        container.querySelectorAll('[data-mapping-field]').forEach(select => {
+            select.value = importPreview.mapping[select.dataset.mappingField] || "";
+        });
+        renderMappedSample();
+    }
+    container.style.display = 'block';
+    container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+function updateImportMapping(event) {
+    importPreview.mapping[event.target.dataset.mappingField] = event.target.value || null;
+    renderMappedSample();
+}
+
+// Client-side approximation of apply_column_mapping in document_parser.py, for the preview only
+function renderMappedSample() {
+    const mapping = importPreview.mapping;
+    const cell = (row, field) => mapping[field] ? String(row[mapping[field]] ?? "").trim() : "";
+    const tests = importPreview.sample_rows.map(row => ({
+        name: cell(row, "name") || cell(row, "description").slice(0, 60),
+        type: cell(row, "type"),
+        selector: cell(row, "selector"),
+        endpoint: cell(row, "endpoint"),
+        steps: cell(row, "steps").split("\n").filter(s => s.trim()),
+    }));
+    document.getElementById("import-preview-table").innerHTML = renderPreviewTable(tests);
+}
+
+function renderPreviewTable(tests) {
+    if (tests.length === 0) return `<p class="import-preview-caption">No tests found.</p>`;
+    return `
+        <table>
+            <thead><tr><th>Name</th><th>Type</th><th>Selector / Endpoint</th><th>Steps</th></tr></thead>
+            <tbody>
+                ${tests.map(t => `
+                    <tr class="${t.name ? '' : 'missing'}">
+                        <td>${escapeHtml(t.name || "(skipped: no name or description)")}</td>
+                        <td>${escapeHtml(t.type || "")}</td>
+                        <td>${escapeHtml(t.selector || t.endpoint || "")}</td>
+                        <td>${(t.steps || []).length}</td>
+                    </tr>`).join('')}
+            </tbody>
+        </table>`;
+}
+
+async function confirmImportPreview() {
+    if (!pendingImportFile) return;
+    const mapping = importPreview.format === "gherkin" ? null : importPreview.mapping;
+    if (mapping && !mapping.name && !mapping.description) {
+        showToast("Map at least the Name or Description column.", "error");
+        return;
+    }
+    await parseAndLoadTests(pendingImportFile, mapping);
+    pendingImportFile = null;
+    importPreview = null;
+}
+
+function cancelImportPreview() {
+    pendingImportFile = null;
+    importPreview = null;
+    document.getElementById("direct-test-case-upload").value = "";
+    displayTestListBelowCircle(selectedTestCases, "Test Cases Ready for Execution");
+}
+
 function displayTestListBelowCircle(tests, title) {
     const container = document.getElementById('test-list-display-container');
     if (!container) return;
@@ -432,7 +1567,7 @@ function displayTestListBelowCircle(tests, title) {
             ${tests.map(test => `
                 <li class="parsed-test-item">
                     <i class="fas fa-vial"></i>
-                    <span>${test.id}: ${test.name}</span>
+                    <span>${escapeHtml(test.id)}: ${escapeHtml(test.name)}</span>
                 </li>`).join('')}
         </ul>`;
     container.innerHTML = contentHTML;
@@ -448,7 +1583,12 @@ function scrollToSection(sectionId) {
   }
 }
 
-function displayTestCasesAccordion() {
+// Fields mirrored from SCHEMA / _validate_and_repair in test_case_generation.py
+const TEST_TYPES = ["UI", "Functional", "API"];
+const HTTP_METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE"];
+let expandedTestIds = new Set(); // Keeps editor items open across re-renders
+
+function displayTestCasesAccordion(scroll = true) {
     const container = document.getElementById('test-list-display-container');
     if (!container) return;
     const selectedIds = new Set(selectedTestCases.map(t => t.id));
@@ -456,34 +1596,500 @@ function displayTestCasesAccordion() {
     let accordionHTML = `
         <div class="accordion-header">
             <h3>Generated Test Cases</h3>
-            <button class="btn btn-secondary" onclick="addAllTestCases()">Select All</button>
+            <div class="accordion-header-actions">
+                <button class="btn btn-secondary" onclick="addNewTestCase()"><i class="fas fa-plus"></i> Add Test</button>
+                <button class="btn btn-secondary" onclick="addAllTestCases()">Select All</button>
+            </div>
         </div>
-        ${generatedTests.map(test => `
-            <div class="accordion-item">
-                <button class="accordion-button" onclick="this.classList.toggle('active'); this.nextElementSibling.classList.toggle('active');">
-                    <span>${test.id}: ${test.name}</span>
-                    <i class="fas fa-chevron-down"></i>
-                </button>
-                <div class="accordion-content">
-                    <p><strong>Description:</strong> ${test.description}</p>
-                    <p><strong>Type:</strong> ${test.type}</p>
-                    <p><strong>Selector:</strong> <code>${test.selector || 'N/A'}</code></p>
-                    <label class="checkbox-label">
-                        <input type="checkbox" class="checkbox-input" data-testid="${test.id}" onchange="toggleTestCaseSelection(event)" ${selectedIds.has(test.id) ? 'checked' : ''}>
-                        <span class="checkbox-custom"></span>
-                        Select Test Case
-                    </label>
-                </div>
-            </div>`).join('')}
+        ${generatedTests.map(test => renderTestEditorItem(test, selectedIds.has(test.id))).join('')}
     `;
     container.innerHTML = accordionHTML;
     container.style.display = 'block';
-    container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    if (scroll) container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+function renderTestEditorItem(test, isSelected) {
+    const isOpen = expandedTestIds.has(test.id);
+    const isApi = normalizeTestType(test.type) === "API";
+    const typeOptions = TEST_TYPES.includes(test.type) ? TEST_TYPES : [...TEST_TYPES, test.type];
+    const steps = Array.isArray(test.steps) ? test.steps : [];
+    const errors = validateTestCase(test);
+    const warnings = testCaseWarnings(test);
+
+    return `
+        <div class="accordion-item ${errors.length ? 'invalid' : ''}" data-testid="${test.id}">
+            <button class="accordion-button ${isOpen ? 'active' : ''}" onclick="toggleAccordionItem(this, ${test.id})">
+                <span class="accordion-title">${test.id}: ${escapeHtml(test.name)}</span>
+                <i class="fas fa-chevron-down"></i>
+            </button>
+            <div class="accordion-content ${isOpen ? 'active' : ''}">
+                <div class="test-editor">
+                    <div class="form-group">
+                        <label>Name</label>
+                        <input type="text" class="form-input" data-testid="${test.id}" data-field="name" value="${escapeHtml(test.name)}" oninput="updateTestField(event)">
+                    </div>
+                    <div class="form-group">
+                        <label>Description</label>
+                        <textarea class="form-textarea" data-testid="${test.id}" data-field="description" oninput="updateTestField(event)">${escapeHtml(test.description)}</textarea>
+                    </div>
+                    <div class="test-editor-row">
+                        <div class="form-group">
+                            <label>Type</label>
+                            <select class="form-input" data-testid="${test.id}" data-field="type" onchange="updateTestField(event)">
+                                ${typeOptions.map(t => `<option value="${escapeHtml(t)}" ${t === test.type ? 'selected' : ''}>${escapeHtml(t)}</option>`).join('')}
+                            </select>
+                        </div>
+                        ${isApi ? `
+                        <div class="form-group">
+                            <label>Method</label>
+                            <select class="form-input" data-testid="${test.id}" data-field="method" onchange="updateTestField(event)">
+                                ${HTTP_METHODS.map(m => `<option value="${m}" ${m === (test.method || 'GET').toUpperCase() ? 'selected' : ''}>${m}</option>`).join('')}
+                            </select>
+                        </div>
+                        <div class="form-group test-editor-grow">
+                            <label>Endpoint</label>
+                            <input type="text" class="form-input" data-testid="${test.id}" data-field="endpoint" value="${escapeHtml(test.endpoint || '')}" placeholder="/api/resource" oninput="updateTestField(event)">
+                        </div>` : `
+                        <div class="form-group test-editor-grow">
+                            <label>Selector</label>
+                            <div class="input-with-action">
+                                <input type="text" class="form-input" data-testid="${test.id}" data-field="selector" value="${escapeHtml(test.selector || '')}" placeholder="#element-id, .fallback-class" oninput="updateTestField(event)">
+                                <button class="btn btn-secondary btn-icon" title="Pick from the page" onclick="openSelectorPicker(${test.id})"><i class="fas fa-crosshairs"></i></button>
+                            </div>
+                        </div>`}
+                    </div>
+                    <div class="form-group">
+                        <label>Steps</label>
+                        <ol class="test-steps">
+                            ${steps.map((step, index) => `
+                                <li class="test-step">
+                                    <input type="text" class="form-input" data-testid="${test.id}" data-step="${index}" value="${escapeHtml(step)}" oninput="updateTestStep(event)">
+                                    <button class="btn btn-secondary btn-icon" title="Delete step" onclick="deleteTestStep(${test.id}, ${index})"><i class="fas fa-trash"></i></button>
+                                </li>`).join('')}
+                        </ol>
+                        <button class="btn btn-secondary" onclick="addTestStep(${test.id})"><i class="fas fa-plus"></i> Add Step</button>
+                    </div>
+                    ${renderTestDataEditor(test)}
+                    <ul class="test-editor-errors" ${errors.length || warnings.length ? '' : 'style="display: none;"'}>
+                        ${renderTestIssues(errors, warnings)}
+                    </ul>
+                    <div class="test-editor-actions">
+                        <label class="checkbox-label">
+                            <input type="checkbox" class="checkbox-input" data-testid="${test.id}" onchange="toggleTestCaseSelection(event)" ${isSelected ? 'checked' : ''}>
+                            <span class="checkbox-custom"></span>
+                            Select Test Case
+                        </label>
+                        <button class="btn btn-secondary" onclick="duplicateTestCase(${test.id})"><i class="fas fa-copy"></i> Duplicate</button>
+                        <button class="btn btn-secondary" onclick="deleteTestCase(${test.id})"><i class="fas fa-trash"></i> Delete</button>
+                    </div>
+                </div>
+            </div>
+        </div>`;
+}
+
+function toggleAccordionItem(button, testId) {
+    button.classList.toggle('active');
+    button.nextElementSibling.classList.toggle('active');
+    if (button.classList.contains('active')) expandedTestIds.add(testId);
+    else expandedTestIds.delete(testId);
+}
+
+function normalizeTestType(type) {
+    const ty = (type || "").trim().toLowerCase();
+    if (["ui", "functional", "smoke", "regression"].includes(ty)) return "UI";
+    if (["api", "http"].includes(ty)) return "API";
+    return type || "";
+}
+
+// Blocking problems: the fields _validate_and_repair in test_case_generation.py requires, plus data table errors
+function validateTestCase(test) {
+    const errors = [];
+    if (!Number.isInteger(test.id) || test.id < 1) errors.push("ID must be a positive integer.");
+    if (!String(test.name || "").trim()) errors.push("Name is required.");
+    if (!String(test.description || "").trim()) errors.push("Description is required.");
+
+    const table = test.data_table || { columns: [], rows: [] };
+    const columns = table.columns || [];
+    columns.filter(column => !PLACEHOLDER_NAME.test(column)).forEach(column =>
+        errors.push(`Data table column "${column}" can only use letters, digits, "_", "-" and ".".`));
+    if (new Set(columns).size !== columns.length) errors.push("Data table column names must be unique.");
+    if (columns.length && !(table.rows || []).length) errors.push("The data table has no rows.");
+    findPlaceholders(test).filter(name => !columns.includes(name)).forEach(name =>
+        errors.push(`{{${name}}} has no matching data table column.`));
+    return errors;
+}
+
+// Worth a look but not blocking: the executor runs UI tests without a selector ("Page loaded." checks, login
+// and forgot-password flows) and API tests without an endpoint against the target URL itself
+function testCaseWarnings(test) {
+    const warnings = [];
+    const type = normalizeTestType(test.type);
+    if (type === "API" && !String(test.endpoint || "").trim()) warnings.push("No endpoint: the request goes to the target URL.");
+    if (type === "UI" && !String(test.selector || "").trim()) warnings.push("No selector: the test only checks that the page loads, unless it is a login or forgot-password flow.");
+    return warnings;
+}
+
+function renderTestIssues(errors, warnings) {
+    return [
+        ...errors.map(err => `<li>${escapeHtml(err)}</li>`),
+        ...warnings.map(warning => `<li class="test-editor-warning">${escapeHtml(warning)}</li>`),
+    ].join('');
+}
+
+// {{variable}} placeholders, mirroring PLACEHOLDER_RE in data_driven.py
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+const PLACEHOLDER_NAME = /^[\w.-]+$/;
+
+function findPlaceholders(test) {
+    const { data_table, ...fields } = test;
+    const text = JSON.stringify(fields);
+    return [...new Set([...text.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]))];
+}
+
+// Form data (field hint or selector -> value, see _fill_form_generic) and the data table that expands
+// the test into one execution per row
+function renderTestDataEditor(test) {
+    const data = test.data && typeof test.data === "object" ? test.data : {};
+    const table = test.data_table || { columns: [], rows: [] };
+    return `
+        <div class="form-group">
+            <label>Form Data</label>
+            <div class="test-data-fields" data-testid="${test.id}">
+                ${Object.entries(data).map(([field, value]) => renderFormDataField(test.id, field, value)).join('')}
+            </div>
+            <button class="btn btn-secondary" onclick="addFormDataField(${test.id})"><i class="fas fa-plus"></i> Add Field</button>
+        </div>
+        <div class="form-group">
+            <label>Data Table</label>
+            <p class="test-data-hint">Runs the test once per row. Use <code>{{column}}</code> in the name, description, selector, endpoint, steps or form data.</p>
+            ${table.columns.length ? `
+            <div class="data-table-grid">
+                <table>
+                    <thead>
+                        <tr>
+                            <th class="data-table-index">#</th>
+                            ${table.columns.map((column, col) => `
+                                <th>
+                                    <div class="data-table-column">
+                                        <input type="text" class="form-input" value="${escapeHtml(column)}" onchange="renameDataColumn(${test.id}, ${col}, this.value)">
+                                        <button class="btn btn-secondary btn-icon" title="Delete column" onclick="deleteDataColumn(${test.id}, ${col})"><i class="fas fa-times"></i></button>
+                                    </div>
+                                </th>`).join('')}
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${table.rows.map((row, index) => `
+                            <tr>
+                                <td class="data-table-index">${index + 1}</td>
+                                ${table.columns.map((column, col) => `
+                                    <td><input type="text" class="form-input" value="${escapeHtml(row[column] ?? '')}" oninput="updateDataCell(${test.id}, ${index}, ${col}, this.value)"></td>`).join('')}
+                                <td><button class="btn btn-secondary btn-icon" title="Delete row" onclick="deleteDataRow(${test.id}, ${index})"><i class="fas fa-trash"></i></button></td>
+                            </tr>`).join('')}
+                    </tbody>
+                </table>
+            </div>` : ''}
+            <div class="data-table-actions">
+                <button class="btn btn-secondary" onclick="addDataColumn(${test.id})"><i class="fas fa-plus"></i> Add Column</button>
+                ${table.columns.length ? `<button class="btn btn-secondary" onclick="addDataRow(${test.id})"><i class="fas fa-plus"></i> Add Row</button>` : ''}
+                <button class="btn btn-secondary" onclick="importDataTableCsv(${test.id})"><i class="fas fa-file-csv"></i> Import CSV</button>
+                ${table.columns.length ? `<button class="btn btn-secondary" onclick="clearDataTable(${test.id})"><i class="fas fa-trash"></i> Clear Table</button>` : ''}
+            </div>
+        </div>`;
+}
+
+function renderFormDataField(testId, field, value) {
+    return `
+        <div class="test-data-field">
+            <input type="text" class="form-input" data-role="field" value="${escapeHtml(field)}" placeholder="Field label, name or selector" oninput="syncFormData(${testId})">
+            <input type="text" class="form-input" data-role="value" value="${escapeHtml(value)}" placeholder="Value or {{column}}" oninput="syncFormData(${testId})">
+            <button class="btn btn-secondary btn-icon" title="Delete field" onclick="this.parentElement.remove(); syncFormData(${testId})"><i class="fas fa-trash"></i></button>
+        </div>`;
+}
+
+function addFormDataField(testId) {
+    const container = document.querySelector(`.test-data-fields[data-testid="${testId}"]`);
+    if (container) container.insertAdjacentHTML("beforeend", renderFormDataField(testId, "", ""));
+}
+
+// Rebuilds test.data from the editor rows; rows without a field name are kept on screen but not saved
+function syncFormData(testId) {
+    const test = findGeneratedTest(testId);
+    const container = document.querySelector(`.test-data-fields[data-testid="${testId}"]`);
+    if (!test || !container) return;
+    const data = {};
+    container.querySelectorAll(".test-data-field").forEach(row => {
+        const field = row.querySelector('[data-role="field"]').value.trim();
+        if (field) data[field] = row.querySelector('[data-role="value"]').value;
+    });
+    if (Object.keys(data).length) test.data = data;
+    else delete test.data;
+    syncSelectedTestCase(test);
+    saveSession();
+    refreshTestEditorItem(test);
+}
+
+// Applies change(table) to the test's data table, then re-renders the editor
+function editDataTable(testId, change) {
+    const test = findGeneratedTest(testId);
+    if (!test) return;
+    const table = test.data_table || { columns: [], rows: [] };
+    change(table);
+    if (table.columns.length) test.data_table = table;
+    else delete test.data_table;
+    syncSelectedTestCase(test);
+    saveSession();
+    displayTestCasesAccordion(false);
+}
+
+function addDataColumn(testId) {
+    editDataTable(testId, table => {
+        let n = table.columns.length + 1;
+        while (table.columns.includes(`column${n}`)) n++;
+        table.columns.push(`column${n}`);
+        if (table.rows.length === 0) table.rows.push({});
+    });
+}
+
+function renameDataColumn(testId, col, name) {
+    editDataTable(testId, table => {
+        const previous = table.columns[col];
+        const column = name.trim();
+        if (!column || column === previous) return;
+        if (table.columns.includes(column)) {
+            showToast(`The data table already has a column named "${column}".`, "warning");
+            return;
+        }
+        table.columns[col] = column;
+        table.rows.forEach(row => {
+            row[column] = row[previous] ?? "";
+            delete row[previous];
+        });
+    });
+}
+
+function deleteDataColumn(testId, col) {
+    editDataTable(testId, table => {
+        const [column] = table.columns.splice(col, 1);
+        table.rows.forEach(row => delete row[column]);
+        if (table.columns.length === 0) table.rows = [];
+    });
+}
+
+function addDataRow(testId) {
+    editDataTable(testId, table => table.rows.push(Object.fromEntries(table.columns.map(column => [column, ""]))));
+}
+
+function deleteDataRow(testId, index) {
+    editDataTable(testId, table => table.rows.splice(index, 1));
+}
+
+function clearDataTable(testId) {
+    if (!confirm("Remove the data table from this test case?")) return;
+    editDataTable(testId, table => {
+        table.columns = [];
+        table.rows = [];
+    });
+}
+
+// Cell edits don't re-render, so typing keeps focus
+function updateDataCell(testId, index, col, value) {
+    const test = findGeneratedTest(testId);
+    const table = test && test.data_table;
+    if (!table || !table.rows[index]) return;
+    table.rows[index][table.columns[col]] = value;
+    syncSelectedTestCase(test);
+    saveSession();
+}
+
+let dataTableImportTestId = null;
+
+function importDataTableCsv(testId) {
+    dataTableImportTestId = testId;
+    const input = document.getElementById("data-table-csv-input");
+    input.value = "";
+    input.click();
+}
+
+async function handleDataTableCsv(event) {
+    const file = event.target.files[0];
+    const testId = dataTableImportTestId;
+    if (!file || testId === null) return;
+    try {
+        const records = parseCsv(await file.text());
+        const columns = (records.shift() || []).map(column => column.trim());
+        if (columns.length === 0 || columns.every(column => !column)) throw new Error("The CSV file has no header row.");
+        const rows = records
+            .filter(record => record.some(value => value.trim()))
+            .map(record => Object.fromEntries(columns.map((column, i) => [column, record[i] ?? ""])));
+        editDataTable(testId, table => {
+            table.columns = columns;
+            table.rows = rows;
+        });
+        showToast(`Imported ${rows.length} data row(s) into test case ${testId}.`, "success");
+    } catch (error) {
+        console.error("Error importing data table:", error);
+        showToast(`Could not import ${file.name}: ${error.message}`, "error");
+    }
+}
+
+// Minimal RFC 4180 reader: quoted fields may contain delimiters, quotes ("") and newlines.
+// The delimiter (comma, semicolon or tab) is whichever appears most in the first line.
+function parseCsv(text) {
+    text = text.replace(/^\uFEFF/, "");
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = [",", ";", "\t"].reduce((best, d) => firstLine.split(d).length > firstLine.split(best).length ? d : best, ",");
+    const records = [];
+    let record = [], field = "", quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else field += ch;
+        } else if (ch === '"' && field === "") {
+            quoted = true;
+        } else if (ch === delimiter) {
+            record.push(field);
+            field = "";
+        } else if (ch === "\n" || ch === "\r") {
+            if (ch === "\r" && text[i + 1] === "\n") i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = "";
+        } else {
+            field += ch;
+        }
+    }
+    if (field || record.length) {
+        record.push(field);
+        records.push(record);
+    }
+    return records;
+}
+
+function findGeneratedTest(testId) {
+    return generatedTests.find(t => t.id === testId);
+}
+
+// Replaces the selected copy so selectedTestCases never drifts from generatedTests
+function syncSelectedTestCase(test) {
+    const index = selectedTestCases.findIndex(t => t.id === test.id);
+    if (index > -1) selectedTestCases[index] = test;
+}
+
+function refreshTestEditorItem(test) {
+    const item = document.querySelector(`.accordion-item[data-testid="${test.id}"]`);
+    if (!item) return;
+    const errors = validateTestCase(test);
+    const warnings = testCaseWarnings(test);
+    item.classList.toggle('invalid', errors.length > 0);
+    item.querySelector('.accordion-title').textContent = `${test.id}: ${test.name}`;
+    const errorList = item.querySelector('.test-editor-errors');
+    errorList.innerHTML = renderTestIssues(errors, warnings);
+    errorList.style.display = errors.length || warnings.length ? '' : 'none';
+}
+
+function updateTestField(event) {
+    const testId = parseInt(event.target.dataset.testid, 10);
+    const field = event.target.dataset.field;
+    const test = findGeneratedTest(testId);
+    if (!test || !field) return;
+    test[field] = event.target.value;
+    syncSelectedTestCase(test);
+    saveSession();
+    // Switching between UI and API swaps the selector/endpoint inputs
+    if (field === "type") displayTestCasesAccordion(false);
+    else refreshTestEditorItem(test);
+}
+
+function openSelectorPicker(testId) {
+    const test = findGeneratedTest(testId);
+    if (!test) return;
+    SelectorPicker.open({
+        url: sourceWebsiteUrl || document.getElementById("target-website-url").value.trim(),
+        selector: test.selector || "",
+        onPick: (selector, append) => {
+            test.selector = append ? `${test.selector}, ${selector}` : selector;
+            syncSelectedTestCase(test);
+            saveSession();
+            const input = document.querySelector(`.accordion-item[data-testid="${test.id}"] [data-field="selector"]`);
+            if (input) input.value = test.selector;
+            refreshTestEditorItem(test);
+            showToast(`Selector updated for test case ${test.id}.`, "success");
+        },
+    });
+}
+
+function updateTestStep(event) {
+    const test = findGeneratedTest(parseInt(event.target.dataset.testid, 10));
+    const index = parseInt(event.target.dataset.step, 10);
+    if (!test || !Array.isArray(test.steps)) return;
+    test.steps[index] = event.target.value;
+    syncSelectedTestCase(test);
+    saveSession();
+}
+
+function addTestStep(testId) {
+    const test = findGeneratedTest(testId);
+    if (!test) return;
+    test.steps = Array.isArray(test.steps) ? test.steps : [];
+    test.steps.push("");
+    syncSelectedTestCase(test);
+    saveSession();
+    displayTestCasesAccordion(false);
+}
+
+function deleteTestStep(testId, index) {
+    const test = findGeneratedTest(testId);
+    if (!test || !Array.isArray(test.steps)) return;
+    test.steps.splice(index, 1);
+    syncSelectedTestCase(test);
+    saveSession();
+    displayTestCasesAccordion(false);
+}
+
+function nextTestId() {
+    return generatedTests.reduce((max, t) => Math.max(max, Number(t.id) || 0), 0) + 1;
+}
+
+function addNewTestCase() {
+    const test = { id: nextTestId(), name: "New Test Case", description: "", type: "UI", selector: "", steps: [] };
+    generatedTests.push(test);
+    expandedTestIds.add(test.id);
+    saveSession();
+    displayTestCasesAccordion(false);
+    showToast(`Added test case ${test.id}.`, "info");
+}
+
+function duplicateTestCase(testId) {
+    const index = generatedTests.findIndex(t => t.id === testId);
+    if (index === -1) return;
+    const copy = JSON.parse(JSON.stringify(generatedTests[index]));
+    copy.id = nextTestId();
+    copy.name = `${copy.name} (copy)`;
+    generatedTests.splice(index + 1, 0, copy);
+    expandedTestIds.add(copy.id);
+    saveSession();
+    displayTestCasesAccordion(false);
+    showToast(`Duplicated test case ${testId}.`, "info");
+}
+
+function deleteTestCase(testId) {
+    const test = findGeneratedTest(testId);
+    if (!test || !confirm(`Delete test case "${test.name}"?`)) return;
+    generatedTests = generatedTests.filter(t => t.id !== testId);
+    selectedTestCases = selectedTestCases.filter(t => t.id !== testId);
+    expandedTestIds.delete(testId);
+    saveSession();
+    displayTestCasesAccordion(false);
+    showToast(`Deleted test case ${testId}.`, "info");
 }
 
 function toggleTestCaseSelection(event) {
     const testId = parseInt(event.target.dataset.testid, 10);
-    const test = generatedTests.find(t => t.id === testId);
+    const test = findGeneratedTest(testId);
     if (!test) return;
     const index = selectedTestCases.findIndex(t => t.id === testId);
     if (index > -1) {
@@ -491,35 +2097,171 @@ function toggleTestCaseSelection(event) {
     } else {
         selectedTestCases.push(test);
     }
+    saveSession();
 }
 
 function addAllTestCases() {
     selectedTestCases = [...generatedTests];
+    saveSession();
     document.querySelectorAll('.accordion-content .checkbox-input').forEach(checkbox => {
         checkbox.checked = true;
     });
     showToast(`Selected all ${generatedTests.length} test cases.`, "success");
 }
 
-function displayTestResults(results) {
+function displayTestResults(results, scroll = true) {
     const resultsSection = document.getElementById("results-section");
     const testResultsList = document.getElementById("test-results-list");
     const passedCount = document.getElementById("passed-count");
     const failedCount = document.getElementById("failed-count");
     const passed = results.filter(r => r.status === "passed").length;
-    const failed = results.length - passed;
+    const failed = results.filter(r => r.status === "failed").length;
     passedCount.textContent = passed;
     failedCount.textContent = failed;
 
+    const matrixContainer = document.getElementById("results-matrix");
+    const isMatrixRun = results.some(r => r.config || r.environment);
+    matrixContainer.innerHTML = isMatrixRun ? renderResultMatrix(results) : "";
+    matrixContainer.style.display = isMatrixRun ? "block" : "none";
+
     testResultsList.innerHTML = results.length === 0 ?
         `<p>No test results to display.</p>` :
-        results.map(result => `
+        groupDataDrivenResults(results).map(group => group.rows
+            ? renderResultGroup(group)
+            : renderResultCard(group.result, group.index)).join("");
+    document.getElementById("rerun-failed-btn").style.display = failed > 0 ? "inline-flex" : "none";
+    resultsSection.style.display = "block";
+    if (scroll) resultsSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+function renderResultCard(result, index) {
+    return `
             <div class="test-result ${result.status}">
-              <h5><i class="fas ${result.status === "passed" ? "fa-check-circle" : "fa-times-circle"}"></i>${result.name}</h5>
+              <div class="test-result-header">
+                <h5><i class="fas ${resultStatusIcon(result.status)}"></i>${escapeHtml(result.name)}</h5>
+                <div class="test-result-badges">
+                  ${result.environment ? `<span class="result-badge">${escapeHtml(result.environment.name)}</span>` : ''}
+                  ${result.config ? `<span class="result-badge">${configLabel(result.config)}</span>` : ''}
+                  ${result.attempt > 1 ? `<span class="result-badge">Attempt ${result.attempt}</span>` : ''}
+                  ${result.flaky ? `<span class="result-badge flaky" title="Outcomes: ${(result.history || []).join(', ')}">Flaky</span>` : ''}
+                  <button class="btn btn-secondary btn-icon rerun-btn" title="Re-run this test" onclick="rerunResult(${index})" ${activeRunId ? 'disabled' : ''}><i class="fas fa-redo"></i></button>
+                </div>
+              </div>
               <p><strong>Status:</strong> ${result.status.toUpperCase()}</p>
-            </div>`).join("");
-    resultsSection.style.display = "block";
-    resultsSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+              ${result.row ? `<p class="test-result-row"><strong>Data:</strong> ${Object.entries(result.row).map(([column, value]) => `<code>${escapeHtml(column)}=${escapeHtml(value)}</code>`).join(' ')}</p>` : ''}
+              ${result.message ? `<p class="test-result-message">${escapeHtml(result.message)}</p>` : ''}
+              ${renderFailureArtifacts(result.artifacts)}
+            </div>`;
+}
+
+// Results in run order, with the rows of each data-driven test gathered under their parent test:
+// [{ result, index }] for plain results, [{ id, rows: [{ result, index }] }] for data-driven ones
+function groupDataDrivenResults(results) {
+    const groups = [];
+    const byTest = new Map();
+    results.forEach((result, index) => {
+        if (result.row_index === undefined) {
+            groups.push({ result, index });
+            return;
+        }
+        if (!byTest.has(result.id)) {
+            const group = { id: result.id, rows: [] };
+            byTest.set(result.id, group);
+            groups.push(group);
+        }
+        byTest.get(result.id).rows.push({ result, index });
+    });
+    return groups;
+}
+
+function renderResultGroup(group) {
+    const rows = group.rows.map(entry => entry.result);
+    const passed = rows.filter(r => r.status === "passed").length;
+    const failed = rows.filter(r => r.status === "failed").length;
+    const status = failed ? "failed" : passed ? "passed" : "skipped";
+    const parent = findGeneratedTest(group.id);
+    const name = parent ? parent.name : rows[0].name.replace(/ \[row \d+\]$/, "");
+    return `
+            <details class="test-result-group ${status}" ${failed ? 'open' : ''}>
+              <summary>
+                <i class="fas ${resultStatusIcon(status)}"></i>
+                <span class="test-result-group-name">${escapeHtml(name)}</span>
+                <span class="result-badge">${passed}/${rows.length} passed</span>
+                ${failed ? `<span class="result-badge">${failed} failed</span>` : ''}
+              </summary>
+              ${group.rows.map(entry => renderResultCard(entry.result, entry.index)).join("")}
+            </details>`;
+}
+
+// Test x configuration grid, with a column group per environment in a multi-environment run so the same
+// test can be compared side by side; API and other browser-independent results span their environment's columns
+function renderResultMatrix(results) {
+    const environments = [];
+    const configs = [];
+    const rows = new Map();
+    results.forEach(result => {
+        const env = result.environment ? result.environment.id : "";
+        if (!environments.some(e => e.id === env)) environments.push({ id: env, name: result.environment ? result.environment.name : "" });
+        const label = result.config ? configLabel(result.config) : null;
+        if (label && !configs.includes(label)) configs.push(label);
+        const key = resultTestKey(result);
+        if (!rows.has(key)) rows.set(key, { id: result.id, name: result.name, cells: {}, shared: {} });
+        const row = rows.get(key);
+        if (label) row.cells[`${env}|${label}`] = result;
+        else row.shared[env] = result;
+    });
+    const span = Math.max(configs.length, 1);
+    const cell = (result, colspan = 1, note = '') => result
+        ? `<td class="matrix-cell ${result.status}" colspan="${colspan}" title="${escapeHtml(result.message || '')}"><i class="fas ${resultStatusIcon(result.status)}"></i> ${result.status.toUpperCase()}${note}</td>`
+        : `<td class="matrix-cell pending" colspan="${colspan}">-</td>`;
+    const environmentCells = (row, env) => {
+        const hasConfigCells = configs.some(label => row.cells[`${env.id}|${label}`]);
+        if (!hasConfigCells) return cell(row.shared[env.id], span, configs.length && row.shared[env.id] ? ' (browser-independent)' : '');
+        return configs.map(label => cell(row.cells[`${env.id}|${label}`])).join('');
+    };
+    const hasEnvironments = environments.some(e => e.id);
+    return `
+        <table>
+            <thead>
+                ${hasEnvironments ? `<tr><th ${configs.length ? 'rowspan="2"' : ''}>Test</th>${environments.map(e => `<th colspan="${span}">${escapeHtml(e.name)}</th>`).join('')}</tr>` : ''}
+                ${configs.length ? `<tr>${hasEnvironments ? '' : '<th>Test</th>'}${environments.map(() => configs.map(label => `<th>${escapeHtml(label)}</th>`).join('')).join('')}</tr>` : ''}
+            </thead>
+            <tbody>
+                ${[...rows.values()].map(row => `
+                    <tr>
+                        <td>${escapeHtml(row.id)}: ${escapeHtml(row.name)}</td>
+                        ${environments.map(env => environmentCells(row, env)).join('')}
+                    </tr>`).join('')}
+            </tbody>
+        </table>`;
+}
+
+// Screenshot, URL and DOM excerpt captured by _capture_failure_artifacts for failed UI tests
+function renderFailureArtifacts(artifacts) {
+    if (!artifacts) return '';
+    return `
+        <details class="failure-artifacts">
+            <summary><i class="fas fa-paperclip"></i> Failure artifacts</summary>
+            ${artifacts.url ? `<p><strong>URL:</strong> <a href="${escapeHtml(artifacts.url)}" target="_blank" rel="noopener">${escapeHtml(artifacts.url)}</a></p>` : ''}
+            ${artifacts.title ? `<p><strong>Page title:</strong> ${escapeHtml(artifacts.title)}</p>` : ''}
+            ${artifacts.screenshot ? `<img class="failure-screenshot" src="data:image/png;base64,${artifacts.screenshot}" alt="Screenshot at failure" title="Click to enlarge" onclick="openScreenshotLightbox(this.src)">` : ''}
+            ${artifacts.dom_excerpt ? `<pre class="failure-dom">${escapeHtml(artifacts.dom_excerpt)}</pre>` : ''}
+        </details>`;
+}
+
+function openScreenshotLightbox(src) {
+    document.getElementById("screenshot-lightbox-image").src = src;
+    document.getElementById("screenshot-lightbox").classList.add("show");
+}
+
+function closeScreenshotLightbox() {
+    document.getElementById("screenshot-lightbox").classList.remove("show");
+    document.getElementById("screenshot-lightbox-image").src = "";
+}
+
+function resultStatusIcon(status) {
+    const icons = { passed: "fa-check-circle", failed: "fa-times-circle", skipped: "fa-minus-circle" };
+    return icons[status] || "fa-question-circle";
 }
 
 async function downloadTests() {
@@ -529,7 +2271,7 @@ async function downloadTests() {
   }
   showLoading("Generating DOCX file...");
   try {
-    const response = await fetch("/api/download-tests", {
+    const response = await apiFetch("/api/download-tests", {
       method: "POST",
       headers: { "Content-Type": "application/json" },
       body: JSON.stringify({ test_cases: generatedTests }),
@@ -537,15 +2279,7 @@ async function downloadTests() {
     if (!response.ok) {
       throw new Error("Failed to download file.");
     }
-    const blob = await response.blob();
-    const url = window.URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = "generated_test_cases.docx";
-    document.body.appendChild(a);
-    a.click();
-    window.URL.revokeObjectURL(url);
-    a.remove();
+    downloadBlob(await response.blob(), "generated_test_cases.docx");
     showToast("DOCX file downloaded successfully!", "success");
   } catch (error) {
     console.error("Error downloading test cases:", error);
@@ -555,6 +2289,48 @@ async function downloadTests() {
   }
 }
 
+function toggleDropdownMenu(event, menuId) {
+  event.stopPropagation();
+  const menu = document.getElementById(menuId);
+  document.querySelectorAll(".export-menu.open").forEach(m => { if (m !== menu) m.classList.remove("open"); });
+  menu.classList.toggle("open");
+}
+
+document.addEventListener("click", () => {
+  document.querySelectorAll(".export-menu.open").forEach(menu => menu.classList.remove("open"));
+});
+
+async function exportTests(format) {
+  if (generatedTests.length === 0) {
+    showToast("No generated test cases to export.", "warning");
+    return;
+  }
+  const labels = { playwright: "Playwright", selenium: "Selenium WebDriver", all: "Playwright + Selenium" };
+  showLoading(`Exporting ${labels[format]} specs...`);
+  try {
+    const response = await apiFetch("/api/export-tests", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        test_cases: generatedTests,
+        format,
+        base_url: sourceWebsiteUrl || document.getElementById("target-website-url").value.trim(),
+      }),
+    });
+    if (!response.ok) {
+      const result = await response.json().catch(() => ({}));
+      throw new Error(result.message || "Failed to export test cases.");
+    }
+    downloadBlob(await response.blob(), `bugzyai-${format}-tests.zip`);
+    showToast(`${labels[format]} specs exported successfully!`, "success");
+  } catch (error) {
+    console.error("Error exporting test cases:", error);
+    showToast(error.message, "error");
+  } finally {
+    hideLoading();
+  }
+}
+
 async function downloadTestResults() {
   if (testResults.length === 0) {
     showToast("No test results to download.", "warning");
@@ -562,7 +2338,7 @@ async function downloadTestResults() {
   }
   showLoading("Generating results DOCX...");
   try {
-    const response = await fetch("/api/download-results", {
+    const response = await apiFetch("/api/download-results", {
       method: "POST",
       headers: { "Content-Type": "application/json" },
       body: JSON.stringify({ test_results: testResults }),
@@ -570,15 +2346,7 @@ async function downloadTestResults() {
     if (!response.ok) {
       throw new Error("Failed to download results file.");
     }
-    const blob = await response.blob();
-    const url = window.URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = "test_execution_results.docx";
-    document.body.appendChild(a);
-    a.click();
-    window.URL.revokeObjectURL(url);
-    a.remove();
+    downloadBlob(await response.blob(), "test_execution_results.docx");
     showToast("Results file downloaded successfully!", "success");
   } catch (error) {
     console.error("Error downloading test results:", error);
@@ -588,8 +2356,48 @@ async function downloadTestResults() {
   }
 }
 
+// Report metadata shown by updateExecutionSummary
+function getReportMeta() {
+  return {
+    targetUrl: document.getElementById("final-target-url").textContent,
+    mode: document.getElementById("execution-mode").textContent,
+    generatedAt: new Date().toISOString(),
+  };
+}
+
+// JUnit, JSON and HTML are built in the browser; DOCX still goes through /api/download-results
+function downloadResultsReport(format) {
+  if (format === "docx") {
+    downloadTestResults();
+    return;
+  }
+  if (testResults.length === 0) {
+    showToast("No test results to download.", "warning");
+    return;
+  }
+  const meta = getReportMeta();
+  const reports = {
+    junit: () => [ResultReports.buildJunitXml(testResults, meta), "application/xml", "test_execution_results.xml"],
+    json: () => [ResultReports.buildJsonReport(testResults, meta), "application/json", "test_execution_results.json"],
+    html: () => [ResultReports.buildHtmlReport(testResults, meta), "text/html", "test_execution_results.html"],
+  };
+  const [content, type, fileName] = reports[format]();
+  downloadBlob(new Blob([content], { type }), fileName);
+  showToast(`${fileName} downloaded successfully!`, "success");
+}
 
 // Utility Functions
+function downloadBlob(blob, fileName) {
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  window.URL.revokeObjectURL(url);
+  a.remove();
+}
+
 function isValidUrl(string) {
   try { new URL(string); return true; } catch (_) { return false; }
 }
@@ -610,7 +2418,7 @@ function showToast(message, type = "info") {
   const titleMap = { success: "Success", error: "Error", warning: "Warning", info: "Info" };
   toast.innerHTML = `
         <div class="toast-header"><i class="${iconMap[type]}"></i> ${titleMap[type]}</div>
-        <div class="toast-body">${message}</div>`;
+        <div class="toast-body">${escapeHtml(message)}</div>`;
   toastContainer.appendChild(toast);
   setTimeout(() => toast.remove(), 5000);
   toast.addEventListener("click", () => toast.remove());
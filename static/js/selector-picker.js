@@ -0,0 +1,239 @@
+// BugzyAI Selector Picker
+// Loads a snapshot of the target page (/api/page-snapshot) into an iframe, lets the user click an element
+// and offers CSS/XPath selectors for it, ranked by how uniquely they match. The iframe is sandboxed without
+// allow-scripts, so nothing in the snapshot can run even if it slips past the server's sanitizer; it keeps
+// allow-same-origin only so the picker can read and highlight the snapshot's DOM.
+
+const SelectorPicker = (function () {
+    const STABLE_ATTRIBUTES = ["data-testid", "data-test", "data-cy", "data-qa", "name", "aria-label", "placeholder", "title"];
+    const TEXT_TAGS = ["a", "button", "label", "h1", "h2", "h3", "h4", "summary", "option"];
+
+    let currentSelector = "";
+    let onPick = null;
+    let frameDoc = null;
+
+    // Mirrors _split_selectors in test_executor.py: XPath stays whole, CSS splits on commas
+    function splitSelectors(selector) {
+        const s = (selector || "").trim();
+        if (!s) return [];
+        if (isXPath(s)) return [s];
+        return s.split(",").map(part => part.trim()).filter(Boolean);
+    }
+
+    function isXPath(selector) {
+        return selector.startsWith("//") || selector.startsWith(".//") || selector.toLowerCase().startsWith("xpath=");
+    }
+
+    // Mirrors _loc_strategy in test_executor.py
+    function countMatches(doc, selector) {
+        const sel = selector.trim();
+        const lower = sel.toLowerCase();
+        try {
+            if (isXPath(sel)) {
+                const expression = lower.startsWith("xpath=") ? sel.slice(6) : sel;
+                return doc.evaluate(expression, doc, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null).snapshotLength;
+            }
+            if (lower.startsWith("id=")) return doc.querySelectorAll(`[id="${cssString(sel.slice(3))}"]`).length;
+            if (lower.startsWith("name=")) return doc.querySelectorAll(`[name="${cssString(sel.slice(5))}"]`).length;
+            if (lower.startsWith("css=") || lower.startsWith("css:")) return doc.querySelectorAll(sel.slice(4)).length;
+            return doc.querySelectorAll(sel).length;
+        } catch (error) {
+            return -1; // Invalid selector syntax
+        }
+    }
+
+    function matchElements(doc, selector) {
+        const sel = selector.trim();
+        try {
+            if (isXPath(sel)) {
+                const expression = sel.toLowerCase().startsWith("xpath=") ? sel.slice(6) : sel;
+                const snapshot = doc.evaluate(expression, doc, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+                return Array.from({ length: snapshot.snapshotLength }, (_, i) => snapshot.snapshotItem(i));
+            }
+            return Array.from(doc.querySelectorAll(sel.replace(/^css[=:]/i, "")));
+        } catch (error) {
+            return [];
+        }
+    }
+
+    function cssString(value) {
+        return value.replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+    }
+
+    function xpathString(value) {
+        if (!value.includes('"')) return `"${value}"`;
+        if (!value.includes("'")) return `'${value}'`;
+        return `concat(${value.split('"').map(part => `"${part}"`).join(`, '"', `)})`;
+    }
+
+    // Generated ids (React, Angular, CSS-in-JS) change between builds
+    function isStableId(id) {
+        return !!id && !/^\d/.test(id) && !/\d{3,}/.test(id) && !/^(ember|react|ng-|mui-|:r)/i.test(id);
+    }
+
+    function cssPath(el) {
+        const doc = el.ownerDocument;
+        const parts = [];
+        let node = el;
+        while (node && node.nodeType === 1 && node.tagName.toLowerCase() !== "html") {
+            if (isStableId(node.id)) {
+                parts.unshift(`#${CSS.escape(node.id)}`);
+                break;
+            }
+            const tag = node.tagName.toLowerCase();
+            const siblings = node.parentElement ? Array.from(node.parentElement.children).filter(c => c.tagName === node.tagName) : [];
+            parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(node) + 1})` : tag);
+            if (doc.querySelectorAll(parts.join(" > ")).length === 1) break;
+            node = node.parentElement;
+        }
+        return parts.join(" > ");
+    }
+
+    function buildCandidates(el) {
+        const doc = el.ownerDocument;
+        const tag = el.tagName.toLowerCase();
+        const candidates = [];
+        const add = (selector) => {
+            // _split_selectors would cut a CSS selector containing a comma into pieces
+            if (!selector || (!isXPath(selector) && selector.includes(","))) return;
+            if (candidates.some(c => c.selector === selector)) return;
+            candidates.push({ selector, count: countMatches(doc, selector) });
+        };
+
+        if (isStableId(el.id)) add(`#${CSS.escape(el.id)}`);
+        STABLE_ATTRIBUTES.forEach(attr => {
+            const value = el.getAttribute(attr);
+            if (value) add(`${tag}[${attr}="${cssString(value)}"]`);
+        });
+        const text = (el.textContent || "").trim().replace(/\s+/g, " ");
+        if (text && text.length <= 50 && TEXT_TAGS.includes(tag)) add(`//${tag}[normalize-space()=${xpathString(text)}]`);
+        add(cssPath(el));
+
+        // Unique matches first, keeping the preference order above within each group
+        return candidates
+            .filter(c => c.count > 0)
+            .sort((a, b) => (a.count === 1 ? 0 : 1) - (b.count === 1 ? 0 : 1))
+            .slice(0, 5);
+    }
+
+    function matchLabel(count) {
+        if (count < 0) return `<span class="selector-count warn">invalid</span>`;
+        if (count === 0) return `<span class="selector-count warn">no matches</span>`;
+        if (count > 1) return `<span class="selector-count warn">${count} matches</span>`;
+        return `<span class="selector-count ok">unique</span>`;
+    }
+
+    function setStatus(html) {
+        document.getElementById("selector-picker-status").innerHTML = html;
+    }
+
+    // Warns when the test's current selector (or any comma-separated alternative) is missing or ambiguous
+    function checkCurrentSelector() {
+        const alternatives = splitSelectors(currentSelector);
+        if (alternatives.length === 0) {
+            setStatus(`<i class="fas fa-mouse-pointer"></i> Click an element in the page to generate a selector.`);
+            return;
+        }
+        frameDoc.querySelectorAll(".bugzy-picker-match").forEach(el => el.classList.remove("bugzy-picker-match"));
+        alternatives.forEach(sel => matchElements(frameDoc, sel).forEach(el => el.classList && el.classList.add("bugzy-picker-match")));
+        setStatus(`
+            <strong>Current selector:</strong>
+            ${alternatives.map(sel => `<code>${escapeHtml(sel)}</code> ${matchLabel(countMatches(frameDoc, sel))}`).join(" ")}
+            <br><small>Click an element in the page to replace it.</small>`);
+    }
+
+    function renderCandidates(el) {
+        const container = document.getElementById("selector-picker-candidates");
+        const candidates = buildCandidates(el);
+        const canAppend = currentSelector && !isXPath(currentSelector.trim());
+        if (candidates.length === 0) {
+            container.innerHTML = `<p class="selector-picker-empty">No selector could be generated for this element.</p>`;
+            return;
+        }
+        container.innerHTML = candidates.map((c, i) => `
+            <div class="selector-candidate">
+                <code>${escapeHtml(c.selector)}</code>
+                ${matchLabel(c.count)}
+                <div class="selector-candidate-actions">
+                    <button class="btn btn-primary" onclick="SelectorPicker.choose(${i}, false)">Use</button>
+                    ${canAppend && !isXPath(c.selector) ? `<button class="btn btn-secondary" onclick="SelectorPicker.choose(${i}, true)">Add as fallback</button>` : ""}
+                </div>
+            </div>`).join("");
+        container.dataset.candidates = JSON.stringify(candidates.map(c => c.selector));
+    }
+
+    function attachToFrame(doc) {
+        frameDoc = doc;
+        const style = doc.createElement("style");
+        style.textContent = `
+            .bugzy-picker-hover { outline: 2px solid #6a54ff !important; cursor: crosshair !important; }
+            .bugzy-picker-match { outline: 2px dashed #f59e0b !important; }
+            .bugzy-picker-selected { outline: 3px solid #10b981 !important; }`;
+        doc.head.appendChild(style);
+        doc.addEventListener("mouseover", e => e.target.classList && e.target.classList.add("bugzy-picker-hover"));
+        doc.addEventListener("mouseout", e => e.target.classList && e.target.classList.remove("bugzy-picker-hover"));
+        doc.addEventListener("submit", e => e.preventDefault(), true);
+        doc.addEventListener("click", e => {
+            e.preventDefault();
+            e.stopPropagation();
+            doc.querySelectorAll(".bugzy-picker-selected").forEach(el => el.classList.remove("bugzy-picker-selected"));
+            e.target.classList.remove("bugzy-picker-hover");
+            e.target.classList.add("bugzy-picker-selected");
+            renderCandidates(e.target);
+        }, true);
+        checkCurrentSelector();
+    }
+
+    async function load() {
+        const url = document.getElementById("selector-picker-url").value.trim();
+        if (!/^https?:\/\//i.test(url)) {
+            setStatus(`<span class="selector-count warn">Enter a valid http(s) URL to load.</span>`);
+            return;
+        }
+        const frame = document.getElementById("selector-picker-frame");
+        document.getElementById("selector-picker-candidates").innerHTML = "";
+        setStatus(`<i class="fas fa-spinner fa-spin"></i> Loading a snapshot of ${escapeHtml(url)}...`);
+        try {
+            const response = await apiFetch("/api/page-snapshot", {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ url }),
+            });
+            const result = await response.json();
+            if (result.status !== "success") throw new Error(result.message || "Failed to load the page.");
+            frame.onload = () => attachToFrame(frame.contentDocument);
+            frame.srcdoc = result.html;
+        } catch (error) {
+            console.error("Error loading page snapshot:", error);
+            setStatus(`<span class="selector-count warn">${escapeHtml(error.message)}</span>`);
+        }
+    }
+
+    // options: { url, selector, onPick(selector, append) }
+    function open(options) {
+        currentSelector = options.selector || "";
+        onPick = options.onPick;
+        frameDoc = null;
+        document.getElementById("selector-picker-url").value = options.url || "";
+        document.getElementById("selector-picker-candidates").innerHTML = "";
+        document.getElementById("selector-picker-frame").srcdoc = "";
+        document.getElementById("selector-picker-modal").classList.add("show");
+        if (options.url) load();
+        else setStatus("Enter the URL of the page this test runs against, then click Load.");
+    }
+
+    function close() {
+        document.getElementById("selector-picker-modal").classList.remove("show");
+        onPick = null;
+    }
+
+    function choose(index, append) {
+        const candidates = JSON.parse(document.getElementById("selector-picker-candidates").dataset.candidates || "[]");
+        const selector = candidates[index];
+        if (!selector || !onPick) return;
+        onPick(selector, append);
+        close();
+    }
+
+    return { open, close, load, choose, splitSelectors, countMatches };
+})();
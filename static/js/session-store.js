@@ -0,0 +1,76 @@
+// BugzyAI Pipeline Session Store
+// Persists pipeline state in IndexedDB, one record per signed-in user, so a reload can resume
+
+const PipelineSessionStore = (function () {
+    const DB_NAME = "bugzyai";
+    const DB_VERSION = 1;
+    const STORE_NAME = "pipelineSessions";
+    let dbPromise = null;
+
+    function openDatabase() {
+        if (dbPromise) return dbPromise;
+        dbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error("IndexedDB is not available in this browser"));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    db.createObjectStore(STORE_NAME, { keyPath: "uid" });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Allow a retry on the next call if opening failed
+        dbPromise.catch(() => { dbPromise = null; });
+        return dbPromise;
+    }
+
+    async function runTransaction(mode, operation) {
+        const db = await openDatabase();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE_NAME, mode);
+            const request = operation(tx.objectStore(STORE_NAME));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    // Sessions saved while signed out share one record
+    function getCurrentUid() {
+        return getCurrentUserId() || "anonymous";
+    }
+
+    async function load(uid = getCurrentUid()) {
+        try {
+            return (await runTransaction("readonly", (store) => store.get(uid))) || null;
+        } catch (error) {
+            console.warn("Could not load pipeline session:", error);
+            return null;
+        }
+    }
+
+    async function save(state, uid = getCurrentUid()) {
+        try {
+            await runTransaction("readwrite", (store) => store.put({ ...state, uid, savedAt: new Date().toISOString() }));
+        } catch (error) {
+            console.warn("Could not save pipeline session:", error);
+        }
+    }
+
+    async function clear(uid = getCurrentUid()) {
+        try {
+            await runTransaction("readwrite", (store) => store.delete(uid));
+        } catch (error) {
+            console.warn("Could not clear pipeline session:", error);
+        }
+    }
+
+    return { getCurrentUid, load, save, clear };
+})();
+
+window.PipelineSessionStore = PipelineSessionStore;
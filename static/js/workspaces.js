@@ -0,0 +1,62 @@
+// BugzyAI workspace switcher
+// Shared by the pipeline header and the profile page: lists the user's workspaces and switches the one
+// whose suites, runs, environments and credentials every API call works on (see getActiveWorkspaceId)
+
+let workspaceList = []; // [{ id, name, role, member_count }] from the last loadWorkspaces()
+let workspacesLoaded = null; // the page's first loadWorkspaces(), resolving to its result (null if it failed)
+
+// The user's workspaces and pending invitations. A remembered workspace the user no longer belongs to is
+// forgotten and the page reloaded, so its data calls stop failing.
+async function loadWorkspaces() {
+    const response = await apiFetch("/api/workspaces");
+    const result = await response.json();
+    if (result.status !== "success") throw new Error(result.message);
+    workspaceList = result.workspaces;
+    const activeId = getActiveWorkspaceId();
+    if (activeId && !workspaceList.some(workspace => workspace.id === activeId)) {
+        setActiveWorkspaceId(null);
+        window.location.reload();
+    }
+    return result;
+}
+
+function getActiveWorkspace() {
+    const activeId = getActiveWorkspaceId();
+    return workspaceList.find(workspace => workspace.id === activeId) || null;
+}
+
+function renderWorkspaceSwitcher() {
+    const container = document.getElementById("workspaceSwitcher");
+    if (!container) return;
+    const activeId = getActiveWorkspaceId() || "";
+    container.innerHTML = `
+        <i class="fas fa-users" title="Workspace"></i>
+        <select class="workspace-select" title="Workspace" onchange="switchWorkspace(this.value)">
+            <option value="" ${activeId ? "" : "selected"}>Personal</option>
+            ${workspaceList.map(workspace => `
+            <option value="${escapeHtml(workspace.id)}" ${workspace.id === activeId ? "selected" : ""}>${escapeHtml(workspace.name)} (${workspace.role})</option>`).join("")}
+            <option value="manage">Manage workspaces...</option>
+        </select>`;
+}
+
+// Reload so every list on the page comes from the chosen workspace; the pipeline session resumes after it
+function switchWorkspace(workspaceId) {
+    if (workspaceId === "manage") {
+        window.location.href = "/profile#workspacesSection";
+        return;
+    }
+    setActiveWorkspaceId(workspaceId || null);
+    window.location.reload();
+}
+
+async function initWorkspaceSwitcher() {
+    if (!document.getElementById("workspaceSwitcher")) return;
+    workspacesLoaded = loadWorkspaces().catch(error => {
+        console.warn("Could not load workspaces:", error);
+        return null;
+    });
+    await workspacesLoaded;
+    renderWorkspaceSwitcher();
+}
+
+document.addEventListener("DOMContentLoaded", initWorkspaceSwitcher);
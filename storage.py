@@ -0,0 +1,54 @@
+import os
+import json
+import tempfile
+import threading
+from typing import Any, Callable
+
+# Serverless deployments (vercel.json) have a read-only code directory, and no process outlives its request
+SERVERLESS = bool(os.getenv("VERCEL"))
+
+# Directory holding one JSON file per collection (run history, etc.). On serverless only the temp directory is
+# writable, and it is wiped with each instance: point BUGZY_DATA_DIR at persistent storage to keep the data.
+DATA_DIR = os.getenv("BUGZY_DATA_DIR") or (
+    os.path.join(tempfile.gettempdir(), "bugzy-data") if SERVERLESS
+    else os.path.join(os.path.dirname(os.path.abspath(__file__)), "data")
+)
+
+_lock = threading.RLock()
+
+
+def _collection_path(name: str) -> str:
+    return os.path.join(DATA_DIR, f"{name}.json")
+
+
+def load_collection(name: str) -> dict:
+    """Load a collection as a dict. Missing or unreadable files yield an empty dict."""
+    with _lock:
+        try:
+            with open(_collection_path(name), "r", encoding="utf-8") as f:
+                data = json.load(f)
+            return data if isinstance(data, dict) else {}
+        except (FileNotFoundError, json.JSONDecodeError):
+            return {}
+
+
+def save_collection(name: str, data: dict) -> None:
+    """Atomically replace a collection on disk."""
+    with _lock:
+        os.makedirs(DATA_DIR, exist_ok=True)
+        path = _collection_path(name)
+        tmp_path = f"{path}.tmp"
+        with open(tmp_path, "w", encoding="utf-8") as f:
+            json.dump(data, f)
+        os.replace(tmp_path, path)
+
+
+def update_collection(name: str, mutate: Callable[[dict], Any]) -> Any:
+    """Load a collection, let mutate() change it in place, save it and return mutate's result.
+    Runs under the store lock so concurrent requests don't overwrite each other.
+    """
+    with _lock:
+        data = load_collection(name)
+        result = mutate(data)
+        save_collection(name, data)
+        return result
@@ -95,7 +95,8 @@ SCHEMA = {
             "type": {"type": "string"},
             "selector": {"type": "string"},
             "endpoint": {"type": "string"},
-            "method": {"type": "string"}
+            "method": {"type": "string"},
+            "steps": {"type": "array", "items": {"type": "string"}}
         },
         "additionalProperties": True
     }
@@ -1,38 +1,76 @@
 import os
 import json
-from typing import List, Dict, Tuple, Optional
+import time
+import threading
+from typing import List, Dict, Tuple, Optional, Iterator
 import re
 import requests
 
 from selenium import webdriver
 from selenium.webdriver.chrome.options import Options
+from selenium.webdriver.firefox.options import Options as FirefoxOptions
 from selenium.webdriver.common.by import By
 from selenium.webdriver.support.ui import WebDriverWait
 from selenium.webdriver.support import expected_conditions as EC
 from selenium.common.exceptions import TimeoutException, WebDriverException
 
 
-def _create_driver() -> webdriver.Chrome:
-    """Create a Chrome WebDriver using Selenium Manager (no manual driver install)."""
+BROWSERS = ("chrome", "firefox")
+# Window sizes for the viewport presets offered in Step 3
+VIEWPORTS = {"desktop": (1366, 900), "tablet": (768, 1024), "phone": (390, 844)}
+
+
+def _create_driver(browser: str = "chrome", viewport: Optional[str] = None) -> webdriver.Remote:
+    """Create a Chrome or Firefox WebDriver using Selenium Manager (no manual driver install).
+    viewport names a VIEWPORTS preset; without one, SELENIUM_WINDOW_SIZE is used."""
     headless = os.getenv("SELENIUM_HEADLESS", "1") not in ("0", "false", "False")
-    window_size = os.getenv("SELENIUM_WINDOW_SIZE", "1366,900")
-
-    options = Options()
-    if headless:
-        options.add_argument("--headless=new")
-    options.add_argument("--disable-gpu")
-    options.add_argument("--no-sandbox")
-    options.add_argument("--disable-dev-shm-usage")
-    options.add_argument(f"--window-size={window_size}")
-    options.add_argument("--start-maximized")
-    options.add_argument("--disable-infobars")
-    options.add_argument("--disable-extensions")
-
-    driver = webdriver.Chrome(options=options)
+    if viewport:
+        width, height = VIEWPORTS[viewport]
+    else:
+        width, height = (int(n) for n in os.getenv("SELENIUM_WINDOW_SIZE", "1366,900").split(","))
+
+    if browser == "firefox":
+        ff_options = FirefoxOptions()
+        if headless:
+            ff_options.add_argument("-headless")
+        ff_options.add_argument(f"--width={width}")
+        ff_options.add_argument(f"--height={height}")
+        driver = webdriver.Firefox(options=ff_options)
+        driver.set_window_size(width, height)
+    else:
+        options = Options()
+        if headless:
+            options.add_argument("--headless=new")
+        options.add_argument("--disable-gpu")
+        options.add_argument("--no-sandbox")
+        options.add_argument("--disable-dev-shm-usage")
+        options.add_argument(f"--window-size={width},{height}")
+        if not viewport:
+            options.add_argument("--start-maximized")
+        elif viewport != "desktop":
+            # Emulate the device viewport (and touch) rather than just shrinking the window
+            options.add_experimental_option("mobileEmulation", {"deviceMetrics": {"width": width, "height": height, "pixelRatio": 2.0}})
+        options.add_argument("--disable-infobars")
+        options.add_argument("--disable-extensions")
+        driver = webdriver.Chrome(options=options)
+
     driver.set_page_load_timeout(int(os.getenv("SELENIUM_PAGELOAD_TIMEOUT", "30")))
     return driver
 
 
+def build_matrix(matrix: Optional[Dict]) -> Optional[List[Dict]]:
+    """Expand {"browsers": [...], "viewports": [...]} into run configurations ({browser, viewport}).
+    Returns None without a matrix, in which case UI tests run once with the default driver."""
+    if not matrix:
+        return None
+    browsers = list(dict.fromkeys(str(b).lower() for b in (matrix.get("browsers") or ["chrome"])))
+    viewports = list(dict.fromkeys(str(v).lower() for v in (matrix.get("viewports") or ["desktop"])))
+    unknown = [b for b in browsers if b not in BROWSERS] + [v for v in viewports if v not in VIEWPORTS]
+    if unknown:
+        raise ValueError(f"Unknown browser or viewport: {', '.join(unknown)}")
+    return [{"browser": b, "viewport": v} for b in browsers for v in viewports]
+
+
 def _loc_strategy(selector: str) -> Tuple[By, str]:
     """Infer a locating strategy from a provided selector string.
     Supports: xpath (//), id=, name=, css=, css:, otherwise defaults to CSS.
@@ -357,29 +395,82 @@ def _responsive_check(driver: webdriver.Chrome, description: str) -> str:
     return "Responsive check passed (key elements visible)."
 
 
-def run_ui_tests(website_url: str, tests: List[Dict]) -> List[Dict]:
-    """Run a simple UI test suite using Selenium.
+def _cancelled_result(test: Dict) -> Dict:
+    return {
+        "id": test.get("id"),
+        "name": test.get("name", "Unnamed Test"),
+        "status": "skipped",
+        "message": "Run cancelled before this test started."
+    }
+
+
+_DOM_EXCERPT_CHARS = int(os.getenv("FAILURE_DOM_EXCERPT_CHARS", "4000"))
+
+# Body markup without scripts, styles and SVG noise, whitespace collapsed
+_DOM_EXCERPT_JS = """
+const body = document.body ? document.body.cloneNode(true) : document.documentElement.cloneNode(true);
+body.querySelectorAll('script, style, noscript, svg, link').forEach(el => el.remove());
+return body.outerHTML.replace(/\\s+/g, ' ');
+"""
+
+
+def _capture_failure_artifacts(driver: webdriver.Chrome) -> Dict:
+    """Screenshot (base64 PNG), current URL, title and a trimmed DOM excerpt of the page a UI test failed on.
+    Each capture is best-effort so a broken page never hides the original failure."""
+    artifacts: Dict = {}
+    try:
+        artifacts["url"] = driver.current_url
+        artifacts["title"] = driver.title
+    except Exception:
+        pass
+    try:
+        artifacts["screenshot"] = driver.get_screenshot_as_base64()
+    except Exception:
+        pass
+    try:
+        dom = driver.execute_script(_DOM_EXCERPT_JS) or ""
+        artifacts["dom_excerpt"] = dom[:_DOM_EXCERPT_CHARS] + (" ..." if len(dom) > _DOM_EXCERPT_CHARS else "")
+    except Exception:
+        pass
+    return artifacts
+
+
+def iter_ui_tests(website_url: str, tests: List[Dict], cancel_event: Optional[threading.Event] = None,
+                  config: Optional[Dict] = None) -> Iterator[Dict]:
+    """Run a simple UI test suite using Selenium, yielding each result as soon as it finishes.
 
     Each test should include: id, name, description, selector.
     Behaviour:
       - Loads website_url once at the start.
       - For each test: waits for element located by selector; if description suggests clicking, performs a click.
-      - Returns a list of result dicts with status passed/failed and a message.
+      - Yields result dicts with status passed/failed and a message.
+      - Once cancel_event is set, the remaining tests are yielded as skipped.
+    config ({browser, viewport}, see build_matrix) selects the browser and window size.
     """
-    results: List[Dict] = []
+    if cancel_event is not None and cancel_event.is_set():
+        # Don't start a browser just to skip every test
+        for t in tests:
+            yield _cancelled_result(t)
+        return
     try:
-        driver = _create_driver()
+        driver = _create_driver(**(config or {}))
     except WebDriverException as e:
-        return [{"id": t.get("id"), "name": t.get("name", "Unnamed Test"), "status": "failed", "message": f"WebDriver init failed: {str(e)}"} for t in tests]
+        for t in tests:
+            yield {"id": t.get("id"), "name": t.get("name", "Unnamed Test"), "status": "failed", "message": f"WebDriver init failed: {str(e)}"}
+        return
 
     try:
         driver.get(website_url)
         for test in tests:
+            if cancel_event is not None and cancel_event.is_set():
+                yield _cancelled_result(test)
+                continue
             test_id = test.get("id")
             name = test.get("name", f"Test {test_id}")
             selector = test.get("selector") or test.get("locator")
             description = test.get("description", "")
             desc_lower = (description or "").lower()
+            started = time.monotonic()
 
             try:
                 if "forgot" in desc_lower and "password" in desc_lower:
@@ -415,27 +506,30 @@ def run_ui_tests(website_url: str, tests: List[Dict]) -> List[Dict]:
                         raise TimeoutException("None of the provided selectors were found")
                     action_msg = f"Verified presence of {found} selector(s)." if selector else "Page loaded."
 
-                results.append({
+                result = {
                     "id": test_id,
                     "name": name,
                     "status": "passed",
                     "message": action_msg
-                })
+                }
             except TimeoutException:
-                results.append({
+                result = {
                     "id": test_id,
                     "name": name,
                     "status": "failed",
                     "message": "Timeout waiting for expected UI condition."
-                })
+                }
             except Exception as e:
-                results.append({
+                result = {
                     "id": test_id,
                     "name": name,
                     "status": "failed",
                     "message": f"Error executing test: {str(e)}"
-                })
-        return results
+                }
+            if result["status"] == "failed":
+                result["artifacts"] = _capture_failure_artifacts(driver)
+            result["duration"] = round(time.monotonic() - started, 3)
+            yield result
     finally:
         try:
             driver.quit()
@@ -443,59 +537,229 @@ def run_ui_tests(website_url: str, tests: List[Dict]) -> List[Dict]:
             pass
 
 
-def run_api_tests(base_url: str, tests: List[Dict]) -> List[Dict]:
-    """Execute simple API tests using requests. Each test can include:
+def run_ui_tests(website_url: str, tests: List[Dict]) -> List[Dict]:
+    """Run a simple UI test suite using Selenium and return all results at once."""
+    return list(iter_ui_tests(website_url, tests))
+
+
+def iter_api_tests(base_url: str, tests: List[Dict], cancel_event: Optional[threading.Event] = None) -> Iterator[Dict]:
+    """Execute simple API tests using requests, yielding each result as it completes. Each test can include:
     - method: GET/POST/PUT/DELETE (default GET)
     - endpoint: path or full URL
     - expected_status: integer HTTP status (default 200)
     - headers: dict
+    - cookies: dict
     - body/json: request payload
     """
-    results: List[Dict] = []
     session = requests.Session()
     timeout = int(os.getenv("API_TEST_TIMEOUT", "20"))
     for t in tests:
+        if cancel_event is not None and cancel_event.is_set():
+            yield _cancelled_result(t)
+            continue
         name = t.get("name", "API Test")
         method = str(t.get("method", "GET")).upper()
         endpoint = t.get("endpoint") or t.get("url") or ""
         url = endpoint if endpoint.startswith("http") else base_url.rstrip("/") + "/" + endpoint.lstrip("/")
         expected = int(t.get("expected_status", 200))
         headers = t.get("headers") or {}
+        cookies = t.get("cookies") or {}
         data = t.get("body")
         json_body = t.get("json")
+        started = time.monotonic()
         try:
-            resp = session.request(method, url, headers=headers, data=data, json=json_body, timeout=timeout)
+            resp = session.request(method, url, headers=headers, cookies=cookies, data=data, json=json_body,
+                                   timeout=timeout)
             status = "passed" if resp.status_code == expected else "failed"
             msg = f"HTTP {method} {url} -> {resp.status_code} (expected {expected})"
-            results.append({"id": t.get("id"), "name": name, "status": status, "message": msg})
+            result = {"id": t.get("id"), "name": name, "status": status, "message": msg}
         except Exception as e:
-            results.append({"id": t.get("id"), "name": name, "status": "failed", "message": str(e)})
-    return results
+            result = {"id": t.get("id"), "name": name, "status": "failed", "message": str(e)}
+        result["duration"] = round(time.monotonic() - started, 3)
+        yield result
 
 
-def run_tests(website_url: str, tests: List[Dict]) -> List[Dict]:
-    """Entry point to run different kinds of tests based on 'type'.
-    Routes UI/Functional to Selenium. Routes API tests to requests. Others skipped.
-    """
+def run_api_tests(base_url: str, tests: List[Dict]) -> List[Dict]:
+    """Execute simple API tests and return all results at once."""
+    return list(iter_api_tests(base_url, tests))
+
+
+def _split_by_runner(tests: List[Dict]) -> Tuple[List[Dict], List[Dict], List[Dict]]:
+    """Split tests into (ui, api, other) the way iter_tests routes them."""
     ui_like = ["ui", "functional", "smoke", "regression"]
     api_like = ["api", "http"]
     ui_tests = [t for t in tests if str(t.get("type", "")).strip().lower() in ui_like or not t.get("type")]
     api_tests = [t for t in tests if str(t.get("type", "")).strip().lower() in api_like]
     other_tests = [t for t in tests if t not in ui_tests and t not in api_tests]
+    return ui_tests, api_tests, other_tests
+
+
+def count_executions(tests: List[Dict], configs: Optional[List[Dict]] = None) -> int:
+    """Number of results iter_tests will yield: UI tests run once per configuration, the rest once."""
+    ui_tests, api_tests, other_tests = _split_by_runner(tests)
+    return len(ui_tests) * len(configs or [None]) + len(api_tests) + len(other_tests)
+
+
+def iter_tests(website_url: str, tests: List[Dict], cancel_event: Optional[threading.Event] = None,
+               configs: Optional[List[Dict]] = None) -> Iterator[Dict]:
+    """Streaming entry point: routes tests like run_tests but yields each result as it finishes.
+    Setting cancel_event stops the run after the current test; remaining tests are yielded as skipped.
+    With configs (see build_matrix), UI tests run once per configuration and each result carries its "config";
+    API and other tests don't depend on the browser and run once.
+    Results of data-driven rows (see data_driven.expand_tests) carry the row's "row_index" and "row".
+    """
+    ui_tests, api_tests, other_tests = _split_by_runner(tests)
 
-    results = []
     if ui_tests:
-        results.extend(run_ui_tests(website_url, ui_tests))
+        for config in configs or [None]:
+            # Each runner yields exactly one result per test, in order
+            for test, result in zip(ui_tests, iter_ui_tests(website_url, ui_tests, cancel_event, config)):
+                if config:
+                    result["config"] = dict(config)
+                yield _with_row(result, test)
     if api_tests:
-        results.extend(run_api_tests(website_url, api_tests))
+        for test, result in zip(api_tests, iter_api_tests(website_url, api_tests, cancel_event)):
+            yield _with_row(result, test)
 
     # Mark non-implemented test types as skipped
     for t in other_tests:
-        results.append({
+        yield _with_row({
             "id": t.get("id"),
             "name": t.get("name", "Unnamed Test"),
             "status": "skipped",
             "message": f"Runner for type '{t.get('type')}' not implemented yet."
-        })
+        }, t)
+
 
-    return results
+def _with_row(result: Dict, test: Dict) -> Dict:
+    if "row_index" in test:
+        result["row_index"] = test["row_index"]
+        result["row"] = test.get("row", {})
+    return result
+
+
+def run_tests(website_url: str, tests: List[Dict], configs: Optional[List[Dict]] = None) -> List[Dict]:
+    """Entry point to run different kinds of tests based on 'type'.
+    Routes UI/Functional to Selenium. Routes API tests to requests. Others skipped.
+    """
+    return list(iter_tests(website_url, tests, configs=configs))
+
+
+# Attributes worth searching when a selector no longer matches, and that make stable suggestions
+_SUGGESTION_ATTRS = ["id", "name", "data-testid", "data-test", "data-cy", "aria-label", "placeholder", "class"]
+_GENERIC_TOKENS = {"btn", "button", "input", "form", "div", "span", "container", "wrapper", "field", "text", "nth", "type", "child", "of", "name"}
+
+_FIND_BY_TOKENS_JS = """
+const tokens = arguments[0], attrs = arguments[1];
+return Array.from(document.querySelectorAll('body *')).filter(el => attrs.some(a => {
+    const v = (el.getAttribute(a) || '').toLowerCase();
+    return v && tokens.some(t => v.includes(t));
+})).slice(0, 15);
+"""
+
+_CANDIDATE_SELECTORS_JS = """
+const el = arguments[0], tag = el.tagName.toLowerCase(), out = [];
+if (el.id) out.push('#' + CSS.escape(el.id));
+for (const a of ['data-testid', 'data-test', 'data-cy', 'name', 'aria-label', 'placeholder']) {
+    const v = el.getAttribute(a);
+    if (v && !v.includes(',')) out.push(tag + '[' + a + '="' + v.replace(/\\\\/g, '\\\\\\\\').replace(/"/g, '\\\\"') + '"]');
+}
+for (const c of Array.from(el.classList).slice(0, 3)) out.push(tag + '.' + CSS.escape(c));
+return out;
+"""
+
+
+def _selector_tokens(selector: str) -> List[str]:
+    """Identifier-like words from a selector (ids, classes, attribute values, XPath strings) to search for."""
+    raw = re.findall(r"[#.]([\w-]+)", selector) + re.findall(r"=\s*[\"']?([^\"'\]\)]+)", selector)
+    tokens = set()
+    for word in raw:
+        word = word.strip().lower()
+        if len(word) >= 3:
+            tokens.add(word)
+        tokens.update(p for p in re.split(r"[-_\s]+", word) if len(p) >= 3)
+    return sorted(t for t in tokens if t not in _GENERIC_TOKENS)
+
+
+def _unique_selectors_for(driver, element) -> List[str]:
+    unique = []
+    for candidate in driver.execute_script(_CANDIDATE_SELECTORS_JS, element) or []:
+        try:
+            if len(driver.find_elements(By.CSS_SELECTOR, candidate)) == 1:
+                unique.append(candidate)
+        except WebDriverException:
+            continue
+    return unique
+
+
+def _suggest_selectors(driver, alternatives: List[Dict], limit: int = 3) -> List[str]:
+    """Suggest unique selectors: for ambiguous alternatives, ones pinning down their first match;
+    for missing ones, ones for elements whose id/name/class/etc. share words with the selector."""
+    suggestions: List[str] = []
+    for alt in alternatives:
+        elements = []
+        if alt["count"] and alt["count"] > 1:
+            by, value = _loc_strategy(alt["selector"])
+            elements = driver.find_elements(by, value)[:1]
+        elif not alt["count"]:
+            tokens = _selector_tokens(alt["selector"])
+            if tokens:
+                elements = driver.execute_script(_FIND_BY_TOKENS_JS, tokens, _SUGGESTION_ATTRS) or []
+        for element in elements:
+            for candidate in _unique_selectors_for(driver, element):
+                if candidate not in suggestions:
+                    suggestions.append(candidate)
+            if len(suggestions) >= limit:
+                return suggestions[:limit]
+    return suggestions[:limit]
+
+
+def validate_selectors(website_url: str, tests: List[Dict]) -> List[Dict]:
+    """Load website_url once and report, per UI test, how many elements each selector alternative matches.
+
+    Each report entry has: id, name, status (ok | ambiguous | missing | skipped), message,
+    selectors ([{selector, count, error}]) and suggestions (unique selectors that could replace it).
+    Like _find_first, the report goes by the first alternative that matches anything, since that is the one a
+    run uses: the test is ok when it matches exactly one element, even if a later alternative would.
+    """
+    ui_like = ["ui", "functional", "smoke", "regression"]
+    driver = _create_driver()
+    report = []
+    try:
+        driver.get(website_url)
+        WebDriverWait(driver, 10).until(lambda d: d.execute_script("return document.readyState") == "complete")
+        for test in tests:
+            entry = {"id": test.get("id"), "name": test.get("name", "Unnamed Test"), "selectors": [], "suggestions": []}
+            report.append(entry)
+            if test.get("type") and str(test.get("type")).strip().lower() not in ui_like:
+                entry.update(status="skipped", message="Not a UI test.")
+                continue
+            selector = test.get("selector") or test.get("locator") or ""
+            for alt in _split_selectors(selector):
+                by, value = _loc_strategy(alt)
+                try:
+                    entry["selectors"].append({"selector": alt, "count": len(driver.find_elements(by, value)), "error": None})
+                except WebDriverException as e:
+                    entry["selectors"].append({"selector": alt, "count": None, "error": f"Invalid selector: {e.msg or e}"})
+
+            used = next((s for s in entry["selectors"] if s["count"]), None)
+            unique = next((s for s in entry["selectors"] if s["count"] == 1), None)
+            if not entry["selectors"]:
+                entry.update(status="missing", message="No selector set.")
+            elif not used:
+                entry.update(status="missing", message="No alternative matches any element on the page.")
+            elif used["count"] == 1:
+                entry.update(status="ok", message=f"Resolves to a single element via {used['selector']}.")
+            else:
+                message = f"{used['selector']} matches {used['count']} elements; the first one would be used."
+                if unique:
+                    message += f" Put {unique['selector']} first to use its single match instead."
+                entry.update(status="ambiguous", message=message)
+            if entry["status"] != "ok":
+                entry["suggestions"] = _suggest_selectors(driver, entry["selectors"])
+    finally:
+        try:
+            driver.quit()
+        except Exception:
+            pass
+    return report
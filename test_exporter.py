@@ -0,0 +1,299 @@
+import re
+import json
+import zipfile
+from io import BytesIO
+from typing import List, Dict, Tuple
+
+from test_executor import _split_selectors, _extract_text_to_type
+
+EXPORT_FORMATS = ("playwright", "selenium", "all")
+
+UI_TYPES = ("ui", "functional", "smoke", "regression", "")
+API_TYPES = ("api", "http")
+
+
+def _js(value) -> str:
+    """Serialize a Python value as a JavaScript literal (JSON is valid JS)."""
+    return json.dumps(value)
+
+
+def _slug(text: str) -> str:
+    slug = re.sub(r"[^a-z0-9]+", "-", (text or "").lower()).strip("-")
+    return slug[:50] or "test"
+
+
+def _file_stem(test: Dict, index: int) -> str:
+    test_id = str(test.get("id") or "").strip()
+    if test_id.isdigit():
+        return f"{int(test_id):03d}-{_slug(test.get('name'))}"
+    # Imported ids such as "TC-1" aren't numbers: number the file by position and keep the id in its name
+    id_part = f"-{_slug(test_id)}" if test_id else ""
+    return f"{index:03d}{id_part}-{_slug(test.get('name'))}"
+
+
+def _test_kind(test: Dict) -> str:
+    ty = str(test.get("type", "")).strip().lower()
+    if ty in UI_TYPES:
+        return "ui"
+    if ty in API_TYPES:
+        return "api"
+    return "other"
+
+
+def _selector_kind(selector: str) -> Tuple[str, str]:
+    """Mirror test_executor._loc_strategy without Selenium types: returns (kind, value)
+    where kind is one of xpath, id, name, css."""
+    sel = selector.strip()
+    low = sel.lower()
+    if sel.startswith("//") or sel.startswith(".//"):
+        return "xpath", sel
+    if low.startswith("xpath="):
+        return "xpath", sel.split("=", 1)[1]
+    if low.startswith("id="):
+        return "id", sel.split("=", 1)[1]
+    if low.startswith("name="):
+        return "name", sel.split("=", 1)[1]
+    if low.startswith("css=") or low.startswith("css:"):
+        return "css", sel[4:]
+    return "css", sel
+
+
+def _ui_action(test: Dict) -> Tuple[str, str]:
+    """Infer the action the executor would perform: ('fill', text), ('click', '') or ('presence', '')."""
+    description = test.get("description") or ""
+    desc = description.lower()
+    if any(k in desc for k in ["enter", "type", "input"]):
+        return "fill", _extract_text_to_type(description) or ""
+    if any(k in desc for k in ["click", "press", "tap"]):
+        return "click", ""
+    return "presence", ""
+
+
+def _comment_lines(test: Dict, indent: str) -> str:
+    lines = []
+    if test.get("description"):
+        lines.append(f"{indent}// {' '.join(str(test['description']).split())}")
+    for i, step in enumerate(test.get("steps") or [], start=1):
+        lines.append(f"{indent}// Step {i}: {' '.join(str(step).split())}")
+    return "\n".join(lines) + ("\n" if lines else "")
+
+
+def _api_request_parts(test: Dict) -> Tuple[str, str, int, Dict, object]:
+    method = str(test.get("method", "GET")).upper()
+    endpoint = test.get("endpoint") or test.get("url") or "/"
+    expected = int(test.get("expected_status", 200))
+    headers = test.get("headers") or {}
+    body = test.get("json") if test.get("json") is not None else test.get("body")
+    return method, endpoint, expected, headers, body
+
+
+def _api_url(endpoint: str, base_url_var: str) -> str:
+    """JS expression for the request URL. Like the executor, a relative endpoint is appended to the base URL,
+    keeping its path (new URL('/x', base) would resolve against the origin only)."""
+    if endpoint.startswith("http"):
+        return _js(endpoint)
+    return base_url_var + ".replace(/\\/+$/, '') + " + _js("/" + endpoint.lstrip("/"))
+
+
+# --- Playwright -----------------------------------------------------------
+
+def _playwright_locator(kind: str, value: str) -> str:
+    if kind == "xpath":
+        return f"page.locator({_js('xpath=' + value)})"
+    if kind == "id":
+        return f"page.locator({_js('[id=' + json.dumps(value) + ']')})"
+    if kind == "name":
+        return f"page.locator({_js('[name=' + json.dumps(value) + ']')})"
+    return f"page.locator({_js(value)})"
+
+
+def _playwright_spec(test: Dict) -> str:
+    name = test.get("name") or f"Test {test.get('id')}"
+    header = "// Generated by BugzyAI\nconst { test, expect } = require('@playwright/test');\n\n"
+    kind = _test_kind(test)
+
+    if kind == "api":
+        method, endpoint, expected, headers, body = _api_request_parts(test)
+        options = {"method": method}
+        if headers:
+            options["headers"] = headers
+        if body is not None:
+            options["data"] = body
+        return header + (
+            f"test({_js(name)}, async ({{ request, baseURL }}) => {{\n"
+            f"{_comment_lines(test, '  ')}"
+            f"  const response = await request.fetch({_api_url(endpoint, 'baseURL')}, {_js(options)});\n"
+            f"  expect(response.status()).toBe({expected});\n"
+            f"}});\n"
+        )
+
+    if kind == "other":
+        return header + (
+            f"// Runner for type {_js(test.get('type'))} is not implemented by BugzyAI yet.\n"
+            f"test.skip({_js(name)}, async () => {{}});\n"
+        )
+
+    selectors = [_selector_kind(s) for s in _split_selectors(test.get("selector") or test.get("locator") or "")]
+    # The full base URL: page.goto('/') would drop its path
+    body = f"{_comment_lines(test, '  ')}  await page.goto(baseURL);\n"
+    if selectors:
+        # Like the executor, any one of the comma-separated alternatives is enough
+        locator = _playwright_locator(*selectors[0])
+        for alt in selectors[1:]:
+            locator += f".or({_playwright_locator(*alt)})"
+        body += f"  const target = {locator}.first();\n  await expect(target).toBeAttached();\n"
+        action, text = _ui_action(test)
+        if action == "fill":
+            body += f"  await target.fill({_js(text)});\n"
+        elif action == "click":
+            body += "  await target.click();\n"
+    else:
+        body += "  await expect(page.locator('body')).toBeVisible();\n"
+    return header + f"test({_js(name)}, async ({{ page, baseURL }}) => {{\n{body}}});\n"
+
+
+def _playwright_files(tests: List[Dict], base_url: str) -> Dict[str, str]:
+    files = {
+        "package.json": json.dumps({
+            "name": "bugzyai-playwright-tests",
+            "private": True,
+            "scripts": {"test": "playwright test"},
+            "devDependencies": {"@playwright/test": "^1.40.0"}
+        }, indent=2) + "\n",
+        "playwright.config.js": (
+            "// Generated by BugzyAI. Set BASE_URL to run against another environment.\n"
+            "const { defineConfig } = require('@playwright/test');\n\n"
+            "module.exports = defineConfig({\n"
+            "  testDir: './tests',\n"
+            "  use: {\n"
+            f"    baseURL: process.env.BASE_URL || {_js(base_url)},\n"
+            "  },\n"
+            "});\n"
+        ),
+    }
+    for i, test in enumerate(tests, start=1):
+        files[f"tests/{_file_stem(test, i)}.spec.js"] = _playwright_spec(test)
+    return files
+
+
+# --- Selenium WebDriver JS ------------------------------------------------
+
+def _selenium_by(kind: str, value: str) -> str:
+    return {"xpath": "By.xpath", "id": "By.id", "name": "By.name"}.get(kind, "By.css") + f"({_js(value)})"
+
+
+def _selenium_spec(test: Dict) -> str:
+    name = test.get("name") or f"Test {test.get('id')}"
+    kind = _test_kind(test)
+    header = "// Generated by BugzyAI\nconst assert = require('assert');\n"
+
+    if kind == "api":
+        method, endpoint, expected, headers, body = _api_request_parts(test)
+        options = {"method": method, "headers": headers}
+        body_line = ""
+        if body is not None:
+            options["headers"] = {"Content-Type": "application/json", **headers}
+            body_line = f"    options.body = JSON.stringify({_js(body)});\n"
+        return header + (
+            "const { BASE_URL } = require('../helpers');\n\n"
+            f"describe({_js(name)}, function () {{\n"
+            f"  it({_js(test.get('description') or name)}, async function () {{\n"
+            f"{_comment_lines(test, '    ')}"
+            f"    const options = {_js(options)};\n"
+            f"{body_line}"
+            f"    const response = await fetch({_api_url(endpoint, 'BASE_URL')}, options);\n"
+            f"    assert.strictEqual(response.status, {expected});\n"
+            f"  }});\n"
+            f"}});\n"
+        )
+
+    if kind == "other":
+        return header + (
+            f"\n// Runner for type {_js(test.get('type'))} is not implemented by BugzyAI yet.\n"
+            f"describe.skip({_js(name)}, function () {{\n  it('is not implemented', function () {{}});\n}});\n"
+        )
+
+    selectors = [_selector_kind(s) for s in _split_selectors(test.get("selector") or test.get("locator") or "")]
+    steps = ""
+    if selectors:
+        steps += f"    const element = await findFirst(driver, [{', '.join(_selenium_by(*s) for s in selectors)}]);\n"
+        action, text = _ui_action(test)
+        if action == "fill":
+            steps += f"    await element.clear();\n    await element.sendKeys({_js(text)});\n"
+        elif action == "click":
+            steps += "    await element.click();\n"
+        else:
+            steps += "    assert.ok(element);\n"
+    else:
+        steps += "    assert.ok(await driver.getTitle() !== undefined);\n"
+
+    return header + (
+        "const { By } = require('selenium-webdriver');\n"
+        "const { BASE_URL, buildDriver, findFirst } = require('../helpers');\n\n"
+        f"describe({_js(name)}, function () {{\n"
+        "  this.timeout(60000);\n"
+        "  let driver;\n\n"
+        "  before(async function () {\n    driver = await buildDriver();\n  });\n\n"
+        "  after(async function () {\n    if (driver) await driver.quit();\n  });\n\n"
+        f"  it({_js(test.get('description') or name)}, async function () {{\n"
+        f"{_comment_lines(test, '    ')}"
+        "    await driver.get(BASE_URL);\n"
+        f"{steps}"
+        "  });\n"
+        "});\n"
+    )
+
+
+def _selenium_files(tests: List[Dict], base_url: str) -> Dict[str, str]:
+    files = {
+        "package.json": json.dumps({
+            "name": "bugzyai-selenium-tests",
+            "private": True,
+            "scripts": {"test": "mocha --recursive tests"},
+            "devDependencies": {"mocha": "^10.2.0", "selenium-webdriver": "^4.16.0"}
+        }, indent=2) + "\n",
+        "helpers.js": (
+            "// Generated by BugzyAI. Set BASE_URL / BROWSER to change the target.\n"
+            "const { Builder, until } = require('selenium-webdriver');\n\n"
+            f"const BASE_URL = process.env.BASE_URL || {_js(base_url)};\n\n"
+            "function buildDriver() {\n"
+            "  return new Builder().forBrowser(process.env.BROWSER || 'chrome').build();\n"
+            "}\n\n"
+            "// Resolve the first locator that matches, like BugzyAI's comma-separated selectors\n"
+            "async function findFirst(driver, locators, timeout = 8000) {\n"
+            "  let lastError;\n"
+            "  for (const locator of locators) {\n"
+            "    try {\n"
+            "      return await driver.wait(until.elementLocated(locator), timeout);\n"
+            "    } catch (error) {\n"
+            "      lastError = error;\n"
+            "    }\n"
+            "  }\n"
+            "  throw lastError || new Error('No locator candidates matched');\n"
+            "}\n\n"
+            "module.exports = { BASE_URL, buildDriver, findFirst };\n"
+        ),
+    }
+    for i, test in enumerate(tests, start=1):
+        files[f"tests/{_file_stem(test, i)}.test.js"] = _selenium_spec(test)
+    return files
+
+
+def export_tests_zip(tests: List[Dict], fmt: str, base_url: str = "") -> BytesIO:
+    """Build an in-memory zip of runnable JS test projects for the requested format."""
+    if fmt not in EXPORT_FORMATS:
+        raise ValueError(f"Unsupported export format '{fmt}'. Use one of: {', '.join(EXPORT_FORMATS)}")
+    base_url = base_url or "http://localhost:3000"
+    projects = {}
+    if fmt in ("playwright", "all"):
+        projects["bugzyai-playwright"] = _playwright_files(tests, base_url)
+    if fmt in ("selenium", "all"):
+        projects["bugzyai-selenium"] = _selenium_files(tests, base_url)
+
+    stream = BytesIO()
+    with zipfile.ZipFile(stream, "w", zipfile.ZIP_DEFLATED) as zf:
+        for folder, files in projects.items():
+            for path, content in files.items():
+                zf.writestr(f"{folder}/{path}", content)
+    stream.seek(0)
+    return stream
@@ -0,0 +1,150 @@
+import uuid
+from datetime import datetime, timezone
+from typing import Dict, List, Optional, Tuple
+
+from storage import load_collection, update_collection
+from cron import next_fire_time, next_fire_times
+from notifications import normalize_channels
+
+COLLECTION = "test_suites"
+
+# Fields a client may set; everything else (ids, timestamps, last run) is managed here
+_EDITABLE = ("name", "test_cases", "website_url", "environment_ids", "execution_mode", "matrix", "schedule",
+             "notifications")
+
+
+def _now() -> datetime:
+    return datetime.now(timezone.utc)
+
+
+def _normalize(suite: Dict) -> Dict:
+    """Validate a suite's editable fields and fill defaults. Raises ValueError."""
+    name = str(suite.get("name") or "").strip()
+    if not name:
+        raise ValueError("name is required")
+    test_cases = suite.get("test_cases")
+    if not isinstance(test_cases, list) or not test_cases:
+        raise ValueError("test_cases must be a non-empty array")
+    environment_ids = suite.get("environment_ids") or []
+    if not isinstance(environment_ids, list):
+        raise ValueError("environment_ids must be an array")
+    website_url = str(suite.get("website_url") or "").strip()
+    if not environment_ids and not website_url.lower().startswith(("http://", "https://")):
+        raise ValueError("website_url must be a valid http(s) URL")
+
+    schedule = suite.get("schedule") or {}
+    cron = str(schedule.get("cron") or "").strip()
+    tz_name = str(schedule.get("timezone") or "UTC").strip()
+    if cron:
+        next_fire_time(cron, tz_name)  # Raises ValueError for an invalid expression or timezone
+    return {
+        "name": name,
+        "test_cases": test_cases,
+        "website_url": website_url,
+        "environment_ids": environment_ids,
+        "execution_mode": str(suite.get("execution_mode") or "Standard"),
+        "matrix": suite.get("matrix") or None,
+        "schedule": {"cron": cron, "timezone": tz_name, "enabled": bool(cron) and bool(schedule.get("enabled", True))},
+        "notifications": normalize_channels(suite.get("notifications")),
+    }
+
+
+def _next_run_at(suite: Dict, after: Optional[datetime] = None) -> Optional[str]:
+    schedule = suite["schedule"]
+    if not schedule["enabled"]:
+        return None
+    return next_fire_time(schedule["cron"], schedule["timezone"], after).isoformat()
+
+
+def list_suites(uid: str) -> List[Dict]:
+    """A user's saved suites, sorted by name."""
+    suites = load_collection(COLLECTION).get(uid, {})
+    return sorted(suites.values(), key=lambda s: s["name"].lower())
+
+
+def get_suite(uid: str, suite_id: str) -> Optional[Dict]:
+    return load_collection(COLLECTION).get(uid, {}).get(suite_id)
+
+
+def save_suite(uid: str, data: Dict, suite_id: Optional[str] = None) -> Dict:
+    """Create a suite, or update the one with suite_id from the fields present in data.
+    Raises ValueError for invalid fields and KeyError for an unknown suite_id.
+    """
+    existing = get_suite(uid, suite_id) if suite_id else None
+    if suite_id and not existing:
+        raise KeyError(suite_id)
+    fields = {k: v for k, v in {**(existing or {}), **data}.items() if k in _EDITABLE}
+    if existing and "schedule" in data:
+        fields["schedule"] = {**existing["schedule"], **(data["schedule"] or {})}
+    fields = _normalize(fields)
+    now = _now().isoformat()
+
+    def _upsert(collection):
+        suites = collection.setdefault(uid, {})
+        current = suites.get(suite_id) if suite_id else None
+        suite = {
+            "id": current["id"] if current else uuid.uuid4().hex,
+            **fields,
+            "next_run_at": _next_run_at(fields),
+            "last_run_at": current.get("last_run_at") if current else None,
+            "last_summary": current.get("last_summary") if current else None,
+            "last_error": current.get("last_error") if current else None,
+            "created_at": current["created_at"] if current else now,
+            "updated_at": now,
+        }
+        suites[suite["id"]] = suite
+        return suite
+
+    return update_collection(COLLECTION, _upsert)
+
+
+def delete_suite(uid: str, suite_id: str) -> bool:
+    """Remove a suite. Runs it already recorded stay in the run history."""
+    def _delete(collection):
+        return collection.get(uid, {}).pop(suite_id, None) is not None
+
+    return update_collection(COLLECTION, _delete)
+
+
+def claim_due_suites(now: Optional[datetime] = None) -> List[Tuple[str, Dict]]:
+    """Suites (across all users and workspaces) whose next run is due, as (owner, suite) pairs.
+    Each claimed suite's next run moves past `now`, so a run missed while the server was down fires once.
+    """
+    now = now or _now()
+    claimed = []
+
+    def _claim(collection):
+        for uid, suites in collection.items():
+            for suite in suites.values():
+                due = suite.get("next_run_at")
+                if not due or datetime.fromisoformat(due) > now:
+                    continue
+                suite["next_run_at"] = _next_run_at(suite, now)
+                claimed.append((uid, dict(suite)))
+
+    update_collection(COLLECTION, _claim)
+    return claimed
+
+
+def record_suite_run(uid: str, suite_id: str, summary: Optional[Dict] = None, error: Optional[str] = None):
+    """Remember the outcome of a scheduled run on the suite (ignored if the suite was deleted meanwhile)."""
+    def _update(collection):
+        suite = collection.get(uid, {}).get(suite_id)
+        if suite:
+            suite["last_run_at"] = _now().isoformat()
+            suite["last_summary"] = summary
+            suite["last_error"] = error
+
+    update_collection(COLLECTION, _update)
+
+
+def upcoming_runs(uid: str, limit: int = 10) -> List[Dict]:
+    """The user's next scheduled runs across all enabled suites, soonest first."""
+    upcoming = []
+    for suite in list_suites(uid):
+        schedule = suite["schedule"]
+        if not schedule["enabled"]:
+            continue
+        for at in next_fire_times(schedule["cron"], schedule["timezone"], count=limit):
+            upcoming.append({"suite_id": suite["id"], "name": suite["name"], "at": at.isoformat()})
+    return sorted(upcoming, key=lambda run: run["at"])[:limit]
@@ -0,0 +1,127 @@
+"""Shared fixtures: a temporary JSON store, and Firebase ID tokens signed with a stub key.
+
+The stub key's certificate is served in place of Google's (the requests.get that firebase_tokens makes
+for FIREBASE_CERTS_URL), so tokens go through the same signature and claim checks as real ones.
+"""
+
+import base64
+import json
+import os
+import sys
+import time
+from datetime import datetime, timedelta, timezone
+
+import pytest
+
+sys.path.insert(0, os.path.dirname(os.path.dirname(os.path.abspath(__file__))))
+
+import firebase_tokens  # noqa: E402
+import storage  # noqa: E402
+
+PROJECT_ID = "bugzy-test"
+KID = "stub-key-1"
+
+
+def _b64(data: bytes) -> str:
+    return base64.urlsafe_b64encode(data).rstrip(b"=").decode("ascii")
+
+
+def _rsa_key():
+    from cryptography.hazmat.primitives.asymmetric import rsa
+    return rsa.generate_private_key(public_exponent=65537, key_size=2048)
+
+
+def _certificate_pem(key) -> str:
+    from cryptography import x509
+    from cryptography.hazmat.primitives import hashes, serialization
+    from cryptography.x509.oid import NameOID
+
+    name = x509.Name([x509.NameAttribute(NameOID.COMMON_NAME, "securetoken stub")])
+    now = datetime.now(timezone.utc)
+    certificate = (
+        x509.CertificateBuilder()
+        .subject_name(name)
+        .issuer_name(name)
+        .public_key(key.public_key())
+        .serial_number(x509.random_serial_number())
+        .not_valid_before(now - timedelta(days=1))
+        .not_valid_after(now + timedelta(days=1))
+        .sign(key, hashes.SHA256())
+    )
+    return certificate.public_bytes(serialization.Encoding.PEM).decode("ascii")
+
+
+class _CertsResponse:
+    def __init__(self, certs):
+        self._certs = certs
+        self.headers = {"Cache-Control": "public, max-age=3600"}
+
+    def raise_for_status(self):
+        pass
+
+    def json(self):
+        return dict(self._certs)
+
+
+@pytest.fixture(scope="session")
+def signing_key():
+    return _rsa_key()
+
+
+@pytest.fixture(scope="session")
+def other_key():
+    """A key Google never published, for forged signatures."""
+    return _rsa_key()
+
+
+@pytest.fixture
+def certs_requests(monkeypatch, signing_key):
+    """Serve the stub key's certificate as FIREBASE_CERTS_URL and record each fetch."""
+    fetches = []
+
+    def fake_get(url, timeout=None):
+        fetches.append(url)
+        return _CertsResponse({KID: _certificate_pem(signing_key)})
+
+    monkeypatch.setattr(firebase_tokens.requests, "get", fake_get)
+    monkeypatch.setattr(firebase_tokens, "_certs", {})
+    monkeypatch.setattr(firebase_tokens, "_certs_expire_at", 0.0)
+    monkeypatch.setattr(firebase_tokens, "PROJECT_ID", PROJECT_ID)
+    monkeypatch.setattr(firebase_tokens, "EMULATOR_HOST", None)
+    monkeypatch.setattr(firebase_tokens, "REQUIRE_VERIFIED_EMAIL", False)
+    return fetches
+
+
+@pytest.fixture
+def make_token(signing_key):
+    """make_token(key=None, kid=KID, alg="RS256", **claims) -> a signed ID token; a claim set to None is left out."""
+    from cryptography.hazmat.primitives import hashes
+    from cryptography.hazmat.primitives.asymmetric import padding
+
+    def _make(key=None, kid=KID, alg="RS256", **overrides):
+        now = int(time.time())
+        claims = {
+            "iss": f"https://securetoken.google.com/{PROJECT_ID}",
+            "aud": PROJECT_ID,
+            "sub": "user-1",
+            "iat": now - 10,
+            "exp": now + 3600,
+            "email": "user@example.com",
+            "email_verified": True,
+            "firebase": {"sign_in_provider": "google.com"},
+        }
+        claims.update(overrides)
+        claims = {k: v for k, v in claims.items() if v is not None}
+        header = {"alg": alg, "kid": kid, "typ": "JWT"}
+        signing_input = f"{_b64(json.dumps(header).encode())}.{_b64(json.dumps(claims).encode())}"
+        signature = (key or signing_key).sign(signing_input.encode("ascii"), padding.PKCS1v15(), hashes.SHA256())
+        return f"{signing_input}.{_b64(signature)}"
+
+    return _make
+
+
+@pytest.fixture(autouse=True)
+def data_dir(monkeypatch, tmp_path):
+    """Every test gets an empty JSON store."""
+    monkeypatch.setattr(storage, "DATA_DIR", str(tmp_path / "data"))
+    return tmp_path / "data"
@@ -0,0 +1,184 @@
+"""Password reset, the email verification gate and guest upgrades against the Firebase Auth emulator.
+
+These drive the emulator's REST API with the same calls the JS SDK makes for the methods in
+static/js/firebase-auth.js (sendPasswordReset, sendVerificationEmail/refreshUser, upgradeGuestWithEmail),
+then check what the server makes of the resulting ID tokens. Start the emulator and point the tests at it:
+
+    firebase emulators:start --only auth --project demo-bugzy
+    FIREBASE_AUTH_EMULATOR_HOST=127.0.0.1:9099 FIREBASE_PROJECT_ID=demo-bugzy python -m pytest tests/test_auth_emulator.py
+"""
+
+import os
+import uuid
+
+import pytest
+import requests
+
+import firebase_tokens
+
+EMULATOR_HOST = os.getenv("FIREBASE_AUTH_EMULATOR_HOST")
+PROJECT_ID = os.getenv("FIREBASE_PROJECT_ID")
+
+pytestmark = pytest.mark.skipif(not (EMULATOR_HOST and PROJECT_ID),
+                                reason="needs FIREBASE_AUTH_EMULATOR_HOST and FIREBASE_PROJECT_ID")
+
+
+class AuthError(Exception):
+    pass
+
+
+def _accounts(method, **body):
+    """POST to an Identity Toolkit accounts:<method> endpoint of the emulator, as the JS SDK does."""
+    response = requests.post(
+        f"http://{EMULATOR_HOST}/identitytoolkit.googleapis.com/v1/accounts:{method}",
+        params={"key": "fake-api-key"}, json=body, timeout=10,
+    )
+    data = response.json()
+    if "error" in data:
+        raise AuthError(data["error"]["message"])
+    return data
+
+
+def _oob_codes(email, request_type):
+    """Codes the emulator 'emailed' to an address (it exposes them instead of sending mail)."""
+    response = requests.get(f"http://{EMULATOR_HOST}/emulator/v1/projects/{PROJECT_ID}/oobCodes", timeout=10)
+    response.raise_for_status()
+    return [c["oobCode"] for c in response.json()["oobCodes"]
+            if c["email"] == email and c["requestType"] == request_type]
+
+
+def _unique_email():
+    return f"user-{uuid.uuid4().hex[:10]}@example.com"
+
+
+def _sign_up(email, password):
+    return _accounts("signUp", email=email, password=password, returnSecureToken=True)
+
+
+@pytest.fixture(autouse=True)
+def emulator(monkeypatch):
+    monkeypatch.setattr(firebase_tokens, "EMULATOR_HOST", EMULATOR_HOST)
+    monkeypatch.setattr(firebase_tokens, "PROJECT_ID", PROJECT_ID)
+    monkeypatch.setattr(firebase_tokens, "REQUIRE_VERIFIED_EMAIL", False)
+    yield
+    requests.delete(f"http://{EMULATOR_HOST}/emulator/v1/projects/{PROJECT_ID}/accounts", timeout=10)
+
+
+@pytest.fixture
+def client(monkeypatch):
+    monkeypatch.setenv("SCHEDULER_ENABLED", "0")
+    from app import app
+
+    app.config["TESTING"] = True
+    return app.test_client()
+
+
+def _bearer(id_token):
+    return {"Authorization": f"Bearer {id_token}"}
+
+
+# --- Password reset (sendPasswordReset) -----------------------------------
+
+def test_password_reset_link_sets_a_new_password():
+    email = _unique_email()
+    _sign_up(email, "old-password")
+
+    _accounts("sendOobCode", requestType="PASSWORD_RESET", email=email)
+    [code] = _oob_codes(email, "PASSWORD_RESET")
+    _accounts("resetPassword", oobCode=code, newPassword="new-password")
+
+    assert _accounts("signInWithPassword", email=email, password="new-password", returnSecureToken=True)["idToken"]
+    with pytest.raises(AuthError, match="INVALID_PASSWORD|INVALID_LOGIN_CREDENTIALS"):
+        _accounts("signInWithPassword", email=email, password="old-password", returnSecureToken=True)
+
+
+def test_password_reset_for_an_unknown_address_is_reported_as_not_found():
+    # sendPasswordReset swallows exactly this error (auth/user-not-found), so the form reveals no accounts
+    with pytest.raises(AuthError, match="EMAIL_NOT_FOUND"):
+        _accounts("sendOobCode", requestType="PASSWORD_RESET", email=_unique_email())
+
+
+def test_a_reset_code_works_only_once():
+    email = _unique_email()
+    _sign_up(email, "old-password")
+    _accounts("sendOobCode", requestType="PASSWORD_RESET", email=email)
+    [code] = _oob_codes(email, "PASSWORD_RESET")
+    _accounts("resetPassword", oobCode=code, newPassword="new-password")
+
+    with pytest.raises(AuthError, match="INVALID_OOB_CODE"):
+        _accounts("resetPassword", oobCode=code, newPassword="another-password")
+
+
+# --- Email verification gate (requiresEmailVerification) -------------------
+
+def test_unverified_password_user_is_kept_out_until_they_verify(client, monkeypatch):
+    monkeypatch.setattr(firebase_tokens, "REQUIRE_VERIFIED_EMAIL", True)
+    email = _unique_email()
+    account = _sign_up(email, "password-1")
+
+    assert client.get("/api/runs", headers=_bearer(account["idToken"])).status_code == 401
+
+    _accounts("sendOobCode", requestType="VERIFY_EMAIL", idToken=account["idToken"])
+    [code] = _oob_codes(email, "VERIFY_EMAIL")
+    _accounts("update", oobCode=code)
+    # refreshUser fetches a new ID token, which carries the updated email_verified claim
+    verified = _accounts("signInWithPassword", email=email, password="password-1", returnSecureToken=True)
+
+    assert firebase_tokens.verify_id_token(verified["idToken"])["email_verified"] is True
+    assert client.get("/api/runs", headers=_bearer(verified["idToken"])).status_code == 200
+
+
+def test_unverified_users_are_let_in_when_verification_is_off(client):
+    account = _sign_up(_unique_email(), "password-1")
+
+    assert client.get("/api/runs", headers=_bearer(account["idToken"])).status_code == 200
+
+
+def test_guests_are_not_held_to_email_verification(client, monkeypatch):
+    monkeypatch.setattr(firebase_tokens, "REQUIRE_VERIFIED_EMAIL", True)
+    guest = _accounts("signUp", returnSecureToken=True)
+
+    assert client.get("/api/runs", headers=_bearer(guest["idToken"])).status_code == 200
+
+
+# --- Guest upgrade (upgradeGuestWithEmail) ---------------------------------
+
+def test_upgrading_a_guest_keeps_their_uid_and_data(client):
+    guest = _accounts("signUp", returnSecureToken=True)
+    guest_claims = firebase_tokens.verify_id_token(guest["idToken"])
+    assert guest_claims["firebase"]["sign_in_provider"] == "anonymous"
+    saved = client.post("/api/suites", headers=_bearer(guest["idToken"]),
+                        json={"name": "Smoke", "website_url": "https://example.com",
+                              "test_cases": [{"id": 1, "name": "Home", "description": "Page loads", "type": "UI"}]})
+    assert saved.status_code == 200
+
+    # linkWithCredential(guest, EmailAuthProvider.credential(email, password))
+    email = _unique_email()
+    upgraded = _accounts("update", idToken=guest["idToken"], email=email, password="password-1",
+                         returnSecureToken=True)
+    claims = firebase_tokens.verify_id_token(upgraded["idToken"])
+
+    assert claims["uid"] == guest_claims["uid"]
+    assert claims["email"] == email
+    assert claims["firebase"]["sign_in_provider"] == "password"
+    suites = client.get("/api/suites", headers=_bearer(upgraded["idToken"])).get_json()["suites"]
+    assert [s["name"] for s in suites] == ["Smoke"]
+
+
+def test_upgraded_guest_signs_in_with_their_new_password():
+    guest = _accounts("signUp", returnSecureToken=True)
+    email = _unique_email()
+    _accounts("update", idToken=guest["idToken"], email=email, password="password-1", returnSecureToken=True)
+
+    account = _accounts("signInWithPassword", email=email, password="password-1", returnSecureToken=True)
+
+    assert account["localId"] == guest["localId"]
+
+
+def test_a_guest_cannot_take_an_address_that_already_has_an_account():
+    email = _unique_email()
+    _sign_up(email, "password-1")
+    guest = _accounts("signUp", returnSecureToken=True)
+
+    with pytest.raises(AuthError, match="EMAIL_EXISTS"):
+        _accounts("update", idToken=guest["idToken"], email=email, password="password-2", returnSecureToken=True)
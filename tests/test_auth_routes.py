@@ -0,0 +1,70 @@
+"""Protected API routes answer 401 unless the request carries a valid Firebase ID token."""
+
+import time
+
+import pytest
+
+PROTECTED_ROUTES = [
+    ("GET", "/api/runs"),
+    ("POST", "/api/run-test"),
+    ("POST", "/api/validate-selectors"),
+    ("GET", "/api/credentials"),
+    ("GET", "/api/environments"),
+    ("GET", "/api/suites"),
+    ("GET", "/api/tokens"),
+    ("GET", "/api/workspaces"),
+]
+
+
+@pytest.fixture
+def client(monkeypatch, certs_requests):
+    monkeypatch.setenv("SCHEDULER_ENABLED", "0")
+    from app import app
+
+    app.config["TESTING"] = True
+    return app.test_client()
+
+
+def _bearer(token):
+    return {"Authorization": f"Bearer {token}"}
+
+
+@pytest.mark.parametrize("method,path", PROTECTED_ROUTES)
+def test_requests_without_a_token_are_rejected(client, method, path):
+    response = client.open(path, method=method, json={})
+
+    assert response.status_code == 401
+    assert response.get_json()["status"] == "error"
+
+
+@pytest.mark.parametrize("method,path", PROTECTED_ROUTES)
+def test_requests_with_an_invalid_token_are_rejected(client, make_token, other_key, method, path):
+    now = int(time.time())
+    for token in ["not-a-jwt", make_token(iat=now - 7200, exp=now - 3600), make_token(aud="someone-elses-project"),
+                  make_token(key=other_key), make_token(kid="rotated-away")]:
+        response = client.open(path, method=method, json={}, headers=_bearer(token))
+
+        assert response.status_code == 401
+
+
+def test_personal_access_tokens_only_work_on_the_v1_api(client):
+    from api_tokens import create_token
+
+    _, token = create_token("user-1", "CI")
+
+    assert client.get("/api/runs", headers=_bearer(token)).status_code == 401
+    assert client.get("/api/v1/runs", headers=_bearer(token)).status_code == 200
+
+
+def test_valid_token_reaches_the_users_own_data(client, make_token):
+    response = client.get("/api/runs", headers=_bearer(make_token(sub="user-1")))
+
+    assert response.status_code == 200
+    assert response.get_json() == {"status": "success", "runs": []}
+
+
+def test_workspaces_see_the_token_claims(client, make_token):
+    response = client.get("/api/workspaces", headers=_bearer(make_token(email="new@example.com", email_verified=False)))
+
+    assert response.status_code == 200
+    assert response.get_json()["email_verified"] is False
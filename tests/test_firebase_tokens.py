@@ -0,0 +1,116 @@
+import time
+
+import pytest
+
+import firebase_tokens
+from firebase_tokens import InvalidIdTokenError, verify_id_token
+
+from conftest import KID, PROJECT_ID
+
+
+@pytest.fixture(autouse=True)
+def _stub_certs(certs_requests):
+    return certs_requests
+
+
+def test_valid_token_returns_claims_with_uid(make_token):
+    claims = verify_id_token(make_token(sub="abc123"))
+
+    assert claims["uid"] == "abc123"
+    assert claims["aud"] == PROJECT_ID
+    assert claims["email"] == "user@example.com"
+
+
+def test_certificates_are_cached_between_tokens(make_token, certs_requests):
+    verify_id_token(make_token())
+    verify_id_token(make_token(sub="user-2"))
+
+    assert len(certs_requests) == 1
+
+
+def test_expired_token_is_rejected(make_token):
+    now = int(time.time())
+    with pytest.raises(InvalidIdTokenError, match="expired"):
+        verify_id_token(make_token(iat=now - 7200, exp=now - 3600))
+
+
+def test_expiry_allows_for_clock_skew(make_token):
+    now = int(time.time())
+    assert verify_id_token(make_token(iat=now - 3600, exp=now - 10))["uid"] == "user-1"
+
+
+def test_token_issued_in_the_future_is_rejected(make_token):
+    with pytest.raises(InvalidIdTokenError, match="future"):
+        verify_id_token(make_token(iat=int(time.time()) + 3600))
+
+
+def test_wrong_audience_is_rejected(make_token):
+    with pytest.raises(InvalidIdTokenError, match="different Firebase project"):
+        verify_id_token(make_token(aud="someone-elses-project"))
+
+
+def test_wrong_issuer_is_rejected(make_token):
+    with pytest.raises(InvalidIdTokenError, match="issuer"):
+        verify_id_token(make_token(iss="https://securetoken.google.com/someone-elses-project"))
+
+
+def test_missing_subject_is_rejected(make_token):
+    with pytest.raises(InvalidIdTokenError, match="subject"):
+        verify_id_token(make_token(sub=""))
+
+
+def test_unknown_key_id_is_rejected_after_refetching(make_token, certs_requests):
+    with pytest.raises(InvalidIdTokenError, match="unknown key"):
+        verify_id_token(make_token(kid="rotated-away"))
+
+    # The cached keys are refreshed once in case Google just rotated them
+    assert len(certs_requests) == 2
+
+
+def test_signature_from_another_key_is_rejected(make_token, other_key):
+    with pytest.raises(InvalidIdTokenError, match="signature is invalid"):
+        verify_id_token(make_token(key=other_key, kid=KID))
+
+
+def test_tampered_claims_are_rejected(make_token):
+    header, _, signature = make_token(sub="user-1").split(".")
+    _, forged_claims, _ = make_token(sub="admin").split(".")
+
+    with pytest.raises(InvalidIdTokenError, match="signature is invalid"):
+        verify_id_token(f"{header}.{forged_claims}.{signature}")
+
+
+def test_unsigned_token_is_rejected(make_token):
+    with pytest.raises(InvalidIdTokenError, match="RS256"):
+        verify_id_token(make_token(alg="none"))
+
+
+@pytest.mark.parametrize("token", ["", "not-a-jwt", "a.b", "!!!.???.***"])
+def test_malformed_token_is_rejected(token):
+    with pytest.raises(InvalidIdTokenError, match="malformed"):
+        verify_id_token(token)
+
+
+def test_nothing_verifies_without_a_project_id(make_token, monkeypatch):
+    monkeypatch.setattr(firebase_tokens, "PROJECT_ID", None)
+
+    with pytest.raises(InvalidIdTokenError, match="FIREBASE_PROJECT_ID"):
+        verify_id_token(make_token())
+
+
+def test_unverified_password_user_is_rejected_when_verification_is_required(make_token, monkeypatch):
+    monkeypatch.setattr(firebase_tokens, "REQUIRE_VERIFIED_EMAIL", True)
+    unverified = make_token(email_verified=False, firebase={"sign_in_provider": "password"})
+
+    with pytest.raises(InvalidIdTokenError, match="not verified"):
+        verify_id_token(unverified)
+    # Other providers vouch for the address themselves
+    assert verify_id_token(make_token(email_verified=False))["uid"] == "user-1"
+
+
+def test_emulator_tokens_skip_the_signature_but_not_the_claims(make_token, other_key, monkeypatch):
+    monkeypatch.setattr(firebase_tokens, "EMULATOR_HOST", "localhost:9099")
+
+    assert verify_id_token(make_token(key=other_key, kid="emulator"))["uid"] == "user-1"
+    with pytest.raises(InvalidIdTokenError, match="different Firebase project"):
+        verify_id_token(make_token(key=other_key, aud="someone-elses-project"))
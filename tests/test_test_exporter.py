@@ -0,0 +1,44 @@
+import zipfile
+
+from test_exporter import export_tests_zip
+
+BASE_URL = "https://x.com/app/login"
+
+TESTS = [
+    {"id": 1, "name": "Login form", "type": "UI", "selector": "#email", "description": "Enter \"a@b.com\""},
+    {"id": 2, "name": "Users", "type": "API", "endpoint": "/api/users", "method": "GET"},
+    {"id": "TC-3", "name": "Absolute", "type": "API", "endpoint": "https://api.x.com/health"},
+]
+
+
+def _files(fmt):
+    with zipfile.ZipFile(export_tests_zip(TESTS, fmt, BASE_URL)) as zf:
+        return {name: zf.read(name).decode("utf-8") for name in zf.namelist()}
+
+
+def test_playwright_specs_keep_the_base_url_path():
+    files = _files("playwright")
+
+    assert f"baseURL: process.env.BASE_URL || \"{BASE_URL}\"" in files["bugzyai-playwright/playwright.config.js"]
+    ui_spec = files["bugzyai-playwright/tests/001-login-form.spec.js"]
+    assert "await page.goto(baseURL);" in ui_spec
+    assert "page.goto('/')" not in ui_spec
+    api_spec = files["bugzyai-playwright/tests/002-users.spec.js"]
+    assert "request.fetch(baseURL.replace(/\\/+$/, '') + \"/api/users\"" in api_spec
+
+
+def test_selenium_specs_keep_the_base_url_path():
+    files = _files("selenium")
+
+    assert f"const BASE_URL = process.env.BASE_URL || \"{BASE_URL}\";" in files["bugzyai-selenium/helpers.js"]
+    assert "await driver.get(BASE_URL);" in files["bugzyai-selenium/tests/001-login-form.test.js"]
+    api_spec = files["bugzyai-selenium/tests/002-users.test.js"]
+    assert "fetch(BASE_URL.replace(/\\/+$/, '') + \"/api/users\", options)" in api_spec
+    assert "new URL(" not in api_spec
+
+
+def test_absolute_endpoints_and_non_numeric_ids_are_exported_as_is():
+    files = _files("all")
+
+    assert "request.fetch(\"https://api.x.com/health\"" in files["bugzyai-playwright/tests/003-tc-3-absolute.spec.js"]
+    assert "fetch(\"https://api.x.com/health\", options)" in files["bugzyai-selenium/tests/003-tc-3-absolute.test.js"]
@@ -0,0 +1,266 @@
+"""Team workspaces, whose members share saved suites, run history, environment profiles and vault credentials.
+
+Those collections are keyed by an owner: a user's uid for their personal space, or a workspace id (prefixed
+"ws_", so it never collides with a uid) for a team, and their modules need no changes to serve either.
+Each member has a role:
+    viewer  sees the workspace's suites, runs, environments and credentials (never the secrets)
+    editor  also runs tests and creates, edits and deletes suites, environments and credentials
+    owner   also renames or deletes the workspace and manages members and invitations
+People are invited by email address and join by accepting the invitation while signed in with it.
+A workspace always keeps at least one owner.
+"""
+
+import re
+import uuid
+from datetime import datetime, timezone
+from typing import Dict, List, Optional
+
+from storage import load_collection, update_collection
+from notifications import email_configured, send_email
+import api_runs
+import credential_vault
+import environment_profiles
+import run_history
+import test_suites
+
+COLLECTION = "workspaces"
+ID_PREFIX = "ws_"
+
+# Lowest to highest: each role can do everything the ones before it can
+ROLES = ("viewer", "editor", "owner")
+
+# Collections holding data owned by a workspace, removed with it
+SHARED_COLLECTIONS = (test_suites.COLLECTION, run_history.COLLECTION, environment_profiles.COLLECTION,
+                      credential_vault.COLLECTION)
+
+_EMAIL_RE = re.compile(r"^[^@\s]+@[^@\s]+\.[^@\s]+$")
+
+
+def _now() -> str:
+    return datetime.now(timezone.utc).isoformat()
+
+
+def _normalize_email(email) -> str:
+    email = str(email or "").strip().lower()
+    if not _EMAIL_RE.match(email):
+        raise ValueError("A valid email address is required")
+    return email
+
+
+def _normalize_role(role) -> str:
+    if role not in ROLES:
+        raise ValueError(f"role must be one of: {', '.join(ROLES)}")
+    return role
+
+
+def _normalize_name(name) -> str:
+    name = str(name or "").strip()
+    if not name:
+        raise ValueError("name is required")
+    return name
+
+
+def has_role(role: Optional[str], required: str) -> bool:
+    """Whether role grants what required needs (an owner can do everything an editor can, and so on)."""
+    return role in ROLES and ROLES.index(role) >= ROLES.index(required)
+
+
+def _public(workspace: Dict, uid: str) -> Dict:
+    """A workspace as its member uid sees it: their role, the members, and (for owners) open invitations."""
+    role = workspace["members"][uid]["role"]
+    members = sorted(workspace["members"].values(), key=lambda m: (-ROLES.index(m["role"]), m["email"] or ""))
+    public = {
+        "id": workspace["id"],
+        "name": workspace["name"],
+        "role": role,
+        "created_at": workspace["created_at"],
+        "members": members,
+    }
+    if role == "owner":
+        public["invitations"] = sorted(workspace["invitations"].values(), key=lambda i: i["invited_at"])
+    return public
+
+
+def list_workspaces(uid: str) -> List[Dict]:
+    """The workspaces uid belongs to, sorted by name, with their role and member count."""
+    workspaces = [w for w in load_collection(COLLECTION).values() if uid in w["members"]]
+    return [
+        {"id": w["id"], "name": w["name"], "role": w["members"][uid]["role"], "member_count": len(w["members"])}
+        for w in sorted(workspaces, key=lambda w: w["name"].lower())
+    ]
+
+
+def get_workspace(uid: str, workspace_id: str) -> Optional[Dict]:
+    """The workspace as seen by uid, or None if it doesn't exist or uid isn't a member."""
+    workspace = load_collection(COLLECTION).get(workspace_id)
+    return _public(workspace, uid) if workspace and uid in workspace["members"] else None
+
+
+def member_role(uid: str, workspace_id: str) -> Optional[str]:
+    """uid's role in the workspace, or None if they aren't a member."""
+    member = load_collection(COLLECTION).get(workspace_id, {}).get("members", {}).get(uid)
+    return member["role"] if member else None
+
+
+def create_workspace(uid: str, email: Optional[str], name: str) -> Dict:
+    """Create a workspace with uid as its owner. Raises ValueError for a missing name."""
+    name = _normalize_name(name)
+    workspace = {
+        "id": ID_PREFIX + uuid.uuid4().hex,
+        "name": name,
+        "created_by": uid,
+        "created_at": _now(),
+        "members": {uid: {"uid": uid, "email": (email or "").lower() or None, "role": "owner", "joined_at": _now()}},
+        "invitations": {},
+    }
+
+    def _insert(collection):
+        collection[workspace["id"]] = workspace
+
+    update_collection(COLLECTION, _insert)
+    return _public(workspace, uid)
+
+
+def rename_workspace(uid: str, workspace_id: str, name: str) -> Dict:
+    """Raises ValueError for a missing name and KeyError for an unknown workspace."""
+    name = _normalize_name(name)
+
+    def _rename(collection):
+        workspace = collection.get(workspace_id)
+        if not workspace:
+            raise KeyError(workspace_id)
+        workspace["name"] = name
+        return _public(workspace, uid)
+
+    return update_collection(COLLECTION, _rename)
+
+
+def delete_workspace(workspace_id: str) -> bool:
+    """Remove a workspace together with its suites, run history, environments and credentials, and the
+    API runs its members started in it."""
+    def _delete(collection):
+        return collection.pop(workspace_id, None) is not None
+
+    def _delete_api_runs(collection):
+        # API runs are kept per token owner, each naming the workspace it ran in
+        for runs in collection.values():
+            for run_id in [run_id for run_id, run in runs.items() if run.get("workspace_id") == workspace_id]:
+                del runs[run_id]
+
+    if not update_collection(COLLECTION, _delete):
+        return False
+    for name in SHARED_COLLECTIONS:
+        update_collection(name, lambda collection: collection.pop(workspace_id, None))
+    update_collection(api_runs.COLLECTION, _delete_api_runs)
+    return True
+
+
+def invite_member(workspace_id: str, email: str, role: str, invited_by: str) -> Dict:
+    """Invite an email address with a role, replacing any open invitation for it. invited_by names the inviter.
+    Raises ValueError for invalid input or an existing member, and KeyError for an unknown workspace.
+    """
+    email = _normalize_email(email)
+    role = _normalize_role(role)
+
+    def _invite(collection):
+        workspace = collection.get(workspace_id)
+        if not workspace:
+            raise KeyError(workspace_id)
+        if any(m["email"] == email for m in workspace["members"].values()):
+            raise ValueError(f"{email} is already a member")
+        invitation = {"email": email, "role": role, "invited_by": invited_by, "invited_at": _now()}
+        workspace["invitations"][email] = invitation
+        return invitation
+
+    return update_collection(COLLECTION, _invite)
+
+
+def send_invitation_email(workspace_id: str, invitation: Dict, join_url: str) -> bool:
+    """Tell the invitee about their invitation, when the SMTP relay is configured. Returns whether a mail went out;
+    without one the invitation still shows up once they sign in."""
+    if not email_configured():
+        return False
+    workspace = load_collection(COLLECTION).get(workspace_id)
+    send_email([invitation["email"]], f"BugzyAI: you're invited to the '{workspace['name']}' workspace", "\n".join([
+        f"{invitation['invited_by']} invited you to join the '{workspace['name']}' workspace on BugzyAI "
+        f"with the {invitation['role']} role.",
+        "",
+        f"Sign in with this email address to accept: {join_url}",
+    ]))
+    return True
+
+
+def cancel_invitation(workspace_id: str, email: str) -> bool:
+    """Withdraw (or, for the invitee, decline) the invitation for an email address."""
+    def _cancel(collection):
+        workspace = collection.get(workspace_id)
+        return bool(workspace) and workspace["invitations"].pop(str(email).lower(), None) is not None
+
+    return update_collection(COLLECTION, _cancel)
+
+
+def pending_invitations(email: Optional[str]) -> List[Dict]:
+    """Open invitations for an email address, oldest first."""
+    if not email:
+        return []
+    email = email.lower()
+    invitations = [
+        {**w["invitations"][email], "workspace_id": w["id"], "workspace_name": w["name"]}
+        for w in load_collection(COLLECTION).values() if email in w["invitations"]
+    ]
+    return sorted(invitations, key=lambda i: i["invited_at"])
+
+
+def accept_invitation(uid: str, email: str, workspace_id: str) -> Dict:
+    """Join a workspace with the role the email address was invited with. Raises KeyError without an invitation."""
+    email = email.lower()
+
+    def _accept(collection):
+        workspace = collection.get(workspace_id)
+        invitation = workspace["invitations"].pop(email, None) if workspace else None
+        if not invitation:
+            raise KeyError(workspace_id)
+        # Someone already in the workspace keeps the higher of the two roles
+        current = workspace["members"].get(uid)
+        role = current["role"] if current and has_role(current["role"], invitation["role"]) else invitation["role"]
+        workspace["members"][uid] = {"uid": uid, "email": email, "role": role,
+                                     "joined_at": current["joined_at"] if current else _now()}
+        return _public(workspace, uid)
+
+    return update_collection(COLLECTION, _accept)
+
+
+def _owners(workspace: Dict) -> List[str]:
+    return [uid for uid, m in workspace["members"].items() if m["role"] == "owner"]
+
+
+def set_member_role(workspace_id: str, member_uid: str, role: str) -> Dict:
+    """Change a member's role and return the member. Raises ValueError for an invalid role or when the last owner
+    would be demoted, and KeyError for an unknown workspace or member."""
+    role = _normalize_role(role)
+
+    def _set(collection):
+        workspace = collection.get(workspace_id)
+        member = workspace["members"].get(member_uid) if workspace else None
+        if not member:
+            raise KeyError(member_uid)
+        if member["role"] == "owner" and role != "owner" and _owners(workspace) == [member_uid]:
+            raise ValueError("A workspace needs at least one owner")
+        member["role"] = role
+        return member
+
+    return update_collection(COLLECTION, _set)
+
+
+def remove_member(workspace_id: str, member_uid: str) -> bool:
+    """Remove a member (or let one leave). Raises ValueError when they are the last owner."""
+    def _remove(collection):
+        workspace = collection.get(workspace_id)
+        if not workspace or member_uid not in workspace["members"]:
+            return False
+        if _owners(workspace) == [member_uid]:
+            raise ValueError("A workspace needs at least one owner: make someone else an owner, or delete it")
+        del workspace["members"][member_uid]
+        return True
+
+    return update_collection(COLLECTION, _remove)